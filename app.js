@@ -9,6 +9,16 @@ let weatherFetchInterval = null;
 // OpenWeatherMap API key - get your free key at https://openweathermap.org/api
 const WEATHER_API_KEY = 'f021a3fc34dd1d322df919d299a246c6';
 
+// Map tile source for the route map, e.g. 'tiles/{z}/{x}/{y}.png' for bundled tiles or
+// 'https://tile.openstreetmap.org/{z}/{x}/{y}.png'. Leave empty to draw the route without tiles.
+const MAP_TILE_URL = '';
+
+// Weather, elevation and density sources
+const dataProviders = registerDefaultProviders(new DataProviderRegistry(), {
+    openWeatherMapKey: WEATHER_API_KEY
+});
+dataProviders.loadSelection();
+
 // Current environmental data
 let currentData = {
     latitude: 0,
@@ -19,12 +29,39 @@ let currentData = {
     heading: 0,
     weatherDescription: '',
     timeOfDay: 0.5,
+    timestamp: null,
     populationDensity: 0.5, // 0 = rural, 1 = dense urban
     trafficDensity: 0.0, // 0 = no traffic, 1 = heavy traffic
     elevation: 0, // meters above sea level
     rainfall: 0 // mm/hour (0 = no rain, >0 = active rain)
 };
 
+// Control labels
+const MODE_DISPLAY_NAMES = {
+    'drone': 'Drone',
+    'pulse': 'Pulse',
+    'click': 'Click',
+    'granular': 'Granular',
+    'fm': 'FM',
+    'pluck': 'Pluck'
+};
+const MODE_COLORS = {
+    'drone': '#a50',
+    'pulse': '#0a5',
+    'click': '#50a',
+    'granular': '#a05',
+    'fm': '#05a',
+    'pluck': '#5a0'
+};
+const WAVEFORM_DISPLAY_NAMES = {
+    'sine': 'Sine',
+    'sawtooth': 'Sawtooth', 
+    'organ': 'Organ',
+    'square': 'Square',
+    'metallic': 'Metallic',
+    'harsh': 'Harsh'
+};
+
 // DOM elements
 const toggleBtn = document.getElementById('toggleBtn');
 const compassBtn = document.getElementById('compassBtn');
@@ -40,6 +77,163 @@ const headingEl = document.getElementById('heading');
 const tempEl = document.getElementById('temp');
 const weatherEl = document.getElementById('weather');
 const timeEl = document.getElementById('time');
+const traceInput = document.getElementById('traceInput');
+const bitDepthSelect = document.getElementById('bitDepthSelect');
+const renderDateInput = document.getElementById('renderDateInput');
+const renderBtn = document.getElementById('renderBtn');
+const renderStatusEl = document.getElementById('renderStatus');
+const sessionSelect = document.getElementById('sessionSelect');
+const replaySpeedSelect = document.getElementById('replaySpeedSelect');
+const sessionImportInput = document.getElementById('sessionImportInput');
+const sessionStatusEl = document.getElementById('sessionStatus');
+const recordBtn = document.getElementById('recordBtn');
+const replayBtn = document.getElementById('replayBtn');
+const exportSessionBtn = document.getElementById('exportSessionBtn');
+const deleteSessionBtn = document.getElementById('deleteSessionBtn');
+const trackInput = document.getElementById('trackInput');
+const trackSpeedSelect = document.getElementById('trackSpeedSelect');
+const trackStatusEl = document.getElementById('trackStatus');
+const clearTrackBtn = document.getElementById('clearTrackBtn');
+const routeListEl = document.getElementById('routeList');
+const addRouteBtn = document.getElementById('addRouteBtn');
+const resetMappingBtn = document.getElementById('resetMappingBtn');
+const mappingPresetSelect = document.getElementById('mappingPresetSelect');
+const mappingNameInput = document.getElementById('mappingNameInput');
+const mappingImportInput = document.getElementById('mappingImportInput');
+const mappingStatusEl = document.getElementById('mappingStatus');
+const saveMappingBtn = document.getElementById('saveMappingBtn');
+const loadMappingBtn = document.getElementById('loadMappingBtn');
+const deleteMappingBtn = document.getElementById('deleteMappingBtn');
+const exportMappingBtn = document.getElementById('exportMappingBtn');
+const sclInput = document.getElementById('sclInput');
+const kbmInput = document.getElementById('kbmInput');
+const scaleStatusEl = document.getElementById('scaleStatus');
+const importScaleBtn = document.getElementById('importScaleBtn');
+const removeScaleBtn = document.getElementById('removeScaleBtn');
+const harmonicEditorEl = document.getElementById('harmonicEditor');
+const waveNameInput = document.getElementById('waveNameInput');
+const waveStatusEl = document.getElementById('waveStatus');
+const environmentWaveBtn = document.getElementById('environmentWaveBtn');
+const saveWaveBtn = document.getElementById('saveWaveBtn');
+const removeWaveBtn = document.getElementById('removeWaveBtn');
+const masterLevelInput = document.getElementById('masterLevel');
+const trafficBtn = document.getElementById('trafficBtn');
+const trafficLevelInput = document.getElementById('trafficLevel');
+const quantizeBtn = document.getElementById('quantizeBtn');
+const quantizeRootSelect = document.getElementById('quantizeRootSelect');
+const quantizeStrengthInput = document.getElementById('quantizeStrength');
+const glideInput = document.getElementById('glideInput');
+const slewInput = document.getElementById('slewInput');
+const driftInput = document.getElementById('driftInput');
+const transitionInput = document.getElementById('transitionInput');
+const seedInput = document.getElementById('seedInput');
+const newSeedBtn = document.getElementById('newSeedBtn');
+const mixerListEl = document.getElementById('mixerList');
+const resetMixerBtn = document.getElementById('resetMixerBtn');
+const presetSelect = document.getElementById('presetSelect');
+const presetNameInput = document.getElementById('presetNameInput');
+const presetImportInput = document.getElementById('presetImportInput');
+const presetStatusEl = document.getElementById('presetStatus');
+const savePresetBtn = document.getElementById('savePresetBtn');
+const loadPresetBtn = document.getElementById('loadPresetBtn');
+const deletePresetBtn = document.getElementById('deletePresetBtn');
+const exportPresetBtn = document.getElementById('exportPresetBtn');
+const routeMapCanvas = document.getElementById('routeMapCanvas');
+const mapParameterSelect = document.getElementById('mapParameterSelect');
+const mapTilesBtn = document.getElementById('mapTilesBtn');
+const clearMapBtn = document.getElementById('clearMapBtn');
+const visualizerCanvas = document.getElementById('visualizerCanvas');
+const visualizerViewBtn = document.getElementById('visualizerViewBtn');
+const visualizerFullscreenBtn = document.getElementById('visualizerFullscreenBtn');
+const midiBtn = document.getElementById('midiBtn');
+const midiOutputSelect = document.getElementById('midiOutputSelect');
+const midiModeSelect = document.getElementById('midiModeSelect');
+const midiChannelSelect = document.getElementById('midiChannelSelect');
+const midiBendSelect = document.getElementById('midiBendSelect');
+const midiControlListEl = document.getElementById('midiControlList');
+const addMidiControlBtn = document.getElementById('addMidiControlBtn');
+const midiStatusEl = document.getElementById('midiStatus');
+const controllerBtn = document.getElementById('controllerBtn');
+const controllerTargetSelect = document.getElementById('controllerTargetSelect');
+const controllerActionSelect = document.getElementById('controllerActionSelect');
+const learnBtn = document.getElementById('learnBtn');
+const releaseBtn = document.getElementById('releaseBtn');
+const controllerMappingListEl = document.getElementById('controllerMappingList');
+const controllerStatusEl = document.getElementById('controllerStatus');
+const oscUrlInput = document.getElementById('oscUrlInput');
+const oscBtn = document.getElementById('oscBtn');
+const oscStatusEl = document.getElementById('oscStatus');
+const simulateBtn = document.getElementById('simulateBtn');
+const fastForwardSelect = document.getElementById('fastForwardSelect');
+const simulationSlidersEl = document.getElementById('simulationSliders');
+const simulationStatusEl = document.getElementById('simulationStatus');
+const providerSelects = new Map([
+    ['weather', document.getElementById('weatherProviderSelect')],
+    ['elevation', document.getElementById('elevationProviderSelect')],
+    ['density', document.getElementById('densityProviderSelect')]
+]);
+
+// Trace loaded for offline rendering
+let loadedTrace = null;
+
+// Session recording and replay
+const sessionRecorder = new SessionRecorder();
+let sessionPlayer = null;
+// A recording too big for local storage, kept until it is exported
+let unsavedSession = null;
+
+// Imported GPX/GeoJSON track used in place of GPS
+let loadedTrack = null;
+let trackPlayer = null;
+
+// Modulation matrix editing and mapping presets
+const mappingPresets = new PresetStore('envirosines.mappings');
+
+// Full sound presets: mode, waveform, scale, levels and mappings
+const soundPresets = new PresetStore('envirosines.presets');
+// The current sound setup, restored on the next page load
+const SETTINGS_STORAGE_KEY = 'envirosines.settings';
+
+// Scales imported from Scala files
+const importedScales = new PresetStore('envirosines.scales');
+const CUSTOM_SCALE_PREFIX = 'scl:';
+const mappingEditor = new MappingEditor(routeListEl, () => audioEngine.updateFrequencies());
+
+// Waveforms drawn in the harmonic editor; unsaved edits play as the draft wave
+const savedWaves = new PresetStore('envirosines.waves');
+const CUSTOM_WAVE_PREFIX = 'wave:';
+const DRAFT_WAVE_ID = 'draft';
+const harmonicEditor = new HarmonicEditor(harmonicEditorEl, editWave);
+
+// Spectrum / oscilloscope view of the master output
+const visualizer = new Visualizer(visualizerCanvas);
+
+// Travelled route coloured by sound state
+const routeMap = new RouteMap(routeMapCanvas, { modeColors: MODE_COLORS, tileUrl: MAP_TILE_URL });
+
+// Voices as MIDI notes for external synths
+const midiOutput = new MidiOutput();
+
+// MIDI controller overrides for live performance
+const midiInput = new MidiInput();
+let engineUpdateTimer = null;
+
+// External sensors and patches over OSC (see osc-relay.js)
+const oscBridge = new OscBridge();
+
+// Simulated environment: sliders replace GPS, compass, weather and the clock
+const SIMULATION_FIELDS = [
+    'latitude', 'longitude', 'speed', 'heading', 'temperature', 'humidity', 'rainfall',
+    'elevation', 'populationDensity', 'trafficDensity', 'timeOfDay'
+];
+const SIMULATION_TICK_MS = 100;
+let simulating = false;
+let simulationRunning = false;
+let fastForwardInterval = null;
+const simulationInputs = {};
+
+// Per-voice mixer controls, filled in by createMixer()
+const mixerControls = [];
 
 // Initialize
 toggleBtn.addEventListener('click', toggleAudio);
@@ -47,6 +241,76 @@ compassBtn.addEventListener('click', enableCompass);
 modeBtn.addEventListener('click', toggleMode);
 waveformBtn.addEventListener('click', toggleWaveform);
 scaleSelect.addEventListener('change', changeScale);
+traceInput.addEventListener('change', loadTrace);
+renderBtn.addEventListener('click', renderTrace);
+renderDateInput.addEventListener('change', () => audioEngine.applySettings({ date: renderDateInput.value || null }));
+recordBtn.addEventListener('click', toggleRecording);
+replayBtn.addEventListener('click', toggleReplay);
+exportSessionBtn.addEventListener('click', exportSession);
+deleteSessionBtn.addEventListener('click', deleteSession);
+sessionImportInput.addEventListener('change', importSession);
+trackInput.addEventListener('change', loadTrack);
+clearTrackBtn.addEventListener('click', clearTrack);
+addRouteBtn.addEventListener('click', addRoute);
+resetMappingBtn.addEventListener('click', resetMapping);
+saveMappingBtn.addEventListener('click', saveMapping);
+loadMappingBtn.addEventListener('click', loadMapping);
+deleteMappingBtn.addEventListener('click', deleteMapping);
+exportMappingBtn.addEventListener('click', exportMapping);
+mappingImportInput.addEventListener('change', importMapping);
+importScaleBtn.addEventListener('click', importScale);
+removeScaleBtn.addEventListener('click', removeScale);
+environmentWaveBtn.addEventListener('click', deriveWave);
+saveWaveBtn.addEventListener('click', saveWave);
+removeWaveBtn.addEventListener('click', removeWave);
+masterLevelInput.addEventListener('input', () => audioEngine.setMasterLevel(parseFloat(masterLevelInput.value)));
+trafficBtn.addEventListener('click', toggleTraffic);
+trafficLevelInput.addEventListener('input', () => audioEngine.setTrafficLevel(parseFloat(trafficLevelInput.value)));
+quantizeBtn.addEventListener('click', toggleQuantize);
+seedInput.addEventListener('change', changeSeed);
+glideInput.addEventListener('input', () => audioEngine.setSmoothing({ pitch: parseFloat(glideInput.value) }));
+slewInput.addEventListener('input', () => {
+    const seconds = parseFloat(slewInput.value);
+    audioEngine.setSmoothing({ filter: seconds, mix: seconds, pan: seconds });
+});
+driftInput.addEventListener('input', () => audioEngine.setSmoothing({ walk: parseFloat(driftInput.value) }));
+transitionInput.addEventListener('input', () => audioEngine.setSmoothing({ transition: parseFloat(transitionInput.value) }));
+newSeedBtn.addEventListener('click', () => {
+    audioEngine.setSeed(randomSeed());
+    updateSoundControls();
+});
+quantizeRootSelect.addEventListener('change', () => audioEngine.setQuantize({ root: parseInt(quantizeRootSelect.value, 10) }));
+quantizeStrengthInput.addEventListener('input', () => audioEngine.setQuantize({ strength: parseFloat(quantizeStrengthInput.value) }));
+resetMixerBtn.addEventListener('click', () => {
+    audioEngine.resetVoices();
+    updateMixerControls();
+});
+savePresetBtn.addEventListener('click', savePreset);
+loadPresetBtn.addEventListener('click', loadPreset);
+deletePresetBtn.addEventListener('click', deletePreset);
+exportPresetBtn.addEventListener('click', exportPreset);
+presetImportInput.addEventListener('change', importPreset);
+providerSelects.forEach((select, kind) => {
+    select.addEventListener('change', () => changeProvider(kind, select.value));
+});
+visualizerViewBtn.addEventListener('click', toggleVisualizerView);
+mapParameterSelect.addEventListener('change', () => routeMap.setParameter(mapParameterSelect.value));
+mapTilesBtn.addEventListener('click', toggleMapTiles);
+clearMapBtn.addEventListener('click', () => routeMap.clear());
+visualizerFullscreenBtn.addEventListener('click', enterVisualizerFullscreen);
+midiBtn.addEventListener('click', toggleMidi);
+midiOutputSelect.addEventListener('change', () => changeMidiSetting(() => midiOutput.setOutput(midiOutputSelect.value)));
+midiModeSelect.addEventListener('change', () => changeMidiSetting(() => midiOutput.setMode(midiModeSelect.value)));
+midiChannelSelect.addEventListener('change', () => changeMidiSetting(() => midiOutput.setChannel(parseInt(midiChannelSelect.value, 10))));
+midiBendSelect.addEventListener('change', () => changeMidiSetting(() => midiOutput.setBendRange(parseInt(midiBendSelect.value, 10))));
+addMidiControlBtn.addEventListener('click', addMidiControl);
+controllerBtn.addEventListener('click', toggleController);
+controllerTargetSelect.addEventListener('change', updateControllerControls);
+learnBtn.addEventListener('click', toggleLearn);
+releaseBtn.addEventListener('click', releaseOverrides);
+oscBtn.addEventListener('click', toggleOsc);
+simulateBtn.addEventListener('click', toggleSimulation);
+fastForwardSelect.addEventListener('change', updateFastForward);
 
 audioEngine.onFrequencyUpdate = (frequencies) => {
     frequencies.forEach((freq, i) => {
@@ -55,6 +319,7 @@ audioEngine.onFrequencyUpdate = (frequencies) => {
             freqEl.textContent = `${freq.toFixed(1)} Hz`;
         }
     });
+    midiOutput.sendControls(audioEngine);
 };
 
 async function toggleAudio() {
@@ -71,42 +336,18 @@ async function startAudio() {
         statusEl.textContent = 'Starting audio...';
         statusEl.classList.add('active');
         await audioEngine.start();
+        visualizer.start(audioEngine);
         
-        // Request location permission AFTER audio is initialized
-        if (!navigator.geolocation) {
-            alert('Geolocation not supported by your browser');
+        if (sessionPlayer) {
+            // Replay drives the engine instead of live sensors
+            sessionPlayer.start();
+        } else if (!startLiveSources()) {
+            visualizer.stop();
             audioEngine.stop();
             statusEl.classList.remove('active');
             return;
         }
         
-        statusEl.textContent = 'Getting location...';
-        
-        // Start location tracking
-        locationWatchId = navigator.geolocation.watchPosition(
-            onLocationUpdate,
-            onLocationError,
-            {
-                enableHighAccuracy: true,
-                maximumAge: 0,
-                timeout: 5000
-            }
-        );
-        
-        // Update time of day every second
-        updateInterval = setInterval(updateTimeOfDay, 1000);
-        
-        // Fetch weather every 5 minutes
-        fetchWeather();
-        weatherFetchInterval = setInterval(fetchWeather, 5 * 60 * 1000);
-        
-        // Show compass enable button
-        if (window.DeviceOrientationEvent) {
-            compassBtn.style.display = 'block';
-        } else {
-            headingEl.textContent = 'Not supported';
-        }
-        
         // Show mode toggle button
         modeBtn.style.display = 'block';
         
@@ -120,7 +361,8 @@ async function startAudio() {
         toggleBtn.textContent = 'Stop';
         toggleBtn.classList.remove('btn-start');
         toggleBtn.classList.add('btn-stop');
-        statusEl.textContent = 'Running';
+        statusEl.textContent = sessionPlayer ? 'Replaying session' : 'Running';
+        recordBtn.disabled = !!sessionPlayer;
         
         isRunning = true;
         
@@ -133,7 +375,95 @@ async function startAudio() {
 
 function stopAudio() {
     // Stop audio
+    visualizer.stop();
     audioEngine.stop();
+    midiOutput.allNotesOff();
+    
+    stopLiveSources();
+    
+    // Stop replay and save any recording in progress
+    if (sessionPlayer) {
+        sessionPlayer.stop();
+        sessionPlayer = null;
+        replayBtn.textContent = 'Replay';
+    }
+    
+    if (sessionRecorder.isRecording) {
+        toggleRecording();
+    }
+    recordBtn.disabled = true;
+    
+    // Update UI
+    toggleBtn.textContent = 'Start';
+    toggleBtn.classList.remove('btn-stop');
+    toggleBtn.classList.add('btn-start');
+    statusEl.textContent = 'Stopped';
+    statusEl.classList.remove('active');
+    
+    // Hide sound controls (the engine keeps its mode, waveform and scale for the next start)
+    modeBtn.style.display = 'none';
+    waveformBtn.style.display = 'none';
+    scaleSelector.style.display = 'none';
+    saveCurrentSettings();
+    
+    isRunning = false;
+}
+
+function startLiveSources() {
+    if (simulating) {
+        startSimulation();
+        return true;
+    }
+    
+    if (loadedTrack) {
+        // Imported track stands in for GPS
+        trackPlayer = new TrackPlayer(loadedTrack, parseFloat(trackSpeedSelect.value));
+        trackPlayer.onPosition = onLocationUpdate;
+        trackPlayer.onEnd = () => {
+            trackStatusEl.textContent = 'Track finished';
+        };
+        trackPlayer.start();
+        trackStatusEl.textContent = 'Playing track';
+    } else {
+        // Request location permission AFTER audio is initialized
+        if (!navigator.geolocation) {
+            alert('Geolocation not supported by your browser');
+            return false;
+        }
+        
+        statusEl.textContent = 'Getting location...';
+        
+        // Start location tracking
+        locationWatchId = navigator.geolocation.watchPosition(
+            onLocationUpdate,
+            onLocationError,
+            {
+                enableHighAccuracy: true,
+                maximumAge: 0,
+                timeout: 5000
+            }
+        );
+    }
+    
+    // Update time of day every second
+    updateInterval = setInterval(updateTimeOfDay, 1000);
+    
+    // Fetch weather every 5 minutes
+    fetchWeather();
+    weatherFetchInterval = setInterval(fetchWeather, 5 * 60 * 1000);
+    
+    // Show compass enable button
+    if (window.DeviceOrientationEvent) {
+        compassBtn.style.display = 'block';
+    } else {
+        headingEl.textContent = 'Not supported';
+    }
+    
+    return true;
+}
+
+function stopLiveSources() {
+    stopSimulation();
     
     // Stop location tracking
     if (locationWatchId !== null) {
@@ -141,6 +471,11 @@ function stopAudio() {
         locationWatchId = null;
     }
     
+    if (trackPlayer) {
+        trackPlayer.stop();
+        trackPlayer = null;
+    }
+    
     // Remove orientation listener
     if (window.DeviceOrientationEvent) {
         window.removeEventListener('deviceorientation', onOrientationChange);
@@ -157,73 +492,819 @@ function stopAudio() {
         weatherFetchInterval = null;
     }
     
-    // Update UI
-    toggleBtn.textContent = 'Start';
-    toggleBtn.classList.remove('btn-stop');
-    toggleBtn.classList.add('btn-start');
-    statusEl.textContent = 'Stopped';
-    statusEl.classList.remove('active');
-    
     // Hide and reset compass button
     compassBtn.style.display = 'none';
     compassBtn.textContent = 'Enable Compass';
     compassBtn.disabled = false;
     compassBtn.style.background = '#05a';
+}
+
+// One slider per environmental field, over the modulation matrix's source range
+function createSimulationSliders() {
+    SIMULATION_FIELDS.forEach(field => {
+        const range = MODULATION_SOURCES[field];
+        const row = document.createElement('div');
+        row.className = 'control-row';
+        
+        const label = document.createElement('label');
+        label.className = 'label';
+        label.htmlFor = `simulate-${field}`;
+        label.textContent = field === 'timeOfDay' ? 'Time:' : `${range.label}:`;
+        
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.id = `simulate-${field}`;
+        input.className = 'range-input';
+        input.min = range.min;
+        input.max = range.max;
+        input.step = (range.max - range.min) / 1000;
+        input.disabled = true;
+        input.addEventListener('input', () => setSimulatedValue(field, parseFloat(input.value)));
+        
+        const value = document.createElement('span');
+        value.className = 'value';
+        
+        row.appendChild(label);
+        row.appendChild(input);
+        row.appendChild(value);
+        simulationSlidersEl.appendChild(row);
+        simulationInputs[field] = { input, value };
+    });
+}
+
+function formatSimulatedValue(field, value) {
+    if (field === 'timeOfDay') return formatTimeOfDay(value);
+    const span = MODULATION_SOURCES[field].max - MODULATION_SOURCES[field].min;
+    return value.toFixed(span >= 100 ? 0 : span >= 10 ? 1 : 2);
+}
+
+function syncSimulationSliders() {
+    SIMULATION_FIELDS.forEach(field => {
+        const { input, value } = simulationInputs[field];
+        input.value = currentData[field];
+        input.disabled = !simulating;
+        value.textContent = formatSimulatedValue(field, currentData[field]);
+    });
+}
+
+function setSimulatedValue(field, value) {
+    currentData[field] = value;
+    if (field === 'timeOfDay') {
+        currentData.timestamp = simulatedTimestamp(value);
+    }
+    simulationInputs[field].value.textContent = formatSimulatedValue(field, value);
     
-    // Hide mode button
-    modeBtn.style.display = 'none';
-    modeBtn.textContent = 'Mode: Drone';
+    if (simulationRunning) {
+        scheduleEngineUpdate();
+    } else {
+        updateDataDisplay();
+    }
+}
+
+// Today's date at the simulated time, so the solar position follows the scrubber
+function simulatedTimestamp(timeOfDay) {
+    const midnight = new Date();
+    midnight.setHours(0, 0, 0, 0);
+    return midnight.getTime() + timeOfDay * DAY_MS;
+}
+
+function toggleSimulation() {
+    simulating = !simulating;
+    simulateBtn.textContent = simulating ? 'Simulate: On' : 'Simulate: Off';
+    simulateBtn.classList.toggle('active', simulating);
+    simulationStatusEl.textContent = simulating
+        ? 'Sliders replace GPS, compass, weather and clock'
+        : 'Using GPS, compass, weather and clock';
     
-    // Hide waveform button
-    waveformBtn.style.display = 'none';
-    waveformBtn.textContent = 'Wave: Sine';
+    currentData.weatherDescription = simulating ? 'simulated' : '';
+    if (simulating) {
+        currentData.timestamp = simulatedTimestamp(currentData.timeOfDay);
+    }
+    syncSimulationSliders();
+    updateDataDisplay();
     
-    // Hide scale selector
-    scaleSelector.style.display = 'none';
-    scaleSelect.value = 'dreyblatt';
+    // Swap a running live session between sensors and sliders
+    if (isRunning && !sessionPlayer) {
+        stopLiveSources();
+        startLiveSources();
+    }
+}
+
+function startSimulation() {
+    simulationRunning = true;
+    updateDataDisplay();
+    updateAudioEngine();
+    updateFastForward();
+}
+
+function stopSimulation() {
+    simulationRunning = false;
+    clearFastForward();
+}
+
+function clearFastForward() {
+    if (fastForwardInterval) {
+        clearInterval(fastForwardInterval);
+        fastForwardInterval = null;
+    }
+}
+
+// Advance the simulated clock at the chosen multiple of real time
+function updateFastForward() {
+    clearFastForward();
     
-    isRunning = false;
+    const rate = parseFloat(fastForwardSelect.value);
+    if (!simulationRunning || rate <= 0) return;
+    
+    fastForwardInterval = setInterval(() => {
+        const timeOfDay = (currentData.timeOfDay + rate * SIMULATION_TICK_MS / DAY_MS) % 1;
+        simulationInputs.timeOfDay.input.value = timeOfDay;
+        setSimulatedValue('timeOfDay', timeOfDay);
+        updateDataDisplay();
+    }, SIMULATION_TICK_MS);
 }
 
 function toggleMode() {
-    const modes = ['drone', 'pulse', 'click'];
-    const currentIndex = modes.indexOf(audioEngine.mode);
-    const nextIndex = (currentIndex + 1) % modes.length;
-    const newMode = modes[nextIndex];
+    const currentIndex = ENGINE_MODES.indexOf(audioEngine.mode);
+    const nextIndex = (currentIndex + 1) % ENGINE_MODES.length;
+    const newMode = ENGINE_MODES[nextIndex];
     
     audioEngine.setMode(newMode);
-    
-    // Update button text and color
-    const displayNames = { 'drone': 'Drone', 'pulse': 'Pulse', 'click': 'Click' };
-    const colors = { 'drone': '#a50', 'pulse': '#0a5', 'click': '#50a' };
-    
-    modeBtn.textContent = `Mode: ${displayNames[newMode]}`;
-    modeBtn.style.background = colors[newMode];
+    updateSoundControls();
 }
 
 function toggleWaveform() {
-    const waveforms = ['sine', 'sawtooth', 'organ', 'square', 'metallic', 'harsh'];
+    const waveforms = audioEngine.listWaveforms();
     const currentIndex = waveforms.indexOf(audioEngine.waveform);
     const nextIndex = (currentIndex + 1) % waveforms.length;
     const newWaveform = waveforms[nextIndex];
     
     audioEngine.setWaveform(newWaveform);
+    showWaveform();
+    updateSoundControls();
+}
+
+function waveformName(id) {
+    const custom = audioEngine.customWaveforms[id];
+    return custom ? custom.name : WAVEFORM_DISPLAY_NAMES[id];
+}
+
+// Sync the mode/waveform/scale/level controls with the engine
+function updateSoundControls() {
+    modeBtn.textContent = `Mode: ${MODE_DISPLAY_NAMES[audioEngine.mode]}`;
+    modeBtn.style.background = MODE_COLORS[audioEngine.mode];
+    waveformBtn.textContent = `Wave: ${waveformName(audioEngine.waveform)}`;
+    scaleSelect.value = audioEngine.scale;
+    masterLevelInput.value = audioEngine.masterLevel;
+    trafficLevelInput.value = audioEngine.trafficLevel;
+    trafficBtn.textContent = audioEngine.trafficEnabled ? 'Traffic: On' : 'Traffic: Off';
+    trafficBtn.classList.toggle('active', audioEngine.trafficEnabled);
+    quantizeBtn.textContent = audioEngine.quantize.enabled ? 'Quantize: On' : 'Quantize: Off';
+    quantizeBtn.classList.toggle('active', audioEngine.quantize.enabled);
+    quantizeRootSelect.value = audioEngine.quantize.root;
+    quantizeStrengthInput.value = audioEngine.quantize.strength;
+    seedInput.value = audioEngine.seed;
+    renderDateInput.value = audioEngine.date || '';
+    glideInput.value = audioEngine.smoothing.pitch;
+    slewInput.value = audioEngine.smoothing.filter;
+    driftInput.value = audioEngine.smoothing.walk;
+    transitionInput.value = audioEngine.smoothing.transition;
+    updateMixerControls();
+}
+
+// A row per voice: what drives it, enable / mute / solo, trim and pan offset
+function createMixer() {
+    VOICE_ROLES.forEach((role, index) => {
+        const row = document.createElement('div');
+        row.className = 'mixer-row';
+        
+        const label = document.createElement('span');
+        label.className = 'mixer-label';
+        label.textContent = `${index} ${role}`;
+        row.appendChild(label);
+        
+        const toggle = (text, title, name) => {
+            const button = document.createElement('button');
+            button.className = 'toggle-btn';
+            button.textContent = text;
+            button.title = title;
+            button.addEventListener('click', () => {
+                audioEngine.setVoice(index, { [name]: !audioEngine.voices[index][name] });
+                updateMixerControls();
+            });
+            row.appendChild(button);
+            return button;
+        };
+        
+        const slider = (min, max, title, name) => {
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.className = 'range-input';
+            input.min = min;
+            input.max = max;
+            input.step = 0.01;
+            input.title = title;
+            input.setAttribute('aria-label', `Voice ${index} ${title.toLowerCase()}`);
+            input.addEventListener('input', () => audioEngine.setVoice(index, { [name]: parseFloat(input.value) }));
+            row.appendChild(input);
+            return input;
+        };
+        
+        mixerControls[index] = {
+            enabled: toggle('On', 'Enable or disable this voice', 'enabled'),
+            mute: toggle('M', 'Mute', 'mute'),
+            solo: toggle('S', 'Solo', 'solo'),
+            trim: slider(0, VOICE_TRIM_MAX, 'Trim', 'trim'),
+            pan: slider(-1, 1, 'Pan offset', 'pan')
+        };
+        mixerListEl.appendChild(row);
+    });
+}
+
+function updateMixerControls() {
+    audioEngine.voices.forEach((voice, index) => {
+        const controls = mixerControls[index];
+        if (!controls) return;
+        
+        controls.enabled.textContent = voice.enabled ? 'On' : 'Off';
+        controls.enabled.classList.toggle('active', voice.enabled);
+        controls.mute.classList.toggle('active', voice.mute);
+        controls.solo.classList.toggle('active', voice.solo);
+        controls.trim.value = voice.trim;
+        controls.pan.value = voice.pan;
+    });
+}
+
+function toggleVisualizerView() {
+    const view = visualizer.view === 'spectrum' ? 'scope' : 'spectrum';
+    visualizer.setView(view);
+    visualizerViewBtn.textContent = view === 'scope' ? 'View: Scope' : 'View: Spectrum';
+}
+
+function enterVisualizerFullscreen() {
+    const request = visualizerCanvas.requestFullscreen || visualizerCanvas.webkitRequestFullscreen;
+    if (request) {
+        request.call(visualizerCanvas);
+    }
+}
+
+async function toggleMidi() {
+    if (midiOutput.engine) {
+        midiOutput.detach();
+        midiBtn.textContent = 'MIDI: Off';
+        midiBtn.classList.remove('active');
+        midiOutputSelect.disabled = true;
+        midiStatusEl.textContent = 'MIDI output off';
+        return;
+    }
+    
+    try {
+        midiStatusEl.textContent = 'Requesting MIDI access...';
+        const outputs = await midiOutput.requestAccess();
+        midiOutput.applySettings(readMidiSettings());
+        midiOutput.onOutputsChange = refreshMidiOutputs;
+        refreshMidiOutputs(outputs);
+        midiOutput.attach(audioEngine);
+        
+        midiBtn.textContent = 'MIDI: On';
+        midiBtn.classList.add('active');
+        midiOutputSelect.disabled = false;
+    } catch (error) {
+        console.error('MIDI error:', error);
+        midiStatusEl.textContent = 'Error: ' + error.message;
+    }
+}
+
+function refreshMidiOutputs(outputs) {
+    midiOutputSelect.innerHTML = '';
+    
+    if (outputs.length === 0) {
+        const option = document.createElement('option');
+        option.value = '';
+        option.textContent = 'No MIDI outputs';
+        midiOutputSelect.appendChild(option);
+        midiStatusEl.textContent = 'No MIDI outputs found';
+        return;
+    }
+    
+    outputs.forEach(output => {
+        const option = document.createElement('option');
+        option.value = output.id;
+        option.textContent = output.name;
+        midiOutputSelect.appendChild(option);
+    });
+    
+    if (!midiOutput.output) {
+        midiOutput.setOutput(outputs[0].id);
+    }
+    midiOutputSelect.value = midiOutput.output.id;
+    midiStatusEl.textContent = `Sending to ${midiOutput.output.name}`;
+}
+
+function populateMidiControls() {
+    Object.keys(MIDI_MODES).forEach(mode => {
+        const option = document.createElement('option');
+        option.value = mode;
+        option.textContent = MIDI_MODES[mode];
+        midiModeSelect.appendChild(option);
+    });
+    
+    for (let channel = 1; channel <= 16; channel++) {
+        const option = document.createElement('option');
+        option.value = channel;
+        option.textContent = String(channel);
+        midiChannelSelect.appendChild(option);
+    }
+    
+    MIDI_BEND_RANGES.forEach(range => {
+        const option = document.createElement('option');
+        option.value = range;
+        option.textContent = `±${range} semitones`;
+        midiBendSelect.appendChild(option);
+    });
+    
+    if (!MidiOutput.isSupported()) {
+        midiBtn.disabled = true;
+        midiStatusEl.textContent = 'Web MIDI is not supported in this browser';
+    }
+}
+
+// Sync the MIDI selects and CC list with midiOutput
+function updateMidiControls() {
+    midiModeSelect.value = midiOutput.mode;
+    midiChannelSelect.value = midiOutput.channel;
+    midiBendSelect.value = midiOutput.bendRange;
+    // MPE always uses channel 1 as its master channel; single channel mode has no bend
+    midiChannelSelect.disabled = midiOutput.mode === 'mpe';
+    midiBendSelect.disabled = midiOutput.mode === 'single';
+    renderMidiControls();
+}
+
+function renderMidiControls() {
+    midiControlListEl.innerHTML = '';
+    
+    midiOutput.controls.forEach((control, index) => {
+        const row = document.createElement('div');
+        row.className = 'route-row';
+        
+        const sourceSelect = document.createElement('select');
+        sourceSelect.className = 'route-select';
+        Object.keys(MODULATION_SOURCES).forEach(source => {
+            const option = document.createElement('option');
+            option.value = source;
+            option.textContent = MODULATION_SOURCES[source].label;
+            sourceSelect.appendChild(option);
+        });
+        sourceSelect.value = control.source;
+        sourceSelect.addEventListener('change', () => updateMidiControl(index, { source: sourceSelect.value }));
+        
+        const ccInput = document.createElement('input');
+        ccInput.type = 'number';
+        ccInput.min = 0;
+        ccInput.max = 119;
+        ccInput.step = 1;
+        ccInput.className = 'route-number';
+        ccInput.title = 'CC number';
+        ccInput.value = control.cc;
+        ccInput.addEventListener('change', () => updateMidiControl(index, { cc: Number(ccInput.value) }));
+        
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'route-remove';
+        removeBtn.textContent = '×';
+        removeBtn.title = 'Remove CC';
+        removeBtn.addEventListener('click', () => {
+            changeMidiSetting(() => midiOutput.setControls(midiOutput.controls.filter((_, i) => i !== index)));
+        });
+        
+        row.appendChild(sourceSelect);
+        row.appendChild(ccInput);
+        row.appendChild(removeBtn);
+        midiControlListEl.appendChild(row);
+    });
+}
+
+function updateMidiControl(index, changes) {
+    const controls = midiOutput.controls.map((control, i) => i === index ? { ...control, ...changes } : control);
+    changeMidiSetting(() => midiOutput.setControls(controls));
+}
+
+function addMidiControl() {
+    const used = midiOutput.controls.map(control => control.cc);
+    let cc = 20;
+    while (used.includes(cc) && cc < 119) cc++;
+    changeMidiSetting(() => midiOutput.setControls([...midiOutput.controls, { source: 'temperature', cc }]));
+}
+
+// Apply a MIDI change, then persist it and refresh the controls (invalid input is reverted)
+function changeMidiSetting(change) {
+    try {
+        change();
+        localStorage.setItem(MIDI_STORAGE_KEY, JSON.stringify(midiOutput.getSettings()));
+        if (midiOutput.output) {
+            midiStatusEl.textContent = `Sending to ${midiOutput.output.name}`;
+        }
+    } catch (error) {
+        midiStatusEl.textContent = 'Error: ' + error.message;
+    }
+    updateMidiControls();
+}
+
+function readMidiSettings() {
+    try {
+        return JSON.parse(localStorage.getItem(MIDI_STORAGE_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+async function toggleController() {
+    if (midiInput.enabled) {
+        midiInput.close();
+        controllerBtn.textContent = 'Controller: Off';
+        controllerBtn.classList.remove('active');
+        learnBtn.textContent = 'Learn';
+        learnBtn.disabled = true;
+        controllerStatusEl.textContent = 'Controller input off';
+        return;
+    }
+    
+    try {
+        controllerStatusEl.textContent = 'Requesting MIDI access...';
+        const inputs = await midiInput.requestAccess();
+        controllerBtn.textContent = 'Controller: On';
+        controllerBtn.classList.add('active');
+        learnBtn.disabled = false;
+        controllerStatusEl.textContent = inputs.length > 0
+            ? `Listening to ${inputs.map(input => input.name).join(', ')}`
+            : 'No MIDI inputs found - connect a controller';
+    } catch (error) {
+        console.error('MIDI error:', error);
+        controllerStatusEl.textContent = 'Error: ' + error.message;
+    }
+}
+
+function populateControllerTargets() {
+    const environment = document.createElement('optgroup');
+    environment.label = 'Environment';
+    MIDI_INPUT_ENVIRONMENT.forEach(target => {
+        const option = document.createElement('option');
+        option.value = target;
+        option.textContent = MidiInput.targetLabel(target);
+        environment.appendChild(option);
+    });
+    
+    const sound = document.createElement('optgroup');
+    sound.label = 'Sound';
+    Object.keys(MIDI_INPUT_SELECTORS).forEach(target => {
+        const option = document.createElement('option');
+        option.value = target;
+        option.textContent = MidiInput.targetLabel(target);
+        sound.appendChild(option);
+    });
+    
+    controllerTargetSelect.appendChild(environment);
+    controllerTargetSelect.appendChild(sound);
+    
+    if (!MidiOutput.isSupported()) {
+        controllerBtn.disabled = true;
+        controllerStatusEl.textContent = 'Web MIDI is not supported in this browser';
+    }
+}
+
+// Mode, waveform and scale only switch; they have no override/offset action
+function updateControllerControls() {
+    controllerActionSelect.disabled = !!MIDI_INPUT_SELECTORS[controllerTargetSelect.value];
+}
+
+function renderControllerMappings() {
+    controllerMappingListEl.innerHTML = '';
+    
+    midiInput.mappings.forEach((mapping, index) => {
+        const row = document.createElement('div');
+        row.className = 'route-row';
+        
+        const label = document.createElement('span');
+        label.className = 'route-label';
+        label.textContent = MidiInput.describe(mapping);
+        
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'route-remove';
+        removeBtn.textContent = '×';
+        removeBtn.title = 'Remove mapping';
+        removeBtn.addEventListener('click', () => {
+            midiInput.removeMapping(index);
+            saveControllerMappings();
+            renderControllerMappings();
+            scheduleEngineUpdate();
+        });
+        
+        row.appendChild(label);
+        row.appendChild(removeBtn);
+        controllerMappingListEl.appendChild(row);
+    });
+}
+
+function toggleLearn() {
+    if (midiInput.learning) {
+        midiInput.learn(null);
+        learnBtn.textContent = 'Learn';
+        controllerStatusEl.textContent = 'Learn cancelled';
+        return;
+    }
+    
+    const target = controllerTargetSelect.value;
+    midiInput.learn(target, controllerActionSelect.value);
+    learnBtn.textContent = 'Cancel';
+    controllerStatusEl.textContent = `Move a control or press a key for ${MidiInput.targetLabel(target)}`;
+}
+
+function releaseOverrides() {
+    midiInput.release();
+    controllerStatusEl.textContent = 'Following live data';
+    updateAudioEngine();
+    updateDataDisplay();
+}
+
+function saveControllerMappings() {
+    localStorage.setItem(MIDI_INPUT_STORAGE_KEY, JSON.stringify(midiInput.mappings));
+}
+
+function loadControllerMappings() {
+    try {
+        const mappings = JSON.parse(localStorage.getItem(MIDI_INPUT_STORAGE_KEY)) || [];
+        midiInput.setMappings(mappings);
+    } catch (e) {
+        midiInput.setMappings([]);
+    }
+    renderControllerMappings();
+}
+
+// Controllers and OSC sensors send bursts of values; push them to the engine at most every 100ms
+function scheduleEngineUpdate() {
+    if (engineUpdateTimer) return;
+    
+    engineUpdateTimer = setTimeout(() => {
+        engineUpdateTimer = null;
+        updateAudioEngine();
+        updateDataDisplay();
+    }, 100);
+}
+
+// `position` is 0-1 from a CC, or null to step to the next entry
+function selectFromController(target, position) {
+    const choose = (values, current) => {
+        if (values.length === 0) return current;
+        const index = position === null
+            ? (values.indexOf(current) + 1) % values.length
+            : Math.min(values.length - 1, Math.floor(position * values.length));
+        return values[index];
+    };
+    
+    if (target === 'mode') {
+        audioEngine.setMode(choose(ENGINE_MODES, audioEngine.mode));
+    } else if (target === 'waveform') {
+        audioEngine.setWaveform(choose(audioEngine.listWaveforms(), audioEngine.waveform));
+        showWaveform();
+    } else if (target === 'scale') {
+        const scales = Array.from(scaleSelect.options).map(option => option.value);
+        const scale = choose(scales, audioEngine.scale);
+        if (scale === audioEngine.scale) return;
+        scaleSelect.value = scale;
+        changeScale();
+    }
+    updateSoundControls();
+}
+
+function toggleOsc() {
+    if (oscBridge.socket) {
+        oscBridge.disconnect();
+        oscStatusEl.textContent = 'Disconnected';
+        updateOscControls();
+        updateAudioEngine();
+        updateDataDisplay();
+        return;
+    }
+    
+    const url = oscUrlInput.value.trim();
+    if (!/^wss?:\/\//.test(url)) {
+        oscStatusEl.textContent = 'Enter a ws:// or wss:// address';
+        return;
+    }
+    
+    localStorage.setItem(OSC_STORAGE_KEY, url);
+    oscStatusEl.textContent = `Connecting to ${url}...`;
+    oscBridge.connect(url, audioEngine);
+    updateOscControls();
+}
+
+function updateOscControls() {
+    const active = !!oscBridge.socket;
+    oscBtn.textContent = active ? 'OSC: On' : 'OSC: Off';
+    oscBtn.classList.toggle('active', active);
+    oscUrlInput.disabled = active;
+}
+
+function toggleTraffic() {
+    audioEngine.setTrafficEnabled(!audioEngine.trafficEnabled);
+    updateSoundControls();
+}
+
+function toggleQuantize() {
+    audioEngine.setQuantize({ enabled: !audioEngine.quantize.enabled });
+    updateSoundControls();
+}
+
+function changeSeed() {
+    const seed = Number(seedInput.value);
+    
+    if (isValidSeed(seed)) {
+        audioEngine.setSeed(seed);
+    } else {
+        seedInput.value = audioEngine.seed;
+    }
+}
+
+function populateQuantizeRoots() {
+    QUANTIZE_ROOTS.forEach((name, pitchClass) => {
+        const option = document.createElement('option');
+        option.value = pitchClass;
+        option.textContent = `Root: ${name}`;
+        quantizeRootSelect.appendChild(option);
+    });
+}
+
+function changeScale() {
+    const newScale = scaleSelect.value;
+    audioEngine.setScale(newScale);
+    removeScaleBtn.disabled = !audioEngine.customScales[newScale];
+}
+
+function loadImportedScales() {
+    importedScales.list().forEach(name => {
+        try {
+            audioEngine.registerScale(CUSTOM_SCALE_PREFIX + name, importedScales.load(name));
+        } catch (error) {
+            console.warn(`Skipping stored scale "${name}":`, error.message);
+        }
+    });
+    refreshScaleOptions();
+}
+
+// Imported scales appear in their own group under the built-in ones
+function refreshScaleOptions() {
+    const existing = scaleSelect.querySelector('optgroup');
+    if (existing) existing.remove();
+    
+    const ids = Object.keys(audioEngine.customScales);
+    if (ids.length > 0) {
+        const group = document.createElement('optgroup');
+        group.label = 'Imported';
+        ids.forEach(id => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = audioEngine.customScales[id].name;
+            option.title = audioEngine.customScales[id].description;
+            group.appendChild(option);
+        });
+        scaleSelect.appendChild(group);
+    }
+    
+    scaleSelect.value = audioEngine.scale;
+    removeScaleBtn.disabled = !audioEngine.customScales[audioEngine.scale];
+}
+
+async function importScale() {
+    const sclFile = sclInput.files[0];
+    if (!sclFile) {
+        scaleStatusEl.textContent = 'Choose a .scl file first';
+        return;
+    }
+    
+    const kbmFile = kbmInput.files[0];
+    let step = sclFile.name;
+    
+    try {
+        const scl = parseScl(await readFileAsText(sclFile));
+        step = kbmFile ? kbmFile.name : step;
+        const kbm = kbmFile ? parseKbm(await readFileAsText(kbmFile)) : null;
+        
+        const name = sclFile.name.replace(/\.scl$/i, '') + (kbmFile ? ` (${kbmFile.name.replace(/\.kbm$/i, '')})` : '');
+        const scale = {
+            name,
+            description: scl.description,
+            ratios: buildScaleRatios(scl, kbm)
+        };
+        const id = CUSTOM_SCALE_PREFIX + name;
+        
+        audioEngine.registerScale(id, scale);
+        importedScales.save(name, scale);
+        audioEngine.setScale(id);
+        refreshScaleOptions();
+        scaleStatusEl.textContent = `Imported "${name}" (${scl.pitches.length} notes)`;
+    } catch (error) {
+        console.error('Scale import error:', error);
+        scaleStatusEl.textContent = `${step}: ${error.message}`;
+    }
+    
+    sclInput.value = '';
+    kbmInput.value = '';
+}
+
+function removeScale() {
+    const id = scaleSelect.value;
+    const scale = audioEngine.customScales[id];
+    if (!scale) return;
+    
+    importedScales.remove(id.slice(CUSTOM_SCALE_PREFIX.length));
+    audioEngine.unregisterScale(id);
+    if (audioEngine.scale === id) {
+        audioEngine.setScale('dreyblatt');
+    }
+    refreshScaleOptions();
+    scaleStatusEl.textContent = `Removed "${scale.name}"`;
+}
+
+function loadSavedWaves() {
+    savedWaves.list().forEach(name => {
+        try {
+            audioEngine.registerWaveform(CUSTOM_WAVE_PREFIX + name, savedWaves.load(name));
+        } catch (error) {
+            console.warn(`Skipping stored wave "${name}":`, error.message);
+        }
+    });
+    showWaveform();
+}
+
+// Load the playing waveform into the harmonic editor, as the starting point for a new one
+function showWaveform() {
+    const id = audioEngine.waveform;
+    const saved = id.startsWith(CUSTOM_WAVE_PREFIX) && audioEngine.customWaveforms[id];
+    
+    harmonicEditor.setHarmonics(audioEngine.getWaveformHarmonics(id));
+    waveNameInput.value = saved ? saved.name : '';
+    removeWaveBtn.disabled = !saved;
+}
+
+// Every edit is heard at once: the draft wave is updated in place while it plays
+function editWave() {
+    try {
+        audioEngine.registerWaveform(DRAFT_WAVE_ID, { name: 'Draft', ...harmonicEditor.getHarmonics() });
+    } catch (error) {
+        waveStatusEl.textContent = error.message;
+        return;
+    }
+    
+    if (audioEngine.waveform !== DRAFT_WAVE_ID) {
+        audioEngine.setWaveform(DRAFT_WAVE_ID);
+        updateSoundControls();
+    }
+    removeWaveBtn.disabled = true;
+    waveStatusEl.textContent = 'Playing draft - save to keep it';
+}
+
+function deriveWave() {
+    harmonicEditor.setHarmonics(environmentWaveHarmonics(audioEngine));
+    editWave();
+    waveStatusEl.textContent = `From ${Math.round(audioEngine.populationDensity * 100)}% density, ` +
+        `${audioEngine.temperature.toFixed(0)}°C, ${Math.round(audioEngine.humidity)}% humidity, ` +
+        `${audioEngine.rainfall.toFixed(1)} mm/h rain`;
+}
+
+function saveWave() {
+    const name = waveNameInput.value.trim();
+    if (!name) {
+        waveStatusEl.textContent = 'Wave name is required';
+        return;
+    }
+    
+    const wave = { name, ...harmonicEditor.getHarmonics() };
+    const id = CUSTOM_WAVE_PREFIX + name;
+    
+    try {
+        audioEngine.registerWaveform(id, wave);
+    } catch (error) {
+        waveStatusEl.textContent = error.message;
+        return;
+    }
     
-    // Update button text with display name
-    const displayNames = {
-        'sine': 'Sine',
-        'sawtooth': 'Sawtooth', 
-        'organ': 'Organ',
-        'square': 'Square',
-        'metallic': 'Metallic',
-        'harsh': 'Harsh'
-    };
-    waveformBtn.textContent = `Wave: ${displayNames[newWaveform]}`;
+    savedWaves.save(name, wave);
+    audioEngine.setWaveform(id);
+    updateSoundControls();
+    removeWaveBtn.disabled = false;
+    waveStatusEl.textContent = `Saved "${name}"`;
 }
 
-function changeScale() {
-    const newScale = scaleSelect.value;
-    audioEngine.setScale(newScale);
+function removeWave() {
+    const id = audioEngine.waveform;
+    const wave = audioEngine.customWaveforms[id];
+    if (!wave || !id.startsWith(CUSTOM_WAVE_PREFIX)) return;
+    
+    savedWaves.remove(id.slice(CUSTOM_WAVE_PREFIX.length));
+    audioEngine.setWaveform('sine');
+    audioEngine.unregisterWaveform(id);
+    showWaveform();
+    updateSoundControls();
+    waveStatusEl.textContent = `Removed "${wave.name}"`;
 }
 
 function onLocationUpdate(position) {
@@ -231,6 +1312,13 @@ function onLocationUpdate(position) {
     currentData.longitude = position.coords.longitude;
     currentData.speed = position.coords.speed || 0;
     
+    // Use course over ground as heading when the compass isn't providing one
+    const course = position.coords.heading;
+    if (!compassEnabled && typeof course === 'number' && !isNaN(course)) {
+        currentData.heading = course;
+        headingEl.textContent = formatHeading(course);
+    }
+    
     // Update UI
     latEl.textContent = `${currentData.latitude.toFixed(4)}°`;
     lonEl.textContent = `${currentData.longitude.toFixed(4)}°`;
@@ -244,6 +1332,26 @@ function onLocationUpdate(position) {
     
     // Update audio engine
     updateAudioEngine();
+    plotRoutePoint();
+}
+
+// Add the current position and resulting sound state to the route map
+function plotRoutePoint() {
+    const mod = audioEngine.modulationValues;
+    
+    routeMap.addPoint({
+        latitude: currentData.latitude,
+        longitude: currentData.longitude,
+        fundamental: audioEngine.fundamentalFreq,
+        lowpass: mod ? mod.lowpass : null,
+        mode: audioEngine.mode
+    });
+}
+
+function toggleMapTiles() {
+    routeMap.setTilesEnabled(!routeMap.tilesEnabled);
+    mapTilesBtn.textContent = routeMap.tilesEnabled ? 'Tiles: On' : 'Tiles: Off';
+    mapTilesBtn.classList.toggle('active', routeMap.tilesEnabled);
 }
 
 function onLocationError(error) {
@@ -277,9 +1385,7 @@ function onOrientationChange(event) {
     currentData.heading = heading;
     
     // Update UI every time (smooth display)
-    const directions = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
-    const dirIndex = Math.round(heading / 45) % 8;
-    headingEl.textContent = `${heading.toFixed(0)}° (${directions[dirIndex]})`;
+    headingEl.textContent = formatHeading(heading);
     
     // Throttle audio updates to prevent warbling
     const now = Date.now();
@@ -342,6 +1448,7 @@ function updateTimeOfDay() {
     
     // Convert to 0.0-1.0 scale (0 = midnight, 0.5 = noon)
     currentData.timeOfDay = (hours + minutes / 60 + seconds / 3600) / 24;
+    currentData.timestamp = now.getTime();
     
     // Update UI
     timeEl.textContent = now.toLocaleTimeString();
@@ -351,36 +1458,14 @@ function updateTimeOfDay() {
 }
 
 async function fetchPopulationDensity() {
-    // Use OpenStreetMap Overpass API to count buildings in area
-    // More buildings = higher population density
-    const radius = 500; // meters
-    const lat = currentData.latitude;
-    const lon = currentData.longitude;
-    
+    // Building density as a proxy for population density
     try {
-        const query = `
-            [out:json];
-            (
-                way["building"](around:${radius},${lat},${lon});
-                relation["building"](around:${radius},${lat},${lon});
-            );
-            out count;
-        `;
-        
-        const response = await fetch('https://overpass-api.de/api/interpreter', {
-            method: 'POST',
-            body: 'data=' + encodeURIComponent(query)
-        });
-        
-        const data = await response.json();
-        const buildingCount = data.elements.length;
+        const density = await dataProviders.fetch('density', currentData.latitude, currentData.longitude);
+        currentData.populationDensity = density.populationDensity;
         
-        // Normalize: 0-10 buildings = rural (0.0), 100+ = urban (1.0)
-        currentData.populationDensity = Math.min(1.0, buildingCount / 100);
-        
-        console.log(`Buildings in ${radius}m: ${buildingCount}, density: ${currentData.populationDensity.toFixed(2)}`);
+        console.log(`Buildings: ${density.buildingCount}, density: ${currentData.populationDensity.toFixed(2)} (${density.provider})`);
     } catch (error) {
-        console.error('OSM density fetch error:', error);
+        console.error('Density fetch error:', error);
         // Fallback to moderate density
         currentData.populationDensity = 0.5;
     }
@@ -388,7 +1473,7 @@ async function fetchPopulationDensity() {
 
 function updateTrafficDensity() {
     // Simulate traffic density based on speed and time
-    // Keeping this for potential future use (could affect other parameters)
+    // Drives the engine's traffic layer
     
     const speedMph = currentData.speed * 2.237; // m/s to mph
     const hour = new Date().getHours();
@@ -411,54 +1496,30 @@ function updateTrafficDensity() {
 }
 
 async function fetchWeather() {
-    if (WEATHER_API_KEY === 'YOUR_API_KEY_HERE') {
-        console.log('Weather API key not set');
-        weatherEl.textContent = 'API key needed';
-        return;
-    }
-    
     if (!currentData.latitude || !currentData.longitude) {
         return;
     }
     
-    // Fetch population density from OSM (building density as proxy)
+    // Fetch population density (building density as proxy)
     await fetchPopulationDensity();
     
-    // Fetch elevation from Open-Elevation API
+    // Fetch elevation
     await fetchElevation();
     
     // Simulate traffic density based on speed and time of day
     updateTrafficDensity();
     
     try {
-        const url = `https://api.openweathermap.org/data/2.5/weather?lat=${currentData.latitude}&lon=${currentData.longitude}&appid=${WEATHER_API_KEY}&units=metric`;
-        
-        const response = await fetch(url);
-        if (!response.ok) {
-            throw new Error('Weather fetch failed');
-        }
-        
-        const data = await response.json();
-        currentData.temperature = data.main.temp;
-        currentData.humidity = data.main.humidity;
-        currentData.weatherDescription = data.weather[0].description;
-        
-        // Extract rainfall data
-        // rain.1h = rainfall in last hour (mm)
-        currentData.rainfall = data.rain && data.rain['1h'] ? data.rain['1h'] : 0;
+        const weather = await dataProviders.fetch('weather', currentData.latitude, currentData.longitude);
+        currentData.temperature = weather.temperature;
+        currentData.humidity = weather.humidity;
+        currentData.weatherDescription = weather.description;
+        currentData.rainfall = weather.rainfall;
         
         // Update UI
         tempEl.textContent = `${currentData.temperature.toFixed(1)}°C`;
         
-        let weatherText = currentData.weatherDescription.charAt(0).toUpperCase() + 
-                         currentData.weatherDescription.slice(1) + 
-                         ` (${currentData.humidity}% humid)`;
-        
-        if (currentData.rainfall > 0) {
-            weatherText += ` - Rain: ${currentData.rainfall.toFixed(1)}mm/h`;
-        }
-        
-        weatherEl.textContent = weatherText;
+        weatherEl.textContent = formatWeather();
         
         // Update audio engine
         updateAudioEngine();
@@ -470,43 +1531,586 @@ async function fetchWeather() {
 }
 
 async function fetchElevation() {
-    // Use Open-Elevation API (free, no key needed)
-    const lat = currentData.latitude;
-    const lon = currentData.longitude;
+    try {
+        const result = await dataProviders.fetch('elevation', currentData.latitude, currentData.longitude);
+        currentData.elevation = result.elevation;
+        
+        console.log(`Elevation: ${currentData.elevation}m above sea level (${result.provider})`);
+    } catch (error) {
+        console.error('Elevation fetch error:', error);
+        // Fallback to sea level
+        currentData.elevation = 0;
+    }
+}
+
+function populateProviderSelects() {
+    providerSelects.forEach((select, kind) => {
+        select.innerHTML = '';
+        dataProviders.getProviders(kind).forEach(provider => {
+            const option = document.createElement('option');
+            option.value = provider.name;
+            option.textContent = provider.label || provider.name;
+            select.appendChild(option);
+        });
+        select.value = dataProviders.getPrimary(kind);
+    });
+}
+
+function changeProvider(kind, name) {
+    dataProviders.setPrimary(kind, name);
+    dataProviders.saveSelection();
+    
+    // Refresh with the new source straight away
+    if (isRunning && !sessionPlayer) {
+        fetchWeather();
+    }
+}
+
+function formatHeading(heading) {
+    const directions = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+    const dirIndex = Math.round(heading / 45) % 8;
+    return `${heading.toFixed(0)}° (${directions[dirIndex]})`;
+}
+
+function formatWeather() {
+    let weatherText = currentData.weatherDescription.charAt(0).toUpperCase() + 
+                     currentData.weatherDescription.slice(1) + 
+                     ` (${currentData.humidity}% humid)`;
+    
+    if (currentData.rainfall > 0) {
+        weatherText += ` - Rain: ${currentData.rainfall.toFixed(1)}mm/h`;
+    }
+    
+    return weatherText;
+}
+
+function formatTimeOfDay(timeOfDay) {
+    const totalSeconds = Math.floor(timeOfDay * 24 * 3600);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    return [hours, minutes, seconds].map(v => String(v).padStart(2, '0')).join(':');
+}
+
+// Refresh every data readout from currentData (used when data doesn't come from live sensors)
+function updateDataDisplay() {
+    const data = performedData();
+    latEl.textContent = `${data.latitude.toFixed(4)}°`;
+    lonEl.textContent = `${data.longitude.toFixed(4)}°`;
+    speedEl.textContent = `${(data.speed * 2.237).toFixed(1)} mph`;
+    headingEl.textContent = formatHeading(data.heading);
+    tempEl.textContent = `${data.temperature.toFixed(1)}°C`;
+    weatherEl.textContent = data.weatherDescription ? formatWeather() : '--';
+    timeEl.textContent = formatTimeOfDay(data.timeOfDay);
+}
+
+function toggleRecording() {
+    if (sessionRecorder.isRecording) {
+        const session = sessionRecorder.stop();
+        
+        recordBtn.textContent = 'Record';
+        recordBtn.classList.remove('recording');
+        
+        if (session.events.length === 0) return;
+        
+        try {
+            SessionRecorder.saveSession(session);
+            refreshSessionList(session.id);
+            sessionStatusEl.textContent = `Saved ${session.events.length} snapshots`;
+        } catch (error) {
+            console.error('Session save error:', error);
+            unsavedSession = session;
+            exportSessionBtn.disabled = false;
+            sessionStatusEl.textContent = `Could not store session (${error.message}) - Export to download it`;
+        }
+    } else {
+        sessionRecorder.start();
+        sessionRecorder.capture(currentData);
+        recordBtn.textContent = 'Stop Recording';
+        recordBtn.classList.add('recording');
+        sessionStatusEl.textContent = 'Recording...';
+    }
+}
+
+async function toggleReplay() {
+    if (sessionPlayer) {
+        stopReplay();
+    } else {
+        await startReplay();
+    }
+}
+
+async function startReplay() {
+    const session = SessionRecorder.loadSession(sessionSelect.value);
+    if (!session) {
+        sessionStatusEl.textContent = 'No session selected';
+        return;
+    }
+    
+    if (sessionRecorder.isRecording) {
+        toggleRecording();
+    }
+    
+    sessionPlayer = new SessionPlayer(session, parseFloat(replaySpeedSelect.value));
+    sessionPlayer.onData = (data, index, total) => {
+        Object.assign(currentData, data);
+        updateDataDisplay();
+        updateAudioEngine();
+        plotRoutePoint();
+        sessionStatusEl.textContent = `Replaying ${index + 1}/${total}`;
+    };
+    sessionPlayer.onEnd = () => {
+        sessionStatusEl.textContent = 'Replay finished';
+    };
+    
+    replayBtn.textContent = 'Stop Replay';
+    recordBtn.disabled = true;
+    
+    if (isRunning) {
+        stopLiveSources();
+        statusEl.textContent = 'Replaying session';
+        sessionPlayer.start();
+    } else {
+        await startAudio();
+    }
+}
+
+function stopReplay() {
+    sessionPlayer.stop();
+    sessionPlayer = null;
+    replayBtn.textContent = 'Replay';
+    sessionStatusEl.textContent = 'Replay stopped';
+    
+    // Hand control back to the live sensors
+    if (isRunning) {
+        recordBtn.disabled = false;
+        if (startLiveSources()) {
+            statusEl.textContent = 'Running';
+        }
+    }
+}
+
+function refreshSessionList(selectedId) {
+    const sessions = SessionRecorder.listSessions();
+    
+    sessionSelect.innerHTML = '';
+    sessions.forEach(entry => {
+        const option = document.createElement('option');
+        option.value = entry.id;
+        option.textContent = `${entry.name} (${entry.eventCount})`;
+        sessionSelect.appendChild(option);
+    });
+    
+    if (selectedId) {
+        sessionSelect.value = selectedId;
+    }
+    
+    replayBtn.disabled = sessions.length === 0;
+    exportSessionBtn.disabled = sessions.length === 0 && !unsavedSession;
+    deleteSessionBtn.disabled = sessions.length === 0;
+}
+
+// An unsaved recording is exported first, and dropped once downloaded
+function exportSession() {
+    const session = unsavedSession || SessionRecorder.loadSession(sessionSelect.value);
+    if (!session) return;
+    
+    const blob = new Blob([JSON.stringify(session)], { type: 'application/json' });
+    downloadBlob(blob, `envirosines-session-${session.id}.json`);
+    
+    if (session === unsavedSession) {
+        unsavedSession = null;
+        refreshSessionList();
+        sessionStatusEl.textContent = 'Session downloaded';
+    }
+}
+
+function deleteSession() {
+    if (!sessionSelect.value) return;
+    
+    SessionRecorder.deleteSession(sessionSelect.value);
+    refreshSessionList();
+    sessionStatusEl.textContent = 'Session deleted';
+}
+
+async function importSession() {
+    const file = sessionImportInput.files[0];
+    if (!file) return;
     
     try {
-        const url = `https://api.open-elevation.com/api/v1/lookup?locations=${lat},${lon}`;
-        const response = await fetch(url);
+        const session = JSON.parse(await readFileAsText(file));
         
-        if (!response.ok) {
-            throw new Error('Elevation fetch failed');
+        if (!Array.isArray(session.events) || session.events.length === 0) {
+            throw new Error('Session has no events');
         }
         
-        const data = await response.json();
-        currentData.elevation = data.results[0].elevation;
+        session.id = session.id || String(Date.now());
+        session.name = session.name || file.name.replace(/\.json$/, '');
+        session.startedAt = session.startedAt || Date.now();
         
-        console.log(`Elevation: ${currentData.elevation}m above sea level`);
+        SessionRecorder.saveSession(session);
+        refreshSessionList(session.id);
+        sessionStatusEl.textContent = `Imported ${session.events.length} snapshots`;
     } catch (error) {
-        console.error('Elevation fetch error:', error);
-        // Fallback to sea level
-        currentData.elevation = 0;
+        console.error('Session import error:', error);
+        sessionStatusEl.textContent = 'Invalid session: ' + error.message;
+    }
+    
+    sessionImportInput.value = '';
+}
+
+async function loadTrack() {
+    const file = trackInput.files[0];
+    if (!file) return;
+    
+    try {
+        loadedTrack = parseTrack(await readFileAsText(file));
+        
+        const durationMin = (loadedTrack[loadedTrack.length - 1].time - loadedTrack[0].time) / 60000;
+        trackStatusEl.textContent = `${loadedTrack.length} points, ${durationMin.toFixed(1)} min`;
+        clearTrackBtn.disabled = false;
+        
+        // Switch a running live session over to the track
+        if (isRunning && !sessionPlayer) {
+            stopLiveSources();
+            startLiveSources();
+        }
+    } catch (error) {
+        console.error('Track load error:', error);
+        loadedTrack = null;
+        trackStatusEl.textContent = 'Invalid track: ' + error.message;
+    }
+    
+    trackInput.value = '';
+}
+
+function clearTrack() {
+    loadedTrack = null;
+    clearTrackBtn.disabled = true;
+    trackStatusEl.textContent = 'Using GPS';
+    
+    if (isRunning && !sessionPlayer) {
+        stopLiveSources();
+        startLiveSources();
+    }
+}
+
+function addRoute() {
+    audioEngine.modulation.addRoute({
+        source: 'speed',
+        destination: 'pitch',
+        curve: 'linear',
+        min: 0,
+        max: 0.5,
+        depth: 1
+    });
+    mappingEditor.render();
+    audioEngine.updateFrequencies();
+}
+
+function resetMapping() {
+    applyMapping(new ModulationMatrix());
+    mappingStatusEl.textContent = 'Default mapping restored';
+}
+
+function applyMapping(matrix) {
+    audioEngine.setModulationMatrix(matrix);
+    mappingEditor.setMatrix(matrix);
+}
+
+function refreshMappingPresets(selectedName) {
+    const names = mappingPresets.list();
+    
+    mappingPresetSelect.innerHTML = '';
+    names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        mappingPresetSelect.appendChild(option);
+    });
+    
+    if (selectedName) {
+        mappingPresetSelect.value = selectedName;
+    }
+    
+    loadMappingBtn.disabled = names.length === 0;
+    deleteMappingBtn.disabled = names.length === 0;
+}
+
+function saveMapping() {
+    const name = mappingNameInput.value.trim() || mappingPresetSelect.value;
+    
+    try {
+        mappingPresets.save(name, audioEngine.modulation.toJSON());
+        refreshMappingPresets(name);
+        mappingStatusEl.textContent = `Saved "${name}"`;
+    } catch (error) {
+        mappingStatusEl.textContent = 'Could not save: ' + error.message;
+    }
+}
+
+function loadMapping() {
+    const name = mappingPresetSelect.value;
+    
+    try {
+        applyMapping(ModulationMatrix.fromJSON(mappingPresets.load(name)));
+        mappingNameInput.value = name;
+        mappingStatusEl.textContent = `Loaded "${name}"`;
+    } catch (error) {
+        mappingStatusEl.textContent = 'Invalid mapping: ' + error.message;
+    }
+}
+
+function deleteMapping() {
+    const name = mappingPresetSelect.value;
+    if (!name) return;
+    
+    mappingPresets.remove(name);
+    refreshMappingPresets();
+    mappingStatusEl.textContent = `Deleted "${name}"`;
+}
+
+function exportMapping() {
+    const name = mappingNameInput.value.trim() || 'mapping';
+    const json = { name, ...audioEngine.modulation.toJSON() };
+    const blob = new Blob([JSON.stringify(json, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `envirosines-${name.replace(/[^a-z0-9-_]+/gi, '-')}.json`);
+}
+
+async function importMapping() {
+    const file = mappingImportInput.files[0];
+    if (!file) return;
+    
+    try {
+        const json = JSON.parse(await readFileAsText(file));
+        const matrix = ModulationMatrix.fromJSON(json);
+        const name = json.name || file.name.replace(/\.json$/, '');
+        
+        mappingPresets.save(name, matrix.toJSON());
+        applyMapping(matrix);
+        refreshMappingPresets(name);
+        mappingNameInput.value = name;
+        mappingStatusEl.textContent = `Imported "${name}"`;
+    } catch (error) {
+        console.error('Mapping import error:', error);
+        mappingStatusEl.textContent = 'Invalid mapping: ' + error.message;
+    }
+    
+    mappingImportInput.value = '';
+}
+
+function refreshPresetList(selectedName) {
+    const names = soundPresets.list();
+    
+    presetSelect.innerHTML = '';
+    names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        presetSelect.appendChild(option);
+    });
+    
+    if (selectedName) {
+        presetSelect.value = selectedName;
+    }
+    
+    loadPresetBtn.disabled = names.length === 0;
+    deletePresetBtn.disabled = names.length === 0;
+}
+
+function saveCurrentSettings() {
+    try {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(audioEngine.getSettings()));
+    } catch (error) {
+        console.warn('Could not save settings:', error.message);
+    }
+}
+
+// Saved settings that no longer apply (e.g. a deleted custom scale) are ignored
+function restoreCurrentSettings() {
+    try {
+        const settings = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+        if (settings) applyPreset(settings);
+    } catch (error) {
+        console.warn('Could not restore settings:', error.message);
+    }
+}
+
+function applyPreset(settings) {
+    audioEngine.applySettings(settings);
+    // Keep a preset's imported scale, as if it had come through the import dialog
+    if (settings.customScale && settings.scale.startsWith(CUSTOM_SCALE_PREFIX)) {
+        importedScales.save(settings.scale.slice(CUSTOM_SCALE_PREFIX.length), audioEngine.customScales[settings.scale]);
+    }
+    // and its saved wave, as if it had been saved from the Waves panel
+    if (settings.customWaveform && settings.waveform.startsWith(CUSTOM_WAVE_PREFIX)) {
+        savedWaves.save(settings.waveform.slice(CUSTOM_WAVE_PREFIX.length), audioEngine.customWaveforms[settings.waveform]);
+    }
+    mappingEditor.setMatrix(audioEngine.modulation);
+    refreshScaleOptions();
+    showWaveform();
+    updateSoundControls();
+}
+
+function savePreset() {
+    const name = presetNameInput.value.trim() || presetSelect.value;
+    
+    try {
+        soundPresets.save(name, audioEngine.getSettings());
+        refreshPresetList(name);
+        presetStatusEl.textContent = `Saved "${name}"`;
+    } catch (error) {
+        presetStatusEl.textContent = 'Could not save: ' + error.message;
+    }
+}
+
+function loadPreset() {
+    const name = presetSelect.value;
+    
+    try {
+        applyPreset(soundPresets.load(name));
+        presetNameInput.value = name;
+        presetStatusEl.textContent = `Loaded "${name}"`;
+    } catch (error) {
+        presetStatusEl.textContent = 'Invalid preset: ' + error.message;
+    }
+}
+
+function deletePreset() {
+    const name = presetSelect.value;
+    if (!name) return;
+    
+    soundPresets.remove(name);
+    refreshPresetList();
+    presetStatusEl.textContent = `Deleted "${name}"`;
+}
+
+function exportPreset() {
+    const name = presetNameInput.value.trim() || 'preset';
+    const json = { name, ...audioEngine.getSettings() };
+    const blob = new Blob([JSON.stringify(json, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `envirosines-preset-${name.replace(/[^a-z0-9-_]+/gi, '-')}.json`);
+}
+
+async function importPreset() {
+    const file = presetImportInput.files[0];
+    if (!file) return;
+    
+    try {
+        const json = JSON.parse(await readFileAsText(file));
+        const name = json.name || file.name.replace(/\.json$/, '');
+        delete json.name;
+        
+        applyPreset(json);
+        soundPresets.save(name, audioEngine.getSettings());
+        refreshPresetList(name);
+        presetNameInput.value = name;
+        presetStatusEl.textContent = `Imported "${name}"`;
+    } catch (error) {
+        console.error('Preset import error:', error);
+        presetStatusEl.textContent = 'Invalid preset: ' + error.message;
     }
+    
+    presetImportInput.value = '';
+}
+
+// Live data with OSC inputs and then controller overrides on top
+function performedData() {
+    return midiInput.applyTo(oscBridge.applyTo(currentData));
 }
 
 function updateAudioEngine() {
+    // Sessions record what was played, not the raw sensor values
+    const data = performedData();
+    sessionRecorder.capture(data);
+    
     audioEngine.setEnvironmentalData(
-        currentData.latitude,
-        currentData.longitude,
-        currentData.speed,
-        currentData.temperature,
-        currentData.humidity,
-        currentData.heading,
-        currentData.timeOfDay,
-        currentData.populationDensity,
-        currentData.trafficDensity,
-        currentData.elevation,
-        currentData.rainfall
+        data.latitude,
+        data.longitude,
+        data.speed,
+        data.temperature,
+        data.humidity,
+        data.heading,
+        data.timeOfDay,
+        data.populationDensity,
+        data.trafficDensity,
+        data.elevation,
+        data.rainfall,
+        data.timestamp
     );
+    routeMap.setHeading(data.heading);
+}
+
+async function loadTrace() {
+    const file = traceInput.files[0];
+    if (!file) return;
+    
+    try {
+        const trace = JSON.parse(await readFileAsText(file));
+        const events = Array.isArray(trace) ? trace : trace.events;
+        
+        if (!Array.isArray(events) || events.length === 0) {
+            throw new Error('Trace has no events');
+        }
+        
+        // An exported session's startedAt dates traces whose events have no timestamp
+        loadedTrace = { events, startedAt: trace.startedAt };
+        renderBtn.disabled = false;
+        renderStatusEl.textContent = `${events.length} events loaded`;
+    } catch (error) {
+        console.error('Trace load error:', error);
+        loadedTrace = null;
+        renderBtn.disabled = true;
+        renderStatusEl.textContent = 'Invalid trace: ' + error.message;
+    }
+}
+
+async function renderTrace() {
+    if (!loadedTrace) return;
+    
+    renderBtn.disabled = true;
+    
+    try {
+        const renderer = new OfflineRenderer();
+        renderer.onProgress = (progress) => {
+            renderStatusEl.textContent = `Rendering... ${Math.round(progress * 100)}%`;
+        };
+        
+        // Render with the currently selected sound settings, including the render date
+        const buffer = await renderer.render(loadedTrace, audioEngine.getSettings());
+        
+        const bitDepth = parseInt(bitDepthSelect.value, 10);
+        const blob = encodeWAV(buffer, bitDepth);
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        downloadBlob(blob, `envirosines-${stamp}.wav`);
+        
+        renderStatusEl.textContent = `Rendered ${buffer.duration.toFixed(1)}s (${bitDepth}-bit)`;
+    } catch (error) {
+        console.error('Render error:', error);
+        renderStatusEl.textContent = 'Render failed: ' + error.message;
+    }
+    
+    renderBtn.disabled = false;
+}
+
+function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
 // Wake lock for iOS to keep audio running
@@ -522,6 +2126,12 @@ async function requestWakeLock() {
     }
 }
 
+// Keep the sound setup for the next visit; pagehide is the last event iOS reliably fires
+window.addEventListener('pagehide', saveCurrentSettings);
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') saveCurrentSettings();
+});
+
 // Request wake lock when starting
 document.addEventListener('visibilitychange', async () => {
     if (wakeLock !== null && document.visibilityState === 'visible') {
@@ -537,4 +2147,65 @@ document.addEventListener('touchstart', () => {
 }, { passive: true });
 
 // Initialize time display
-updateTimeOfDay();
\ No newline at end of file
+updateTimeOfDay();
+
+// Populate saved sessions
+refreshSessionList();
+
+// Populate data source choices
+populateProviderSelects();
+
+// Show the active modulation routes
+mappingEditor.setMatrix(audioEngine.modulation);
+refreshMappingPresets();
+
+// Route map starts empty; tiles only when a source is configured
+routeMap.render();
+if (!MAP_TILE_URL) {
+    mapTilesBtn.style.display = 'none';
+}
+
+// Element fullscreen isn't available everywhere (e.g. iPhone Safari)
+if (!visualizerCanvas.requestFullscreen && !visualizerCanvas.webkitRequestFullscreen) {
+    visualizerFullscreenBtn.style.display = 'none';
+}
+
+// Imported scales, sound presets and controls
+createMixer();
+loadImportedScales();
+loadSavedWaves();
+populateQuantizeRoots();
+refreshPresetList();
+restoreCurrentSettings();
+updateSoundControls();
+
+// MIDI settings are restored now; the output is chosen once access is granted
+populateMidiControls();
+midiOutput.applySettings(readMidiSettings());
+updateMidiControls();
+
+// Controller mappings are saved; input starts when the Controller button is tapped
+midiInput.onLearn = (mapping) => {
+    learnBtn.textContent = 'Learn';
+    controllerStatusEl.textContent = `Learned ${MidiInput.describe(mapping)}`;
+    saveControllerMappings();
+    renderControllerMappings();
+};
+midiInput.onEnvironment = scheduleEngineUpdate;
+midiInput.onSelect = selectFromController;
+populateControllerTargets();
+updateControllerControls();
+loadControllerMappings();
+
+// OSC reconnects only on request; the last address is remembered
+oscBridge.onData = scheduleEngineUpdate;
+oscBridge.onStatus = (message) => {
+    oscStatusEl.textContent = message;
+    updateOscControls();
+    scheduleEngineUpdate();
+};
+oscUrlInput.value = localStorage.getItem(OSC_STORAGE_KEY) || OSC_DEFAULT_URL;
+
+// Simulation sliders start from the current data and stay disabled until Simulate is on
+createSimulationSliders();
+syncSimulationSliders();
\ No newline at end of file
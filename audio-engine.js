@@ -1,11 +1,44 @@
+const ENGINE_MODES = ['drone', 'pulse', 'click', 'granular', 'fm', 'pluck'];
+const ENGINE_WAVEFORMS = ['sine', 'sawtooth', 'organ', 'square', 'metallic', 'harsh'];
+const ENGINE_SETTINGS_VERSION = 1;
+const QUANTIZE_ROOTS = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const QUANTIZE_C4 = 261.6256;
+const VOICE_COUNT = 9;
+const SMOOTHING_MAX_SECONDS = 10;
+const VOICE_TRIM_MAX = 2;
+// Voices still sounding when the mode changes fade out over this many seconds
+const VOICE_RELEASE_SECONDS = 0.05;
+const GRAIN_LEVEL = 0.07;
+const GRAIN_SCATTER_CENTS = 30; // each grain is detuned by up to this much either way
+const PLUCK_LEVEL = 0.2;
+
+function defaultVoiceMix() {
+    return { enabled: true, mute: false, solo: false, trim: 1, pan: 0 };
+}
+
 class EnvironmentalAudioEngine {
-    constructor() {
+    // options.createContext and options.timers ({ setTimeout, clearTimeout }) let the engine
+    // run against a mock or offline context and a virtual clock
+    constructor(options = {}) {
+        this.createContext = options.createContext ||
+            (() => new (window.AudioContext || window.webkitAudioContext)());
+        this.timers = options.timers || {
+            setTimeout: (callback, delay) => setTimeout(callback, delay),
+            clearTimeout: (timer) => clearTimeout(timer)
+        };
         this.audioContext = null;
+        // The sounding voice bank (see createBank); oscillators, gainNodes and fmGains are its nodes
+        this.bank = null;
         this.oscillators = [];
         this.gainNodes = [];
+        this.fmGains = [];
+        this.fadingBanks = []; // banks on their way out after a mode or waveform change
+        this.voiceGains = [];
         this.panners = [];
+        this.voiceBus = null;
         this.convolver = null;
         this.masterGain = null;
+        this.analyser = null;
         this.dryGain = null;
         this.wetGain = null;
         this.lowPassFilter = null;
@@ -15,8 +48,31 @@ class EnvironmentalAudioEngine {
         this.mode = 'drone';
         this.waveform = 'sine';
         this.scale = 'dreyblatt';
+        this.customScales = {};
+        this.customWaveforms = {};
+        // Per-voice mixer, on top of the per-mode loudness in scheduleSporadicPulse
+        this.voices = Array.from({ length: VOICE_COUNT }, defaultVoiceMix);
+        // root is a pitch class (0 = C); strength 0 = free drift, 1 = strict tuning
+        this.quantize = { enabled: false, root: 9, strength: 1 };
+        // All randomness comes from streams derived from this seed (see resetRandom)
+        this.seed = randomSeed();
+        this.random = null;
+        this.bufferRandom = null;
+        this.voiceRandom = [];
+        this.resetRandom();
+        // Slew times in seconds for continuous parameters; `walk` is how far the random
+        // part of the fundamental can wander per square-root second (0 = fixed);
+        // `transition` is the crossfade time for mode and waveform changes
+        this.smoothing = { pitch: 2, filter: 0.5, mix: 0.5, pan: 0.5, walk: 0.05, transition: 2 };
+        this.glides = []; // { target, endTime } of each voice's latest pitch glide
+        this.detunes = []; // { time, value } grain detune changes per voice, from the latest past one on
         this.fundamentalFreq = 200;
-        this.sporadicTimers = [];
+        this.masterLevel = 1.0;
+        // Pulses, clicks and fades are queued on the audio clock rather than on timers
+        this.scheduler = new EventScheduler(() => this.audioContext.currentTime, this.timers);
+        this.envelopes = []; // gain segments per voice, for cutting a fade short (see envelopeValueAt)
+        this.scheduledClicks = []; // { source, time } of clicks still to come
+        this.clickWorklet = false; // whether click-processor.js loaded as a worklet module
         
         this.latitude = 0;
         this.longitude = 0;
@@ -25,32 +81,58 @@ class EnvironmentalAudioEngine {
         this.humidity = 50;
         this.heading = 0;
         this.timeOfDay = 0.5;
+        this.timestamp = null;
+        this.date = null; // 'YYYY-MM-DD' the sun follows for data without a timestamp; null = today
         this.elevation = 0;
         this.rainfall = 0;
         this.sunElevation = 0;
+        this.sunAzimuth = 180;
+        this.sunrise = 0.25;
+        this.sunset = 0.75;
         this.populationDensity = 0.5;
         this.trafficDensity = 0.0;
         this.lastHeading = 0;
-        this.pendingFrequencyUpdates = [];
         this.trafficOscillator = null;
         this.trafficGain = null;
+        this.trafficNoise = null;
+        this.trafficFilter = null;
+        this.trafficRumbleGain = null;
+        this.trafficLfo = null;
+        this.trafficLfoGain = null;
+        this.trafficEnabled = false;
+        this.trafficLevel = 0.5;
         this.onFrequencyUpdate = null;
+        // Called with { type: 'noteon' | 'noteoff' | 'pitch', voice, frequency, gain, time } (e.g. for MIDI).
+        // `time` is on the audio clock and may be up to SCHEDULER_LOOKAHEAD seconds ahead;
+        // { type: 'cancel', time } means every note announced for later was withdrawn.
+        this.onVoiceEvent = null;
+        
+        this.modulation = new ModulationMatrix();
+        this.modulationValues = null;
     }
     
-    async start() {
+    async start(context = null) {
         if (this.isRunning) return;
         
-        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        
-        if (this.audioContext.state === 'suspended') {
-            await this.audioContext.resume();
-        }
+        // Same seed, same performance
+        this.resetRandom();
         
-        setTimeout(() => {
-            if (this.audioContext && this.audioContext.state === 'suspended') {
-                this.audioContext.resume();
+        if (context) {
+            // Externally supplied context (e.g. OfflineAudioContext for rendering)
+            this.audioContext = context;
+        } else {
+            this.audioContext = this.createContext();
+            
+            if (this.audioContext.state === 'suspended') {
+                await this.audioContext.resume();
             }
-        }, 100);
+            
+            this.setTimer(() => {
+                if (this.audioContext && this.audioContext.state === 'suspended') {
+                    this.audioContext.resume();
+                }
+            }, 100);
+        }
         
         this.convolver = this.audioContext.createConvolver();
         this.convolver.buffer = this.createReverbImpulse();
@@ -69,48 +151,286 @@ class EnvironmentalAudioEngine {
         this.highPassFilter.frequency.value = 100;
         
         this.masterGain = this.audioContext.createGain();
-        this.masterGain.gain.value = 1.0;
+        this.masterGain.gain.value = this.masterLevel;
         
         this.dryGain.connect(this.masterGain);
         this.wetGain.connect(this.convolver);
         this.convolver.connect(this.masterGain);
         this.masterGain.connect(this.audioContext.destination);
         
-        for (let i = 0; i < 9; i++) {
-            const oscillator = this.audioContext.createOscillator();
-            const gainNode = this.audioContext.createGain();
+        // Tap for visualizers; not connected onward
+        this.analyser = this.audioContext.createAnalyser();
+        this.analyser.fftSize = 4096;
+        this.analyser.smoothingTimeConstant = 0.8;
+        this.masterGain.connect(this.analyser);
+        
+        // The oscillator voices share a bus for the rain tremolo; clicks and traffic bypass it
+        this.voiceBus = this.audioContext.createGain();
+        this.voiceBus.connect(this.dryGain);
+        this.voiceBus.connect(this.wetGain);
+        
+        for (let i = 0; i < VOICE_COUNT; i++) {
+            const voiceGain = this.audioContext.createGain();
             const panner = this.audioContext.createStereoPanner();
             
             panner.pan.value = 0;
-            oscillator.type = this.waveform;
-            oscillator.frequency.value = 200;
-            gainNode.gain.value = 0;
+            voiceGain.gain.value = computeVoiceLevel(this.voices, i);
             
-            oscillator.connect(gainNode);
-            gainNode.connect(panner);
+            // Mixer level (voiceGain) -> pan
+            voiceGain.connect(panner);
             
             if (i === 0) {
                 panner.connect(this.highPassFilter);
                 this.highPassFilter.connect(this.lowPassFilter);
-                this.lowPassFilter.connect(this.dryGain);
-                this.lowPassFilter.connect(this.wetGain);
+                this.lowPassFilter.connect(this.voiceBus);
             } else {
-                panner.connect(this.dryGain);
-                panner.connect(this.wetGain);
+                panner.connect(this.voiceBus);
             }
             
-            oscillator.start();
-            
-            this.oscillators.push(oscillator);
-            this.gainNodes.push(gainNode);
+            this.voiceGains.push(voiceGain);
             this.panners.push(panner);
         }
         
+        this.useBank(this.createBank(1));
+        this.createTrafficVoice();
+        await this.createClickVoice();
+        
         this.isRunning = true;
         this.updateFrequencies();
         this.startSporadicOscillators();
     }
     
+    // A set of VOICE_COUNT oscillators, each through its envelope (gainNode) and a crossfade gain
+    // into the voice's mixer strip, at crossfade level `level`. Oscillators start at the current
+    // bank's pitch, so a new bank can take over without a jump.
+    createBank(level) {
+        const ctx = this.audioContext;
+        const now = ctx.currentTime;
+        const bank = {
+            oscillators: [],
+            gainNodes: [],
+            fades: [],
+            fmGains: [],
+            fade: { startTime: now, startValue: level, endTime: now, endValue: level, previous: null }
+        };
+        
+        for (let i = 0; i < VOICE_COUNT; i++) {
+            const oscillator = ctx.createOscillator();
+            const gainNode = ctx.createGain();
+            const fade = ctx.createGain();
+            
+            oscillator.frequency.value = this.oscillators[i] ? this.oscillators[i].frequency.value : 200;
+            if (this.glides[i]) this.glideFrequency(oscillator, this.glides[i], now);
+            gainNode.gain.value = 0;
+            fade.gain.value = level;
+            
+            oscillator.connect(gainNode);
+            gainNode.connect(fade);
+            fade.connect(this.voiceGains[i]);
+            oscillator.start();
+            
+            bank.oscillators.push(oscillator);
+            bank.gainNodes.push(gainNode);
+            bank.fades.push(fade);
+        }
+        
+        // FM mode: each modulator oscillator drives its carrier's frequency (see updateFmDepth)
+        bank.fmGains = FM_PAIRS.map(([carrier, modulator], i) => {
+            const fmGain = ctx.createGain();
+            fmGain.gain.value = 0;
+            bank.oscillators[modulator].connect(fmGain);
+            fmGain.connect(bank.oscillators[carrier].frequency);
+            return fmGain;
+        });
+        
+        this.applyWaveform(bank.oscillators, this.waveform);
+        return bank;
+    }
+    
+    useBank(bank) {
+        this.bank = bank;
+        this.oscillators = bank.oscillators;
+        this.gainNodes = bank.gainNodes;
+        this.fmGains = bank.fmGains;
+    }
+    
+    // Fade a new bank in over smoothing.transition while the current one fades out and stops.
+    // With `keepEnvelopes` the new bank takes over the voices' envelopes where they are;
+    // otherwise it starts silent and the old bank keeps whatever it was playing.
+    crossfadeBank(keepEnvelopes) {
+        const now = this.audioContext.currentTime;
+        const duration = this.smoothing.transition;
+        const previous = this.bank;
+        
+        const bank = this.createBank(0);
+        if (keepEnvelopes) {
+            bank.gainNodes.forEach((gainNode, i) => this.replayEnvelope(i, gainNode.gain, now));
+            bank.oscillators.forEach((osc, i) => this.replayDetune(i, osc.detune, now));
+        } else {
+            this.envelopes = [];
+            this.detunes = [];
+        }
+        
+        this.fadeBank(previous, 0, duration);
+        this.fadeBank(bank, 1, duration);
+        previous.oscillators.forEach(osc => osc.stop(now + duration));
+        this.fadingBanks.push(previous);
+        this.setTimer(() => this.releaseBank(previous), (duration + 0.1) * 1000);
+        this.useBank(bank);
+        this.updateFmDepth(0);
+    }
+    
+    // Disconnect a bank whose fade-out has ended
+    releaseBank(bank) {
+        if (!this.fadingBanks.includes(bank)) return;
+        this.fadingBanks = this.fadingBanks.filter(fading => fading !== bank);
+        bank.fades.forEach(fade => fade.disconnect());
+        bank.fmGains.forEach(fmGain => fmGain.disconnect());
+    }
+    
+    // Ramp a bank's crossfade gains from wherever they are now to `value`
+    fadeBank(bank, value, duration) {
+        const now = this.audioContext.currentTime;
+        const current = envelopeValueAt(bank.fade, now);
+        
+        bank.fades.forEach(fade => {
+            fade.gain.cancelScheduledValues(now);
+            fade.gain.setValueAtTime(current, now);
+            fade.gain.linearRampToValueAtTime(value, now + duration);
+        });
+        bank.fade = { startTime: now, startValue: current, endTime: now + duration, endValue: value, previous: null };
+    }
+    
+    // Copy voice `index`'s envelope from `now` on, including fades already queued, onto `param`
+    replayEnvelope(index, param, now) {
+        const segments = [];
+        for (let segment = this.envelopes[index]; segment; segment = segment.previous) {
+            segments.unshift(segment);
+        }
+        
+        param.setValueAtTime(envelopeValueAt(this.envelopes[index], now), now);
+        segments.forEach((segment, i) => {
+            // A segment is cut short where the next one starts
+            const next = segments[i + 1];
+            const start = Math.max(now, segment.startTime);
+            const end = next ? Math.min(segment.endTime, next.startTime) : segment.endTime;
+            if (end <= start) return;
+            
+            param.setValueAtTime(envelopeValueAt(segment, start), start);
+            param.linearRampToValueAtTime(envelopeValueAt(segment, end), end);
+        });
+    }
+    
+    // Set voice `index`'s detune from `time` on, remembering it for replayDetune
+    setDetune(index, value, time) {
+        const now = this.audioContext.currentTime;
+        const changes = (this.detunes[index] || []).filter(change => change.time < time);
+        const latest = changes.filter(change => change.time <= now).pop();
+        this.detunes[index] = [
+            ...(latest ? [latest] : []),
+            ...changes.filter(change => change.time > now),
+            { time, value }
+        ];
+        this.oscillators[index].detune.setValueAtTime(value, time);
+    }
+    
+    // Copy voice `index`'s detune at `now`, and the changes queued after it, onto `param`
+    replayDetune(index, param, now) {
+        (this.detunes[index] || []).forEach(change => {
+            param.setValueAtTime(change.value, Math.max(now, change.time));
+        });
+    }
+    
+    // Clicks are AudioWorklet nodes, one per sound. Where worklets are unavailable (file://
+    // pages, older browsers, the headless mock) they fall back to one AudioBuffer each.
+    async createClickVoice() {
+        this.clickWorklet = false;
+        const ctx = this.audioContext;
+        if (!ctx.audioWorklet || typeof AudioWorkletNode === 'undefined') return;
+        
+        try {
+            await ctx.audioWorklet.addModule(CLICK_PROCESSOR_URL);
+            this.clickWorklet = true;
+        } catch (error) {
+            console.warn('Click worklet unavailable, using buffers:', error.message);
+        }
+    }
+    
+    // Traffic layer: filtered noise plus a low rumble, swelling like passing vehicles
+    createTrafficVoice() {
+        const ctx = this.audioContext;
+        
+        this.trafficGain = ctx.createGain();
+        this.trafficGain.gain.value = 0;
+        this.trafficGain.connect(this.dryGain);
+        this.trafficGain.connect(this.wetGain);
+        
+        // Brown-ish noise loop for tyre/engine hiss
+        const length = ctx.sampleRate * 2;
+        const noiseBuffer = ctx.createBuffer(1, length, ctx.sampleRate);
+        const data = noiseBuffer.getChannelData(0);
+        let last = 0;
+        for (let i = 0; i < length; i++) {
+            last = (last + 0.02 * (this.bufferRandom() * 2 - 1)) / 1.02;
+            data[i] = last * 3.5;
+        }
+        
+        this.trafficNoise = ctx.createBufferSource();
+        this.trafficNoise.buffer = noiseBuffer;
+        this.trafficNoise.loop = true;
+        
+        this.trafficFilter = ctx.createBiquadFilter();
+        this.trafficFilter.type = 'lowpass';
+        this.trafficFilter.frequency.value = 300;
+        this.trafficFilter.Q.value = 0.7;
+        
+        this.trafficNoise.connect(this.trafficFilter);
+        this.trafficFilter.connect(this.trafficGain);
+        
+        this.trafficOscillator = ctx.createOscillator();
+        this.trafficOscillator.type = 'triangle';
+        this.trafficOscillator.frequency.value = 40;
+        this.trafficRumbleGain = ctx.createGain();
+        this.trafficRumbleGain.gain.value = 0.6;
+        this.trafficOscillator.connect(this.trafficRumbleGain);
+        this.trafficRumbleGain.connect(this.trafficGain);
+        
+        // Slow swell on the layer's level
+        this.trafficLfo = ctx.createOscillator();
+        this.trafficLfo.frequency.value = 0.1;
+        this.trafficLfoGain = ctx.createGain();
+        this.trafficLfoGain.gain.value = 0;
+        this.trafficLfo.connect(this.trafficLfoGain);
+        this.trafficLfoGain.connect(this.trafficGain.gain);
+        
+        this.trafficNoise.start();
+        this.trafficOscillator.start();
+        this.trafficLfo.start();
+    }
+    
+    updateTrafficVoice(mod) {
+        if (!this.trafficGain) return;
+        
+        const now = this.audioContext.currentTime;
+        const level = this.trafficEnabled ? this.trafficLevel * mod.trafficLevel : 0;
+        
+        this.trafficGain.gain.setTargetAtTime(level, now, 0.5);
+        this.trafficLfoGain.gain.setTargetAtTime(level * 0.5, now, 0.5);
+        this.trafficLfo.frequency.setTargetAtTime(mod.trafficRate, now, 0.5);
+        this.trafficFilter.frequency.setTargetAtTime(mod.trafficCutoff, now, 0.5);
+        this.trafficOscillator.frequency.setTargetAtTime(mod.trafficRumble, now, 0.5);
+    }
+    
+    setTrafficEnabled(enabled) {
+        this.trafficEnabled = enabled;
+        this.updateFrequencies();
+    }
+    
+    setTrafficLevel(level) {
+        this.trafficLevel = Math.max(0, Math.min(1, level));
+        this.updateFrequencies();
+    }
+    
     createReverbImpulse() {
         const sampleRate = this.audioContext.sampleRate;
         const length = sampleRate * 1.5;
@@ -120,97 +440,487 @@ class EnvironmentalAudioEngine {
             const channelData = impulse.getChannelData(channel);
             for (let i = 0; i < length; i++) {
                 const decay = Math.pow(1 - i / length, 2.5);
-                channelData[i] = (Math.random() * 2 - 1) * decay;
+                channelData[i] = (this.bufferRandom() * 2 - 1) * decay;
             }
         }
         
         return impulse;
     }
     
-    startSporadicOscillators() {
+    // With `within` (seconds) each voice's first event falls at a random time in that window
+    // rather than a full interval from now
+    startSporadicOscillators(within = 0) {
+        this.scheduler.start();
+        
+        const now = this.audioContext.currentTime;
         for (let i = 0; i < 9; i++) {
-            this.scheduleSporadicPulse(i);
+            const at = within > 0 ? now + this.voiceRandom[i]() * within : null;
+            this.scheduleSporadicPulse(i, now, at);
         }
     }
     
+    // Drop queued pulses and silence clicks that have not started by `time`
+    cancelQueuedSounds(time) {
+        const now = this.audioContext.currentTime;
+        
+        this.scheduler.clear();
+        
+        this.scheduledClicks.forEach(click => {
+            if (click.time > time) click.source.disconnect();
+        });
+        this.scheduledClicks = this.scheduledClicks.filter(click => click.time > now && click.time <= time);
+    }
+    
+    // Drop queued pulses and clicks and release sounding voices
+    cancelScheduledEvents() {
+        const now = this.audioContext.currentTime;
+        
+        this.cancelQueuedSounds(now);
+        
+        this.gainNodes.forEach((gainNode, i) => {
+            const value = this.holdEnvelope(i, now);
+            this.rampEnvelope(i, now, value, 0, VOICE_RELEASE_SECONDS);
+        });
+        
+        // Granular pitch scatter
+        this.oscillators.forEach((osc, i) => {
+            osc.detune.cancelScheduledValues(now);
+            this.setDetune(i, 0, now);
+        });
+        
+        this.emitVoiceEvent({ type: 'cancel', time: now });
+    }
+    
+    // With a transition time the old mode's voices play on while they fade out, along with
+    // clicks due before the crossfade ends; otherwise they are released at once
     setMode(mode) {
+        const changed = mode !== this.mode;
         this.mode = mode;
-        this.setWaveform(this.waveform);
-        
-        this.sporadicTimers.forEach(timer => clearTimeout(timer));
-        this.sporadicTimers = [];
+        if (!this.isRunning) return;
         
-        for (let i = 0; i < 9; i++) {
-            this.scheduleSporadicPulse(i);
+        // The new mode's first events fall within the crossfade, not a full interval later
+        let within = 0;
+        if (changed && this.smoothing.transition > 0) {
+            const now = this.audioContext.currentTime;
+            this.cancelQueuedSounds(now + this.smoothing.transition);
+            this.crossfadeBank(false);
+            this.emitVoiceEvent({ type: 'cancel', time: now });
+            within = this.smoothing.transition;
+        } else {
+            this.cancelScheduledEvents();
         }
+        this.updateFmDepth();
+        this.startSporadicOscillators(within);
     }
     
     setWaveform(waveform) {
+        if (!this.listWaveforms().includes(waveform)) {
+            throw new Error(`Unknown waveform: ${waveform}`);
+        }
+        const changed = waveform !== this.waveform;
         this.waveform = waveform;
+        if (!this.isRunning) return;
         
-        this.oscillators.forEach(osc => {
-            if (waveform === 'organ') {
-                const real = new Float32Array([0, 1.0, 0.7, 0.3, 0.8, 0.2, 0.4, 0.15, 0.6, 0.1, 0.3, 0.08, 0.2, 0.05, 0.15, 0.03, 0.4]);
-                const imag = new Float32Array(real.length);
-                const wave = this.audioContext.createPeriodicWave(real, imag);
-                osc.setPeriodicWave(wave);
-            } else if (waveform === 'square') {
-                const real = new Float32Array([0, 1.0, 0, 0.333, 0, 0.2, 0, 0.143, 0, 0.111, 0, 0.091, 0, 0.077]);
-                const imag = new Float32Array(real.length);
-                const wave = this.audioContext.createPeriodicWave(real, imag);
-                osc.setPeriodicWave(wave);
-            } else if (waveform === 'metallic') {
-                const real = new Float32Array([0, 1.0, 0.4, 0.15, 0.3, 0.08, 0.2, 0.06, 0.15, 0.04, 0.1, 0.03, 0.08]);
-                const imag = new Float32Array(real.length);
-                const wave = this.audioContext.createPeriodicWave(real, imag);
-                osc.setPeriodicWave(wave);
-            } else if (waveform === 'harsh') {
-                const real = new Float32Array([0, 1.0, 0.9, 0.8, 0.7, 0.6, 0.5, 0.4, 0.3, 0.2, 0.15, 0.1]);
-                const imag = new Float32Array(real.length);
-                const wave = this.audioContext.createPeriodicWave(real, imag);
-                osc.setPeriodicWave(wave);
-            } else {
+        if (changed && this.smoothing.transition > 0) {
+            this.crossfadeBank(true);
+        } else {
+            this.applyWaveform(this.oscillators, waveform);
+        }
+    }
+    
+    // Custom waves and the built-in harmonic tables share one PeriodicWave per bank
+    applyWaveform(oscillators, waveform) {
+        const custom = this.customWaveforms[waveform];
+        const table = WAVEFORM_HARMONICS[waveform];
+        
+        if (!custom && !table) {
+            oscillators.forEach(osc => {
                 osc.type = waveform;
+            });
+            return;
+        }
+        
+        const real = new Float32Array(custom ? custom.real : table);
+        const imag = custom ? new Float32Array(custom.imag) : new Float32Array(real.length);
+        const wave = this.audioContext.createPeriodicWave(real, imag);
+        oscillators.forEach(osc => osc.setPeriodicWave(wave));
+    }
+    
+    // Built-ins first, then custom waves in the order they were registered
+    listWaveforms() {
+        return [...ENGINE_WAVEFORMS, ...Object.keys(this.customWaveforms)];
+    }
+    
+    // { real, imag } of any waveform, for editing
+    getWaveformHarmonics(waveform) {
+        const custom = this.customWaveforms[waveform];
+        if (custom) {
+            return { real: custom.real.slice(), imag: custom.imag.slice() };
+        }
+        return builtinWaveHarmonics(waveform);
+    }
+    
+    validateWaveform(id, wave) {
+        if (ENGINE_WAVEFORMS.includes(id)) {
+            throw new Error(`Waveform ${id} is built in`);
+        }
+        const isTerms = (terms) => Array.isArray(terms) && terms.length >= 2 &&
+            terms.length <= WAVE_PARTIAL_COUNT + 1 && terms.every(term => typeof term === 'number' && isFinite(term));
+        if (!wave || !isTerms(wave.real) || !isTerms(wave.imag) || wave.real.length !== wave.imag.length) {
+            throw new Error(`Waveform ${id} needs equal real and imag lists of 2-${WAVE_PARTIAL_COUNT + 1} numbers`);
+        }
+        if (!wave.real.some((term, n) => n > 0 && term !== 0) && !wave.imag.some((term, n) => n > 0 && term !== 0)) {
+            throw new Error(`Waveform ${id} has no partials`);
+        }
+    }
+    
+    // `wave` is { name, real, imag }: Fourier terms from DC up, as for createPeriodicWave.
+    // Re-registering the playing waveform changes it in place, so an editor can be heard live.
+    registerWaveform(id, wave) {
+        this.validateWaveform(id, wave);
+        
+        this.customWaveforms[id] = {
+            name: wave.name || id,
+            real: wave.real.slice(),
+            imag: wave.imag.slice()
+        };
+        
+        if (this.isRunning && this.waveform === id) {
+            this.applyWaveform(this.oscillators, id);
+        }
+    }
+    
+    unregisterWaveform(id) {
+        delete this.customWaveforms[id];
+    }
+    
+    setMasterLevel(level) {
+        this.masterLevel = Math.max(0, Math.min(1, level));
+        if (this.masterGain) {
+            this.masterGain.gain.value = this.masterLevel;
+        }
+    }
+    
+    // Snapshot of everything a preset restores
+    getSettings() {
+        return {
+            version: ENGINE_SETTINGS_VERSION,
+            mode: this.mode,
+            waveform: this.waveform,
+            scale: this.scale,
+            customScale: this.customScales[this.scale] || null,
+            customWaveform: this.customWaveforms[this.waveform] || null,
+            levels: {
+                master: this.masterLevel,
+                traffic: this.trafficLevel
+            },
+            traffic: {
+                enabled: this.trafficEnabled
+            },
+            quantize: { ...this.quantize },
+            seed: this.seed,
+            date: this.date,
+            voices: this.voices.map(voice => ({ ...voice })),
+            smoothing: { ...this.smoothing },
+            mappings: this.modulation.toJSON()
+        };
+    }
+    
+    applySettings(settings) {
+        // Validate everything first so a bad preset doesn't half-apply
+        if (settings.version !== undefined &&
+            !(Number.isInteger(settings.version) && settings.version >= 1 && settings.version <= ENGINE_SETTINGS_VERSION)) {
+            throw new Error(`Unsupported settings version: ${settings.version}`);
+        }
+        if (settings.mode !== undefined && !ENGINE_MODES.includes(settings.mode)) {
+            throw new Error(`Unknown mode: ${settings.mode}`);
+        }
+        if (settings.customScale) {
+            this.validateScale(settings.scale, settings.customScale);
+        } else if (settings.scale !== undefined && !this.listScales().includes(settings.scale)) {
+            throw new Error(`Unknown scale: ${settings.scale}`);
+        }
+        if (settings.customWaveform) {
+            this.validateWaveform(settings.waveform, settings.customWaveform);
+        } else if (settings.waveform !== undefined && !this.listWaveforms().includes(settings.waveform)) {
+            throw new Error(`Unknown waveform: ${settings.waveform}`);
+        }
+        const modulation = settings.mappings ? ModulationMatrix.fromJSON(settings.mappings) : null;
+        if (settings.quantize) {
+            this.validateQuantize(settings.quantize);
+        }
+        if (settings.seed !== undefined && !isValidSeed(settings.seed)) {
+            throw new Error(`Invalid seed: ${settings.seed}`);
+        }
+        if (settings.date !== undefined && settings.date !== null) {
+            this.validateDate(settings.date);
+        }
+        if (settings.smoothing) {
+            this.validateSmoothing(settings.smoothing);
+        }
+        if (settings.voices !== undefined) {
+            if (!Array.isArray(settings.voices) || settings.voices.length !== VOICE_COUNT) {
+                throw new Error(`Voice settings must list ${VOICE_COUNT} voices`);
             }
-        });
+            settings.voices.forEach(voice => this.validateVoice(voice));
+        }
+        if (settings.customScale) {
+            this.registerScale(settings.scale, settings.customScale);
+        }
+        if (settings.customWaveform) {
+            this.registerWaveform(settings.waveform, settings.customWaveform);
+        }
+        
+        const levels = settings.levels || {};
+        if (levels.master !== undefined) this.setMasterLevel(Number(levels.master));
+        if (levels.traffic !== undefined) this.trafficLevel = Math.max(0, Math.min(1, Number(levels.traffic)));
+        if (settings.traffic) this.trafficEnabled = !!settings.traffic.enabled;
+        
+        if (modulation) this.modulation = modulation;
+        if (settings.quantize) this.quantize = { ...this.quantize, ...settings.quantize };
+        if (settings.seed !== undefined) this.setSeed(settings.seed);
+        if (settings.date !== undefined) this.date = settings.date;
+        if (settings.smoothing) this.setSmoothing(settings.smoothing);
+        if (settings.voices) {
+            this.voices = settings.voices.map(voice => ({ ...defaultVoiceMix(), ...voice }));
+            this.updateVoiceLevels();
+        }
+        if (settings.scale) this.scale = settings.scale;
+        if (settings.waveform) this.setWaveform(settings.waveform);
+        if (settings.mode && settings.mode !== this.mode) this.setMode(settings.mode);
+        
+        this.updateFrequencies();
+    }
+    
+    setModulationMatrix(matrix) {
+        this.modulation = matrix;
+        this.updateFrequencies();
     }
     
     setScale(scale) {
+        if (!this.listScales().includes(scale)) {
+            throw new Error(`Unknown scale: ${scale}`);
+        }
         this.scale = scale;
         this.updateFrequencies();
     }
     
-    scheduleSporadicPulse(oscIndex) {
+    validateScale(id, scale) {
+        if (BUILTIN_SCALES[id]) {
+            throw new Error(`Scale ${id} is built in`);
+        }
+        // getScaleTones() walks up to 20 steps into the table
+        if (!scale || !Array.isArray(scale.ratios) || scale.ratios.length < SCALE_RATIO_COUNT ||
+            scale.ratios.some(ratio => typeof ratio !== 'number' || !(ratio > 0))) {
+            throw new Error(`Scale ${id} needs ${SCALE_RATIO_COUNT} positive ratios`);
+        }
+    }
+    
+    // `scale` is { name, description, ratios } with ascending ratios starting at 1.0
+    registerScale(id, scale) {
+        this.validateScale(id, scale);
+        
+        this.customScales[id] = {
+            name: scale.name || id,
+            description: scale.description || '',
+            ratios: scale.ratios.slice()
+        };
+    }
+    
+    unregisterScale(id) {
+        delete this.customScales[id];
+    }
+    
+    listScales() {
+        return [...Object.keys(BUILTIN_SCALES), ...Object.keys(this.customScales)];
+    }
+    
+    validateDate(date) {
+        if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+            throw new Error(`Date must be YYYY-MM-DD: ${date}`);
+        }
+    }
+    
+    setSeed(seed) {
+        if (!isValidSeed(seed)) {
+            throw new Error(`Invalid seed: ${seed}`);
+        }
+        this.seed = seed;
+        this.resetRandom();
+    }
+    
+    // Separate streams per consumer, so timer interleaving can't shift one voice's sequence
+    resetRandom() {
+        const stream = (name) => createRandom(hashSeed(`${this.seed}:${name}`));
+        this.random = stream('modulation');
+        this.bufferRandom = stream('buffers');
+        this.voiceRandom = Array.from({ length: 9 }, (_, i) => stream(`voice${i}`));
+        
+        // Positions (0-1) of the fundamental and temperature drift random walks
+        this.fundamentalWalk = this.random();
+        this.driftWalk = this.random();
+        this.lastWalkTime = null;
+    }
+    
+    validateSmoothing(options) {
+        ['pitch', 'filter', 'mix', 'pan', 'transition'].forEach(name => {
+            const value = options[name];
+            if (value !== undefined && !(value >= 0 && value <= SMOOTHING_MAX_SECONDS)) {
+                throw new Error(`Smoothing ${name} must be 0-${SMOOTHING_MAX_SECONDS} seconds`);
+            }
+        });
+        if (options.walk !== undefined && !(options.walk >= 0 && options.walk <= 1)) {
+            throw new Error('Smoothing walk must be between 0 and 1');
+        }
+    }
+    
+    setSmoothing(options) {
+        this.validateSmoothing(options);
+        const { pitch, filter, mix, pan, walk, transition } = { ...this.smoothing, ...options };
+        this.smoothing = { pitch, filter, mix, pan, walk, transition };
+    }
+    
+    // Glide an AudioParam to `value` over about `seconds` (three time constants, ~95%)
+    slewParam(param, value, seconds) {
+        const now = this.audioContext.currentTime;
+        
+        if (seconds > 0) {
+            param.setTargetAtTime(value, now, seconds / 3);
+        } else {
+            param.cancelScheduledValues(now);
+            param.setValueAtTime(value, now);
+        }
+    }
+    
+    validateQuantize(options) {
+        if (options.root !== undefined &&
+            !(Number.isInteger(options.root) && options.root >= 0 && options.root < QUANTIZE_ROOTS.length)) {
+            throw new Error(`Unknown quantize root: ${options.root}`);
+        }
+        if (options.strength !== undefined && !(options.strength >= 0 && options.strength <= 1)) {
+            throw new Error(`Quantize strength must be between 0 and 1: ${options.strength}`);
+        }
+    }
+    
+    setQuantize(options) {
+        this.validateQuantize(options);
+        this.quantize = { ...this.quantize, ...options };
+        this.updateFrequencies();
+    }
+    
+    getQuantizeDegrees() {
+        return foldScaleDegrees(this.getScaleRatios());
+    }
+    
+    quantizeFrequency(frequency) {
+        const rootFreq = QUANTIZE_C4 * Math.pow(2, this.quantize.root / 12);
+        return quantizeToScale(frequency, this.getQuantizeDegrees(), rootFreq, this.quantize.strength);
+    }
+    
+    validateVoice(options) {
+        ['enabled', 'mute', 'solo'].forEach(name => {
+            if (options[name] !== undefined && typeof options[name] !== 'boolean') {
+                throw new Error(`Voice ${name} must be true or false`);
+            }
+        });
+        if (options.trim !== undefined && !(options.trim >= 0 && options.trim <= VOICE_TRIM_MAX)) {
+            throw new Error(`Voice trim must be between 0 and ${VOICE_TRIM_MAX}`);
+        }
+        if (options.pan !== undefined && !(options.pan >= -1 && options.pan <= 1)) {
+            throw new Error('Voice pan offset must be between -1 and 1');
+        }
+    }
+    
+    // options: { enabled, mute, solo, trim (0-2), pan (offset, -1 to 1) }
+    setVoice(index, options) {
+        if (!Number.isInteger(index) || index < 0 || index >= VOICE_COUNT) {
+            throw new Error(`Unknown voice: ${index}`);
+        }
+        this.validateVoice(options);
+        
+        const { enabled, mute, solo, trim, pan } = { ...this.voices[index], ...options };
+        this.voices[index] = { enabled, mute, solo, trim, pan };
+        this.updateVoiceLevels();
+        this.updateVoicePan(index);
+    }
+    
+    resetVoices() {
+        this.voices = Array.from({ length: VOICE_COUNT }, defaultVoiceMix);
+        this.updateVoiceLevels();
+        this.panners.forEach((panner, i) => this.updateVoicePan(i));
+    }
+    
+    // Solo on one voice changes the level of every other voice
+    updateVoiceLevels() {
+        if (!this.audioContext) return;
+        const now = this.audioContext.currentTime;
+        
+        this.voiceGains.forEach((voiceGain, i) => {
+            voiceGain.gain.setTargetAtTime(computeVoiceLevel(this.voices, i), now, 0.02);
+        });
+        this.updateFmDepth();
+    }
+    
+    // Peak deviation in Hz = FM index × modulator frequency, scaled by the modulator's mixer level;
+    // zero outside FM mode
+    updateFmDepth(seconds = this.smoothing.mix) {
+        const mod = this.modulationValues;
+        if (!mod) return;
+        
+        FM_PAIRS.forEach(([carrier, modulator], i) => {
+            if (!this.fmGains[i]) return;
+            const depth = this.mode === 'fm'
+                ? mod.fmIndex * this.oscillators[modulator].frequency.value * computeVoiceLevel(this.voices, modulator)
+                : 0;
+            this.slewParam(this.fmGains[i].gain, depth, seconds);
+        });
+    }
+    
+    updateVoicePan(index) {
+        const mod = this.modulationValues;
+        if (!this.panners[index] || !mod) return;
+        
+        const pan = computePan(mod.pan, mod.panSpread, index) + this.voices[index].pan;
+        this.slewParam(this.panners[index].pan, Math.max(-1, Math.min(1, pan)), this.smoothing.pan);
+    }
+    
+    // Queue voice `oscIndex`'s next pulse or click, an interval after `from` (audio clock seconds),
+    // or at `at` when given
+    scheduleSporadicPulse(oscIndex, from, at = null) {
+        // FM modulators are heard only through their carriers
+        if (this.mode === 'fm' && FM_PAIRS.some(([, modulator]) => modulator === oscIndex)) return;
+        
+        const random = this.voiceRandom[oscIndex];
         const speedNorm = Math.min(this.speed / 35.8, 1);
         let interval, duration, fadeIn, fadeOut;
         
         if (this.mode === 'pulse') {
-            duration = 50 + Math.random() * 250;
-            fadeIn = (20 + Math.random() * 60) / 1000;
-            fadeOut = (10 + Math.random() * 40) / 1000;
+            duration = 50 + random() * 250;
+            fadeIn = (20 + random() * 60) / 1000;
+            fadeOut = (10 + random() * 40) / 1000;
             
             if (oscIndex === 3) {
                 const minInterval = 12000 - (speedNorm * 8000);
                 const maxInterval = 20000 - (speedNorm * 12000);
-                interval = minInterval + Math.random() * (maxInterval - minInterval);
+                interval = minInterval + random() * (maxInterval - minInterval);
             } else {
                 const minInterval = 8000 - (speedNorm * 5000);
                 const maxInterval = 15000 - (speedNorm * 8000);
-                interval = minInterval + Math.random() * (maxInterval - minInterval);
+                interval = minInterval + random() * (maxInterval - minInterval);
             }
         } else if (this.mode === 'click') {
-            const clickType = Math.random();
+            const clickType = random();
             
             if (clickType < 0.5) {
-                duration = 0.5 + Math.random() * 2;
+                duration = 0.5 + random() * 2;
                 fadeIn = 0.0001;
                 fadeOut = 0.0001;
             } else if (clickType < 0.8) {
-                duration = 3 + Math.random() * 7;
+                duration = 3 + random() * 7;
                 fadeIn = 0.0001;
                 fadeOut = 0.001;
             } else {
-                duration = 10 + Math.random() * 20;
+                duration = 10 + random() * 20;
                 fadeIn = 0.0001;
                 fadeOut = 0.003;
             }
@@ -218,87 +928,74 @@ class EnvironmentalAudioEngine {
             const primeIntervals = [37, 41, 43, 47, 53, 59, 61, 67, 71]; // Added 71 for osc 8
             const baseInterval = primeIntervals[oscIndex] * (40 + speedNorm * 20);
             
-            const silenceChance = Math.random();
-            const extraSilence = silenceChance > 0.7 ? Math.random() * 10000 : 0;
+            const silenceChance = random();
+            const extraSilence = silenceChance > 0.7 ? random() * 10000 : 0;
             
-            const jitter = (Math.random() - 0.5) * baseInterval * 0.1;
+            const jitter = (random() - 0.5) * baseInterval * 0.1;
             interval = baseInterval + jitter + extraSilence;
             
+        } else if (this.mode === 'granular') {
+            // 20-80 ms grains at random (Poisson) times, grainRate per second per voice
+            duration = 20 + random() * 60;
+            interval = -Math.log(1 - random()) * 1000 / this.modulationValues.grainRate;
+            
+        } else if (this.mode === 'pluck') {
+            duration = this.modulationValues.pluckDecay * 1000;
+            
+            const minInterval = 5000 - (speedNorm * 3000);
+            const maxInterval = 12000 - (speedNorm * 7000);
+            interval = minInterval + random() * (maxInterval - minInterval);
+            
         } else {
-            duration = 4000 + Math.random() * 8000;
-            fadeIn = 1.0 + Math.random() * 2.0;
-            fadeOut = 2.0 + Math.random() * 4.0;
+            duration = 4000 + random() * 8000;
+            fadeIn = 1.0 + random() * 2.0;
+            fadeOut = 2.0 + random() * 4.0;
             
             if (oscIndex === 3) {
                 const minInterval = 15000 - (speedNorm * 10000);
                 const maxInterval = 25000 - (speedNorm * 15000);
-                interval = minInterval + Math.random() * (maxInterval - minInterval);
+                interval = minInterval + random() * (maxInterval - minInterval);
             } else {
                 const minInterval = 12000 - (speedNorm * 8000);
                 const maxInterval = 20000 - (speedNorm * 12000);
-                interval = minInterval + Math.random() * (maxInterval - minInterval);
+                interval = minInterval + random() * (maxInterval - minInterval);
             }
         }
         
-        const timer = setTimeout(() => {
+        this.scheduler.schedule(at !== null ? at : from + interval / 1000, (time) => {
             if (!this.isRunning) return;
             
-            if (this.mode === 'click') {
-                const now = this.audioContext.currentTime;
-                const sampleRate = this.audioContext.sampleRate;
-                const bufferLength = Math.ceil(sampleRate * (duration / 1000));
-                const buffer = this.audioContext.createBuffer(1, bufferLength, sampleRate);
-                const data = buffer.getChannelData(0);
-                
-                const freq = this.oscillators[oscIndex].frequency.value;
-                
-                if (freq > 2000) {
-                    for (let i = 0; i < bufferLength; i++) {
-                        const noise = Math.random() * 2 - 1;
-                        data[i] = Math.max(-0.9, Math.min(0.9, noise * 3));
-                        data[i] *= Math.exp(-i / (bufferLength * 0.3));
-                    }
-                } else if (freq > 200) {
-                    const cyclesPerSample = freq / sampleRate;
-                    for (let i = 0; i < bufferLength; i++) {
-                        const sine = Math.sin(2 * Math.PI * cyclesPerSample * i);
-                        data[i] = Math.max(-0.7, Math.min(0.7, sine * 5));
-                        data[i] *= 1 - (i / bufferLength);
-                    }
-                } else {
-                    const cyclesPerSample = freq / sampleRate;
-                    for (let i = 0; i < bufferLength; i++) {
-                        const sine = Math.sin(2 * Math.PI * cyclesPerSample * i);
-                        data[i] = Math.max(-0.95, Math.min(0.95, sine * 8));
-                        data[i] *= Math.exp(-i / (bufferLength * 0.6));
-                    }
-                }
-                
-                const source = this.audioContext.createBufferSource();
-                const clickGain = this.audioContext.createGain();
-                source.buffer = buffer;
-                
-                let targetVolume;
-                if (freq > 2000) {
-                    targetVolume = 0.35;
-                } else if (freq > 200) {
-                    targetVolume = 0.45;
-                } else {
-                    targetVolume = 0.60;
-                }
+            // Disabled voices keep their schedule but never sound
+            if (!this.voices[oscIndex].enabled) {
+                this.scheduleSporadicPulse(oscIndex, time);
+                return;
+            }
+            
+            const freq = this.oscillators[oscIndex].frequency.value;
+            
+            if (this.mode === 'click' || this.mode === 'pluck') {
+                const targetVolume = this.mode === 'click' ? clickLevel(freq) : PLUCK_LEVEL;
+                const seed = Math.floor(random() * 4294967296);
                 
-                clickGain.gain.value = targetVolume;
+                // Clicks and plucks bypass the voice chain, so the mixer level is applied here
+                this.playSound({
+                    type: this.mode,
+                    time,
+                    frequency: freq,
+                    duration: duration / 1000,
+                    gain: targetVolume * computeVoiceLevel(this.voices, oscIndex),
+                    seed
+                });
+                this.emitOneShot(oscIndex, freq, targetVolume, time, duration / 1000);
                 
-                source.connect(clickGain);
-                clickGain.connect(this.dryGain);
-                clickGain.connect(this.wetGain);
+                this.scheduleSporadicPulse(oscIndex, this.mode === 'click' ? time + interval / 1000 : time);
                 
-                source.start(now);
+            } else if (this.mode === 'granular') {
+                const detune = (random() * 2 - 1) * GRAIN_SCATTER_CENTS;
+                this.playGrain(oscIndex, time, duration / 1000, detune);
+                this.emitOneShot(oscIndex, freq, GRAIN_LEVEL, time, duration / 1000);
                 
-                setTimeout(() => {
-                    if (!this.isRunning) return;
-                    this.scheduleSporadicPulse(oscIndex);
-                }, interval);
+                this.scheduleSporadicPulse(oscIndex, time);
                 
             } else {
                 let targetVolume;
@@ -308,95 +1005,204 @@ class EnvironmentalAudioEngine {
                     targetVolume = 0.10;
                 }
                 
-                if (this.mode === 'drone' && oscIndex <= 2) {
+                // FM carriers keep the drone balance
+                const droneBalance = this.mode === 'drone' || this.mode === 'fm';
+                
+                if (droneBalance && oscIndex <= 2) {
                     targetVolume *= 1.15;
                 }
                 
-                if (this.mode === 'drone') {
+                if (droneBalance) {
                     if (oscIndex === 4) targetVolume *= 0.5;
                     else if (oscIndex === 5) targetVolume *= 0.5;
                     else if (oscIndex === 6 || oscIndex === 7) targetVolume *= 0.6;
                     else if (oscIndex === 8) targetVolume *= 0.9; // Inverted speed osc slightly quieter
                 }
                 
-                this.fadeIn(oscIndex, fadeIn, targetVolume);
+                this.fadeIn(oscIndex, fadeIn, targetVolume, time);
                 
-                setTimeout(() => {
+                this.scheduler.schedule(time + duration / 1000, (end) => {
                     if (!this.isRunning) return;
-                    this.fadeOut(oscIndex, fadeOut);
-                    this.scheduleSporadicPulse(oscIndex);
-                }, duration);
+                    this.fadeOut(oscIndex, fadeOut, end);
+                    this.scheduleSporadicPulse(oscIndex, end);
+                });
             }
-        }, interval);
+        });
+    }
+    
+    // `sound` is { type: 'click' | 'pluck', time, frequency, duration (s), gain, seed }
+    playSound(sound) {
+        const { time, duration, gain } = sound;
+        const ctx = this.audioContext;
+        let source;
+        
+        if (this.clickWorklet) {
+            // Handed over with the node rather than as a port message, so the sound reaches the
+            // render thread at a fixed point in an offline render too
+            source = new AudioWorkletNode(ctx, CLICK_PROCESSOR_NAME, {
+                numberOfInputs: 0,
+                outputChannelCount: [1],
+                processorOptions: sound
+            });
+        } else {
+            const buffer = ctx.createBuffer(1, clickLength(duration, ctx.sampleRate), ctx.sampleRate);
+            renderSound(buffer.getChannelData(0), sound, ctx.sampleRate);
+            source = ctx.createBufferSource();
+            source.buffer = buffer;
+            source.start(time);
+        }
         
-        this.sporadicTimers.push(timer);
+        const clickGain = ctx.createGain();
+        clickGain.gain.value = gain;
+        source.connect(clickGain);
+        clickGain.connect(this.dryGain);
+        clickGain.connect(this.wetGain);
+        
+        const now = this.audioContext.currentTime;
+        this.scheduledClicks = this.scheduledClicks.filter(click => click.time > now);
+        this.scheduledClicks.push({ source, time });
     }
     
-    fadeIn(oscIndex, duration, targetVolume) {
-        if (!this.isRunning || !this.gainNodes[oscIndex]) return;
+    // A triangular grain on the voice's own oscillator, detuned by `detune` cents
+    playGrain(oscIndex, time, length, detune) {
+        this.holdEnvelope(oscIndex, time);
+        this.gainNodes[oscIndex].gain.setValueAtTime(0, time);
+        this.rampEnvelope(oscIndex, time, 0, GRAIN_LEVEL, length / 2);
+        this.rampEnvelope(oscIndex, time + length / 2, GRAIN_LEVEL, 0, length / 2);
+        this.setDetune(oscIndex, detune, time);
+    }
+    
+    // Note-on at `time` and note-off `length` seconds later, for sounds without a fade-out event
+    emitOneShot(oscIndex, frequency, gain, time, length) {
+        if (computeVoiceLevel(this.voices, oscIndex) > 0) {
+            this.emitVoiceEvent({ type: 'noteon', voice: oscIndex, frequency, gain, time });
+        }
+        this.emitVoiceEvent({ type: 'noteoff', voice: oscIndex, time: time + length });
+    }
+    
+    // Cut voice `index`'s gain automation at `time`, keeping its shape up to there; returns the gain
+    holdEnvelope(index, time) {
+        const gain = this.gainNodes[index].gain;
+        const value = envelopeValueAt(this.envelopes[index], time);
+        
+        gain.cancelScheduledValues(time);
+        gain.linearRampToValueAtTime(value, time);
+        return value;
+    }
+    
+    // Linear gain ramp for voice `index`, remembered so a later event can cut it short
+    rampEnvelope(index, startTime, startValue, endValue, duration) {
+        const endTime = startTime + duration;
+        this.gainNodes[index].gain.linearRampToValueAtTime(endValue, endTime);
+        
+        const segment = { startTime, startValue, endTime, endValue, previous: this.envelopes[index] };
+        this.envelopes[index] = segment;
+        
+        // Anything before the newest segment that has already started is no longer needed
         const now = this.audioContext.currentTime;
+        let current = segment;
+        while (current.previous && current.startTime > now) {
+            current = current.previous;
+        }
+        current.previous = null;
+    }
+    
+    fadeIn(oscIndex, duration, targetVolume, time) {
+        if (!this.isRunning || !this.gainNodes[oscIndex]) return;
         const gainNode = this.gainNodes[oscIndex];
+        const random = this.voiceRandom[oscIndex];
         
-        const irregularity = (Math.random() - 0.5) * 0.02;
+        const irregularity = (random() - 0.5) * 0.02;
         const organicDuration = Math.max(0.01, duration + irregularity);
-        const flutter = (Math.random() - 0.5) * 0.001;
+        const flutter = (random() - 0.5) * 0.001;
         const organicVolume = targetVolume * (1 + flutter);
         const reverseAttackMultiplier = 1 + (1 - this.populationDensity) * 2;
         const finalDuration = organicDuration * reverseAttackMultiplier;
         
-        gainNode.gain.cancelScheduledValues(now);
-        gainNode.gain.setValueAtTime(0, now);
-        gainNode.gain.linearRampToValueAtTime(organicVolume, now + finalDuration);
+        this.holdEnvelope(oscIndex, time);
+        gainNode.gain.setValueAtTime(0, time);
+        this.rampEnvelope(oscIndex, time, 0, organicVolume, finalDuration);
+        
+        // Muted and un-soloed voices send no notes
+        if (computeVoiceLevel(this.voices, oscIndex) === 0) return;
+        this.emitVoiceEvent({
+            type: 'noteon',
+            voice: oscIndex,
+            frequency: this.oscillators[oscIndex].frequency.value,
+            gain: organicVolume,
+            time
+        });
     }
     
-    fadeOut(oscIndex, duration) {
+    fadeOut(oscIndex, duration, time) {
         if (!this.isRunning || !this.gainNodes[oscIndex]) return;
-        const now = this.audioContext.currentTime;
-        const gainNode = this.gainNodes[oscIndex];
+        const random = this.voiceRandom[oscIndex];
         
         const ruralCutoff = this.populationDensity < 0.3;
+        const value = this.holdEnvelope(oscIndex, time);
         
         if (ruralCutoff) {
-            gainNode.gain.cancelScheduledValues(now);
-            gainNode.gain.setValueAtTime(gainNode.gain.value, now);
-            gainNode.gain.linearRampToValueAtTime(0, now + 0.001);
+            this.rampEnvelope(oscIndex, time, value, 0, 0.001);
         } else {
-            const irregularity = (Math.random() - 0.5) * 0.02;
+            const irregularity = (random() - 0.5) * 0.02;
             const organicDuration = Math.max(0.01, duration + irregularity);
             const fadeMultiplier = this.populationDensity;
             const finalDuration = organicDuration * fadeMultiplier;
             
-            gainNode.gain.cancelScheduledValues(now);
-            gainNode.gain.setValueAtTime(gainNode.gain.value, now);
-            gainNode.gain.linearRampToValueAtTime(0, now + finalDuration);
+            this.rampEnvelope(oscIndex, time, value, 0, finalDuration);
         }
+        
+        this.emitVoiceEvent({ type: 'noteoff', voice: oscIndex, time });
+    }
+    
+    emitVoiceEvent(event) {
+        if (this.onVoiceEvent) this.onVoiceEvent(event);
     }
     
     stop() {
         if (!this.isRunning) return;
         
-        this.sporadicTimers.forEach(timer => clearTimeout(timer));
-        this.sporadicTimers = [];
+        this.scheduler.stop();
+        this.scheduledClicks = [];
+        this.clickWorklet = false;
+        this.envelopes = [];
         
         if (this.trafficOscillator) {
             try { this.trafficOscillator.stop(); } catch (e) {}
+            try { this.trafficNoise.stop(); } catch (e) {}
+            try { this.trafficLfo.stop(); } catch (e) {}
             this.trafficOscillator = null;
             this.trafficGain = null;
+            this.trafficNoise = null;
+            this.trafficFilter = null;
+            this.trafficRumbleGain = null;
+            this.trafficLfo = null;
+            this.trafficLfoGain = null;
         }
         
-        this.oscillators.forEach(osc => {
-            try { osc.stop(); } catch (e) {}
+        [this.bank, ...this.fadingBanks].forEach(bank => {
+            bank.oscillators.forEach(osc => {
+                try { osc.stop(); } catch (e) {}
+            });
         });
         
-        if (this.audioContext) {
+        if (this.audioContext && this.audioContext.close) {
             this.audioContext.close();
         }
         
+        this.bank = null;
         this.oscillators = [];
         this.gainNodes = [];
+        this.fmGains = [];
+        this.fadingBanks = [];
+        this.glides = [];
+        this.detunes = [];
+        this.voiceGains = [];
         this.panners = [];
+        this.voiceBus = null;
         this.convolver = null;
         this.masterGain = null;
+        this.analyser = null;
         this.dryGain = null;
         this.wetGain = null;
         this.lowPassFilter = null;
@@ -405,7 +1211,15 @@ class EnvironmentalAudioEngine {
         this.isRunning = false;
     }
     
-    setEnvironmentalData(lat, lon, speed, temp, humidity, heading, timeOfDay, populationDensity = 0.5, trafficDensity = 0.0, elevation = 0, rainfall = 0) {
+    setTimer(callback, delay) {
+        return this.timers.setTimeout(callback, delay);
+    }
+    
+    clearTimer(timer) {
+        this.timers.clearTimeout(timer);
+    }
+    
+    setEnvironmentalData(lat, lon, speed, temp, humidity, heading, timeOfDay, populationDensity = 0.5, trafficDensity = 0.0, elevation = 0, rainfall = 0, timestamp = null) {
         this.latitude = lat;
         this.longitude = lon;
         this.speed = speed;
@@ -417,288 +1231,186 @@ class EnvironmentalAudioEngine {
         this.trafficDensity = trafficDensity;
         this.elevation = elevation;
         this.rainfall = rainfall;
+        this.timestamp = timestamp;
         
         this.updateFrequencies();
     }
     
-    calculateSunElevation() {
-        const hourAngle = (this.timeOfDay - 0.5) * Math.PI * 2;
-        const declination = 0;
-        const latRad = this.latitude * Math.PI / 180;
-        
-        const elevation = Math.asin(
-            Math.sin(latRad) * Math.sin(declination) +
-            Math.cos(latRad) * Math.cos(declination) * Math.cos(hourAngle)
-        ) * 180 / Math.PI;
-        
-        return Math.max(-90, Math.min(90, elevation));
+    applyEnvironmentalData(data) {
+        const value = (key) => (data[key] !== undefined ? data[key] : this[key]);
+        
+        this.setEnvironmentalData(
+            value('latitude'),
+            value('longitude'),
+            value('speed'),
+            value('temperature'),
+            value('humidity'),
+            value('heading'),
+            value('timeOfDay'),
+            value('populationDensity'),
+            value('trafficDensity'),
+            value('elevation'),
+            value('rainfall'),
+            value('timestamp')
+        );
     }
     
-    updateFrequencies() {
-        if (!this.isRunning) return;
-        
-        const hours = this.timeOfDay * 24;
-        
-        const tempNorm = (this.temperature + 20) / 60;
-        const tempReference = 100 + (tempNorm * 700);
-        
-        const latNorm = Math.abs(this.latitude) / 90;
-        const latOctave = Math.pow(2, latNorm);
+    // Without a timestamp (older sessions/traces) fall back to the `date` setting, or today's
+    // date, at timeOfDay
+    getSolarDate() {
+        if (this.timestamp !== null && this.timestamp !== undefined) {
+            return new Date(this.timestamp);
+        }
         
-        const phaseShift = (hours - 12) / 24 * 2 * Math.PI;
-        const timeModulation = Math.pow(2, Math.sin(phaseShift) * 0.5);
+        const date = this.date ? new Date(`${this.date}T00:00`) : new Date();
+        date.setHours(0, 0, 0, 0);
+        return new Date(date.getTime() + this.timeOfDay * 24 * 3600 * 1000);
+    }
+    
+    // Also updates sunAzimuth, sunrise and sunset (local time of day, 0-1)
+    calculateSunElevation() {
+        const date = this.getSolarDate();
+        const position = solarPosition(date, this.latitude, this.longitude);
+        const times = sunTimes(date, this.latitude, this.longitude);
         
-        const densityShift = Math.pow(2, this.populationDensity * 0.5);
+        const toTimeOfDay = (time) =>
+            (time.getHours() + time.getMinutes() / 60 + time.getSeconds() / 3600) / 24;
         
-        const baseFreq = tempReference * latOctave * timeModulation * densityShift;
+        this.sunAzimuth = position.azimuth;
         
-        let fundamentalFreq;
-        if (this.mode === 'pulse') {
-            fundamentalFreq = baseFreq * (0.5 + Math.random() * 2.5);
-        } else if (this.mode === 'click') {
-            fundamentalFreq = baseFreq * (0.25 + Math.random() * 8);
+        if (times.polar === 'day') {
+            this.sunrise = 0;
+            this.sunset = 1;
+        } else if (times.polar === 'night') {
+            this.sunrise = 0.5;
+            this.sunset = 0.5;
         } else {
-            fundamentalFreq = baseFreq * (0.75 + Math.random() * 0.5);
+            this.sunrise = toTimeOfDay(times.sunrise);
+            this.sunset = toTimeOfDay(times.sunset);
         }
         
-        this.fundamentalFreq = fundamentalFreq;
-        
-        const tempDrift = (this.temperature - 20) * 0.5;
-        const randomDrift = (Math.random() - 0.5) * Math.abs(tempDrift);
+        return Math.max(-90, Math.min(90, position.elevation));
+    }
+    
+    updateFrequencies() {
+        if (!this.isRunning) return;
         
         this.sunElevation = this.calculateSunElevation();
         
-        const elevationNorm = Math.max(-20, Math.min(70, this.sunElevation));
-        const elevationFactor = (elevationNorm + 20) / 90;
+        // Environmental inputs -> sound parameters (see modulation-matrix.js)
+        const mod = this.modulation.evaluate(this);
+        this.modulationValues = mod;
         
-        const sunBasedLPF = 500 + elevationFactor * 4500;
-        const latNormFilter = (this.latitude + 90) / 180;
-        const latModulation = latNormFilter * 1000;
-        this.lowPassFilter.frequency.value = sunBasedLPF + latModulation;
+        // The random parts of the pitch wander by elapsed time rather than being re-rolled on
+        // every update, so frequent updates don't make the pitch jump
+        const now = this.audioContext.currentTime;
+        const elapsed = this.lastWalkTime === null ? 0 : Math.max(0, now - this.lastWalkTime);
+        const step = this.smoothing.walk * Math.sqrt(elapsed);
+        this.lastWalkTime = now;
+        this.fundamentalWalk = stepRandomWalk(this.fundamentalWalk, this.random(), step);
+        this.driftWalk = stepRandomWalk(this.driftWalk, this.random(), step);
         
-        const sunBasedHPF = 200 - (elevationFactor * 150);
-        const lonNorm = (this.longitude + 180) / 360;
-        const lonModulation = lonNorm * 50;
-        this.highPassFilter.frequency.value = sunBasedHPF + lonModulation;
+        const baseFreq = computeBaseFrequency(mod);
+        this.fundamentalFreq = computeFundamental(this.mode, baseFreq, this.fundamentalWalk);
         
-        const compassTones = this.getScaleTones();
-        const useSubharmonics = this.fundamentalFreq > 200;
+        const tempDrift = (this.temperature - 20) * 0.5;
+        const randomDrift = (this.driftWalk - 0.5) * Math.abs(tempDrift);
+        
+        this.slewParam(this.lowPassFilter.frequency, mod.lowpass, this.smoothing.filter);
+        this.slewParam(this.highPassFilter.frequency, mod.highpass, this.smoothing.filter);
         
+        const compassTones = this.getScaleTones();
         const fund = this.fundamentalFreq + randomDrift;
         
         // DOPPLER EFFECT: Speed creates pitch shift on fundamental
         // Faster speed = higher pitch (approaching), like a passing vehicle
-        const speedNormDoppler = Math.min(this.speed / 35.8, 1);
-        const dopplerShift = 1 + (speedNormDoppler * 0.15); // Up to +15% pitch shift at max speed
-        const fundamentalWithDoppler = fund * dopplerShift;
-        
-        this.setOscillatorFrequency(0, fundamentalWithDoppler);
-        
-        const harmonicIndices = [1, 2, 4, 5, 6, 7];
+        this.setOscillatorFrequency(0, fund * mod.doppler);
         
-        harmonicIndices.forEach((oscIdx, i) => {
-            const tone = compassTones[i % compassTones.length];
-            const octaveMultiplier = Math.floor(i / compassTones.length) + 1;
-            
-            let harmonic;
-            if (useSubharmonics) {
-                harmonic = fund / (tone * octaveMultiplier);
-            } else {
-                harmonic = fund * tone * octaveMultiplier;
-            }
-            
-            if (this.mode === 'pulse') {
-                if (oscIdx <= 2) {
-                    harmonic = harmonic * 0.25;
-                } else if (oscIdx >= 5) {
-                    harmonic = harmonic * 4.0;
-                }
-            } else if (this.mode === 'click') {
-                if (oscIdx <= 2) {
-                    harmonic = harmonic * 0.125;
-                } else if (oscIdx === 4) {
-                    // Osc 4: Keep in LOW-MID range instead of high
-                    harmonic = harmonic * 0.5; // Down one octave (was 8x up)
-                } else if (oscIdx >= 5) {
-                    harmonic = harmonic * 8.0;
-                }
-            } else {
-                if (oscIdx === 1 || oscIdx === 2) {
-                    harmonic = harmonic * 1.0;
-                } else if (oscIdx === 4) {
-                    // Osc 4: LOW-MID range in Drone mode too
-                    harmonic = harmonic * 1.5; // Slightly above fundamental (was 1x)
-                } else if (oscIdx === 6 || oscIdx === 7) {
-                    harmonic = harmonic * 8.0;
-                } else if (oscIdx === 5) {
-                    harmonic = harmonic * 4.0;
-                }
-            }
-            
-            this.setOscillatorFrequency(oscIdx, harmonic);
-        });
+        const harmonics = computeHarmonics(this.mode, this.fundamentalFreq, fund, compassTones);
+        HARMONIC_INDICES.forEach(oscIdx => this.setOscillatorFrequency(oscIdx, harmonics[oscIdx]));
         
         this.lastHeading = this.heading;
         
-        // Oscillator 3: Speed oscillator (UPWARD with speed)
-        // Oscillator 8: Inverted speed oscillator (DOWNWARD with speed)
-        const speedNorm = Math.min(this.speed / 35.8, 1);
-        let speedFreq = 50 + (speedNorm * 950); // 50Hz to 1000Hz
-        
-        if (this.mode === 'pulse' || this.mode === 'click') {
-            if (speedNorm < 0.5) {
-                speedFreq = speedFreq * 0.25;
-            } else {
-                speedFreq = speedFreq * 4.0;
-            }
-        }
-        
-        this.setOscillatorFrequency(3, speedFreq); // UPWARD oscillator
-        
-        // Inverted speed oscillator (osc 8): Goes DOWN as speed increases
-        let invertedSpeedFreq = 1000 - (speedNorm * 950); // 1000Hz to 50Hz (inverted)
-        
-        if (this.mode === 'pulse' || this.mode === 'click') {
-            if (speedNorm < 0.5) {
-                invertedSpeedFreq = invertedSpeedFreq * 4.0; // High when slow
-            } else {
-                invertedSpeedFreq = invertedSpeedFreq * 0.25; // Low when fast
-            }
-        }
-        
-        this.setOscillatorFrequency(8, invertedSpeedFreq); // DOWNWARD oscillator
+        // Oscillator 3 rises with speed, oscillator 8 falls (50-1000 Hz by default)
+        this.setOscillatorFrequency(3, computeSpeedVoice(this.mode, mod.speedVoice, this.speed));
+        this.setOscillatorFrequency(8, computeSpeedVoice(this.mode, mod.speedVoiceInverted, this.speed, true));
         
-        const humidityNorm = this.humidity / 100;
-        this.dryGain.gain.value = 0.85 - (humidityNorm * 0.30);
-        this.wetGain.gain.value = 0.15 + (humidityNorm * 0.45);
+        this.updateTrafficVoice(mod);
         
-        const headingRad = (this.heading * Math.PI) / 180;
-        const panPosition = Math.sin(headingRad) * 0.7;
+        this.slewParam(this.dryGain.gain, mod.dryLevel, this.smoothing.mix);
+        this.slewParam(this.wetGain.gain, mod.wetLevel, this.smoothing.mix);
         
-        this.panners.forEach((panner, i) => {
-            const densitySpread = 1.0 - (this.populationDensity * 0.7);
-            const baseOffset = (i - 3.5) * 0.05;
-            const offset = baseOffset * densitySpread;
-            const finalPan = Math.max(-0.8, Math.min(0.8, panPosition + offset));
-            panner.pan.value = finalPan;
-        });
+        this.panners.forEach((panner, i) => this.updateVoicePan(i));
+        this.updateFmDepth();
         
+        // Rain tremolo on the voice bus, so it never disturbs the queued envelopes
+        const tremolo = this.voiceBus.gain;
         if (this.rainfall > 0) {
             const now = this.audioContext.currentTime;
-            const tremoloRate = 4 + (Math.random() * 2);
-            const rainfallNorm = Math.min(this.rainfall / 10, 1);
-            const tremoloDepth = 0.1 + (rainfallNorm * 0.7);
+            const tremoloRate = 4 + (this.random() * 2);
+            const tremoloDepth = mod.tremoloDepth;
             
-            this.gainNodes.forEach((gainNode) => {
-                const currentGain = gainNode.gain.value;
-                if (currentGain > 0) {
-                    gainNode.gain.cancelScheduledValues(now);
-                    gainNode.gain.setValueAtTime(currentGain, now);
-                    
-                    for (let t = 0; t < 2; t += 0.05) {
-                        const phase = t * tremoloRate * Math.PI * 2;
-                        const modulation = 1 - (tremoloDepth * 0.5) + (tremoloDepth * 0.5 * Math.sin(phase));
-                        gainNode.gain.linearRampToValueAtTime(currentGain * modulation, now + t);
-                    }
-                }
-            });
+            tremolo.cancelScheduledValues(now);
+            tremolo.setValueAtTime(tremolo.value, now);
+            
+            for (let t = 0; t < 2; t += 0.05) {
+                const phase = t * tremoloRate * Math.PI * 2;
+                const modulation = 1 - (tremoloDepth * 0.5) + (tremoloDepth * 0.5 * Math.sin(phase));
+                tremolo.linearRampToValueAtTime(modulation, now + t);
+            }
+        } else {
+            this.slewParam(tremolo, 1, this.smoothing.mix);
         }
         
+        // Where each voice is gliding to; frequency.value would still be partway along the glide
         if (this.onFrequencyUpdate) {
-            const freqs = this.oscillators.map(osc => osc.frequency.value);
+            const freqs = this.oscillators.map((osc, i) => (this.glides[i] ? this.glides[i].target : osc.frequency.value));
             this.onFrequencyUpdate(freqs);
         }
     }
     
-    getScaleTones() {
-        const headingNorm = this.heading % 360;
-        let scaleRatios;
-        
-        switch(this.scale) {
-            case 'dreyblatt':
-                scaleRatios = [1.0, 1.125, 1.25, 1.375, 1.5, 1.625, 1.75, 1.875, 2.0, 2.125, 2.25, 2.375, 2.5, 2.625, 2.75, 2.875, 3.0, 3.125, 3.25, 3.375];
-                break;
-            case 'harmonic':
-                scaleRatios = [1.0, 2.0, 3.0, 4.0, 5.0, 6.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0, 13.0, 14.0, 15.0, 16.0, 17.0, 18.0, 19.0, 20.0];
-                break;
-            case 'slendro':
-                const slendroBase = [1.0, 1.2, 1.4, 1.68, 1.87];
-                scaleRatios = [...slendroBase, ...slendroBase.map(r => r * 2), ...slendroBase.map(r => r * 3), ...slendroBase.map(r => r * 4)];
-                break;
-            case 'pelog':
-                const pelogBase = [1.0, 1.122, 1.26, 1.414, 1.587, 1.682, 1.888];
-                scaleRatios = [...pelogBase, ...pelogBase.map(r => r * 2), ...pelogBase.map(r => r * 3)];
-                break;
-            case 'quartertone':
-                scaleRatios = Array.from({length: 24}, (_, i) => Math.pow(2, i / 24));
-                break;
-            default:
-                scaleRatios = [1.0, 1.125, 1.25, 1.5, 1.75, 2.0];
-        }
-        
-        let selectedTones = [];
-        
-        if (headingNorm < 90) {
-            const t = headingNorm / 90;
-            const startIdx = Math.floor(t * Math.min(4, scaleRatios.length - 10));
-            selectedTones = [
-                scaleRatios[startIdx],
-                scaleRatios[Math.min(startIdx + 2, scaleRatios.length - 1)],
-                scaleRatios[Math.min(startIdx + 4, scaleRatios.length - 1)],
-                scaleRatios[Math.min(startIdx + 6, scaleRatios.length - 1)],
-                scaleRatios[Math.min(startIdx + 8, scaleRatios.length - 1)],
-                scaleRatios[Math.min(startIdx + 10, scaleRatios.length - 1)]
-            ];
-        } else if (headingNorm < 180) {
-            const t = (headingNorm - 90) / 90;
-            const startIdx = Math.floor(5 + t * Math.min(5, scaleRatios.length - 15));
-            selectedTones = [
-                scaleRatios[Math.min(startIdx, scaleRatios.length - 1)],
-                scaleRatios[Math.min(startIdx + 1, scaleRatios.length - 1)],
-                scaleRatios[Math.min(startIdx + 3, scaleRatios.length - 1)],
-                scaleRatios[Math.min(startIdx + 5, scaleRatios.length - 1)],
-                scaleRatios[Math.min(startIdx + 7, scaleRatios.length - 1)],
-                scaleRatios[Math.min(startIdx + 9, scaleRatios.length - 1)]
-            ];
-        } else if (headingNorm < 270) {
-            const t = (headingNorm - 180) / 90;
-            const startIdx = Math.floor(10 + t * Math.min(6, scaleRatios.length - 16));
-            selectedTones = [
-                scaleRatios[Math.min(startIdx, scaleRatios.length - 1)],
-                scaleRatios[Math.min(startIdx + 2, scaleRatios.length - 1)],
-                scaleRatios[Math.min(startIdx + 4, scaleRatios.length - 1)],
-                scaleRatios[Math.min(startIdx + 6, scaleRatios.length - 1)],
-                scaleRatios[Math.min(startIdx + 8, scaleRatios.length - 1)],
-                scaleRatios[scaleRatios.length - 1]
-            ];
-        } else {
-            const t = (headingNorm - 270) / 90;
-            const spread = Math.floor(t * 3);
-            selectedTones = [
-                scaleRatios[Math.min(0 + spread, scaleRatios.length - 1)],
-                scaleRatios[Math.min(4 + spread, scaleRatios.length - 1)],
-                scaleRatios[Math.min(8 + spread, scaleRatios.length - 1)],
-                scaleRatios[Math.min(12 + spread, scaleRatios.length - 1)],
-                scaleRatios[Math.min(16 + spread, scaleRatios.length - 1)],
-                scaleRatios[scaleRatios.length - 1]
-            ];
+    // Current frequency and gain (envelope times mixer level) of each voice
+    getVoiceStates() {
+        return this.oscillators.map((osc, i) => ({
+            frequency: osc.frequency.value,
+            gain: this.gainNodes[i] ? this.gainNodes[i].gain.value * computeVoiceLevel(this.voices, i) : 0
+        }));
+    }
+    
+    getScaleRatios() {
+        if (this.customScales[this.scale]) {
+            return this.customScales[this.scale].ratios;
         }
-        
-        return selectedTones;
+        return builtinScaleRatios(this.scale);
+    }
+    
+    getScaleTones() {
+        return selectScaleTones(this.getScaleRatios(), this.heading);
     }
     
     setOscillatorFrequency(index, frequency) {
         if (!this.oscillators[index]) return;
         
         const now = this.audioContext.currentTime;
-        const osc = this.oscillators[index];
-        const organicFreq = frequency;
+        const organicFreq = this.quantize.enabled && frequency > 0 ? this.quantizeFrequency(frequency) : frequency;
+        const target = Math.max(20, Math.min(20000, organicFreq));
+        
+        // Banks still fading out stay in tune with the new one
+        this.glides[index] = { target, endTime: now + this.smoothing.pitch };
+        [this.bank, ...this.fadingBanks].forEach(bank => {
+            this.glideFrequency(bank.oscillators[index], this.glides[index], now);
+        });
         
+        this.emitVoiceEvent({ type: 'pitch', voice: index, frequency: target });
+    }
+    
+    glideFrequency(osc, glide, now) {
         osc.frequency.cancelScheduledValues(now);
-        osc.frequency.setValueAtTime(osc.frequency.value, now);
-        osc.frequency.exponentialRampToValueAtTime(
-            Math.max(20, Math.min(20000, organicFreq)),
-            now + 2.0
-        );
+        if (glide.endTime > now) {
+            osc.frequency.setValueAtTime(osc.frequency.value, now);
+            osc.frequency.exponentialRampToValueAtTime(glide.target, glide.endTime);
+        } else {
+            osc.frequency.setValueAtTime(glide.target, now);
+        }
     }
 }
\ No newline at end of file
@@ -0,0 +1,117 @@
+// Click and pluck synthesis for click and pluck modes. Loaded twice: as an AudioWorklet module,
+// where each processor renders one sound from { type: 'click' | 'pluck', time, frequency,
+// duration, seed } in its processorOptions, and as a page script for the AudioBuffer fallback
+// used when worklets are unavailable. Both paths produce the same samples.
+const CLICK_PROCESSOR_NAME = 'envirosines-click';
+const CLICK_PROCESSOR_URL = 'click-processor.js';
+
+// Peak level of a click before the mixer: noise bursts are quietest, low thumps loudest
+function clickLevel(frequency) {
+    if (frequency > 2000) return 0.35;
+    if (frequency > 200) return 0.45;
+    return 0.60;
+}
+
+// createRandom() from random.js; the worklet scope cannot see page scripts
+function clickRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Sample `index` of a click `length` samples long. Above 2 kHz a clipped noise burst, 200 Hz-2 kHz
+// a clipped sine with a linear decay, below that a harder-driven sine with a slow decay.
+// `random` is only drawn from (once per sample) for the noise family.
+function clickSample(frequency, sampleRate, index, length, random) {
+    if (frequency > 2000) {
+        const noise = random() * 2 - 1;
+        return Math.max(-0.9, Math.min(0.9, noise * 3)) * Math.exp(-index / (length * 0.3));
+    }
+    
+    const sine = Math.sin(2 * Math.PI * (frequency / sampleRate) * index);
+    if (frequency > 200) {
+        return Math.max(-0.7, Math.min(0.7, sine * 5)) * (1 - (index / length));
+    }
+    return Math.max(-0.95, Math.min(0.95, sine * 8)) * Math.exp(-index / (length * 0.6));
+}
+
+function clickLength(duration, sampleRate) {
+    return Math.ceil(sampleRate * duration);
+}
+
+// Karplus-Strong: a noise burst circulating in a one-period delay line, averaged on every pass.
+// Returns a function yielding successive samples; the loop gain makes it fall 60 dB in `decay` seconds.
+function createPluck(frequency, sampleRate, decay, seed) {
+    const random = clickRandom(seed);
+    const period = Math.max(2, Math.round(sampleRate / frequency));
+    const line = new Float32Array(period);
+    for (let i = 0; i < period; i++) {
+        line[i] = random() * 2 - 1;
+    }
+    
+    const feedback = Math.pow(0.001, 1 / Math.max(1, decay * sampleRate / period));
+    let index = 0;
+    
+    return function() {
+        const next = (index + 1) % period;
+        const sample = line[index];
+        line[index] = feedback * 0.5 * (line[index] + line[next]);
+        index = next;
+        return sample;
+    };
+}
+
+// Sample generator for a click or pluck message
+function createSound(sound, sampleRate) {
+    if (sound.type === 'pluck') {
+        return createPluck(sound.frequency, sampleRate, sound.duration, sound.seed);
+    }
+    
+    const random = clickRandom(sound.seed);
+    const length = clickLength(sound.duration, sampleRate);
+    let index = 0;
+    return () => clickSample(sound.frequency, sampleRate, index++, length, random);
+}
+
+// Whole sound into `data` (a Float32Array of clickLength() samples), for the AudioBuffer fallback
+function renderSound(data, sound, sampleRate) {
+    const next = createSound(sound, sampleRate);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = next();
+    }
+}
+
+if (typeof AudioWorkletProcessor !== 'undefined') {
+    // Mono output of one sound starting at its `time` (audio clock seconds); the node's gain
+    // and disconnection are handled by the engine
+    class ClickProcessor extends AudioWorkletProcessor {
+        constructor(options) {
+            super();
+            const sound = options.processorOptions;
+            this.start = Math.round(sound.time * sampleRate);
+            this.position = 0;
+            this.length = clickLength(sound.duration, sampleRate);
+            this.next = createSound(sound, sampleRate);
+        }
+        
+        process(inputs, outputs) {
+            const output = outputs[0][0];
+            
+            // A sound that arrives late starts at once rather than being cut
+            const offset = Math.max(0, this.start - currentFrame);
+            for (let i = offset; i < output.length && this.position < this.length; i++) {
+                output[i] = this.next();
+                this.position++;
+            }
+            
+            return this.position < this.length;
+        }
+    }
+    
+    registerProcessor(CLICK_PROCESSOR_NAME, ClickProcessor);
+}
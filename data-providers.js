@@ -0,0 +1,320 @@
+// Pluggable providers for weather, elevation and population density.
+// A provider is { name, label, timeout, mock, fetch(lat, lon, signal) } and resolves to:
+//   weather:   { temperature, humidity, description, rainfall }
+//   elevation: { elevation }
+//   density:   { populationDensity, buildingCount }
+const DATA_PROVIDER_KINDS = ['weather', 'elevation', 'density'];
+const DATA_PROVIDER_STORAGE_KEY = 'envirosines.providers';
+
+class DataProviderRegistry {
+    constructor() {
+        this.providers = {};
+        this.order = {};
+        DATA_PROVIDER_KINDS.forEach(kind => {
+            this.providers[kind] = new Map();
+            this.order[kind] = [];
+        });
+        
+        this.cache = new Map();
+        this.cacheTTL = 10 * 60 * 1000;
+        this.cachePrecision = 3; // decimal places of lat/lon (~100m)
+        this.defaultTimeout = 8000;
+    }
+    
+    register(kind, provider) {
+        if (!this.providers[kind]) {
+            throw new Error(`Unknown provider kind: ${kind}`);
+        }
+        
+        this.providers[kind].set(provider.name, provider);
+        
+        // Mock providers are opt-in and never used as silent fallbacks
+        if (!provider.mock && !this.order[kind].includes(provider.name)) {
+            this.order[kind].push(provider.name);
+        }
+    }
+    
+    getProviders(kind) {
+        return Array.from(this.providers[kind].values());
+    }
+    
+    getPrimary(kind) {
+        return this.order[kind][0] || null;
+    }
+    
+    // Make `name` the first provider tried; the other live providers remain as fallbacks
+    setPrimary(kind, name) {
+        const provider = this.providers[kind].get(name);
+        if (!provider) {
+            throw new Error(`Unknown ${kind} provider: ${name}`);
+        }
+        
+        const fallbacks = this.getProviders(kind)
+            .filter(p => !p.mock && p.name !== name)
+            .map(p => p.name);
+        
+        this.order[kind] = [name, ...fallbacks];
+        this.clearCache(kind);
+    }
+    
+    async fetch(kind, lat, lon) {
+        const key = `${kind}:${lat.toFixed(this.cachePrecision)},${lon.toFixed(this.cachePrecision)}`;
+        const cached = this.cache.get(key);
+        
+        if (cached && Date.now() - cached.time < this.cacheTTL) {
+            return cached.result;
+        }
+        
+        const errors = [];
+        
+        for (const name of this.order[kind]) {
+            const provider = this.providers[kind].get(name);
+            
+            try {
+                const result = await this.fetchWithTimeout(provider, lat, lon);
+                result.provider = provider.name;
+                this.cache.set(key, { time: Date.now(), result });
+                return result;
+            } catch (error) {
+                console.warn(`${kind} provider ${name} failed:`, error.message);
+                errors.push(`${name}: ${error.message}`);
+            }
+        }
+        
+        throw new Error(`No ${kind} provider succeeded (${errors.join('; ') || 'none registered'})`);
+    }
+    
+    fetchWithTimeout(provider, lat, lon) {
+        const timeout = provider.timeout || this.defaultTimeout;
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                if (controller) controller.abort();
+                reject(new Error(`timed out after ${timeout}ms`));
+            }, timeout);
+            
+            provider.fetch(lat, lon, controller ? controller.signal : undefined)
+                .then(resolve, reject)
+                .finally(() => clearTimeout(timer));
+        });
+    }
+    
+    clearCache(kind) {
+        if (!kind) {
+            this.cache.clear();
+            return;
+        }
+        
+        for (const key of this.cache.keys()) {
+            if (key.startsWith(`${kind}:`)) {
+                this.cache.delete(key);
+            }
+        }
+    }
+    
+    saveSelection() {
+        const selection = {};
+        DATA_PROVIDER_KINDS.forEach(kind => {
+            selection[kind] = this.getPrimary(kind);
+        });
+        localStorage.setItem(DATA_PROVIDER_STORAGE_KEY, JSON.stringify(selection));
+    }
+    
+    loadSelection() {
+        try {
+            const selection = JSON.parse(localStorage.getItem(DATA_PROVIDER_STORAGE_KEY)) || {};
+            DATA_PROVIDER_KINDS.forEach(kind => {
+                if (selection[kind] && this.providers[kind].has(selection[kind])) {
+                    this.setPrimary(kind, selection[kind]);
+                }
+            });
+        } catch (e) {
+            console.warn('Could not load provider selection:', e);
+        }
+    }
+}
+
+// Builds a provider that GETs a JSON endpoint and normalizes the response
+function createJSONProvider(name, label, buildUrl, parse, options = {}) {
+    return {
+        name,
+        label,
+        timeout: options.timeout,
+        async fetch(lat, lon, signal) {
+            const response = await fetch(buildUrl(lat, lon), { ...options.request, signal });
+            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            return parse(await response.json());
+        }
+    };
+}
+
+function createOpenWeatherMapProvider(apiKey) {
+    return createJSONProvider(
+        'openweathermap',
+        'OpenWeatherMap',
+        (lat, lon) => `https://api.openweathermap.org/data/2.5/weather?lat=${lat}&lon=${lon}&appid=${apiKey}&units=metric`,
+        (data) => ({
+            temperature: data.main.temp,
+            humidity: data.main.humidity,
+            description: data.weather[0].description,
+            // rain.1h = rainfall in last hour (mm)
+            rainfall: data.rain && data.rain['1h'] ? data.rain['1h'] : 0
+        }),
+        { timeout: 8000 }
+    );
+}
+
+// WMO weather interpretation codes used by Open-Meteo
+const WMO_DESCRIPTIONS = {
+    0: 'clear sky', 1: 'mainly clear', 2: 'partly cloudy', 3: 'overcast',
+    45: 'fog', 48: 'rime fog',
+    51: 'light drizzle', 53: 'drizzle', 55: 'dense drizzle',
+    61: 'light rain', 63: 'rain', 65: 'heavy rain',
+    71: 'light snow', 73: 'snow', 75: 'heavy snow', 77: 'snow grains',
+    80: 'light showers', 81: 'showers', 82: 'violent showers',
+    85: 'snow showers', 86: 'heavy snow showers',
+    95: 'thunderstorm', 96: 'thunderstorm with hail', 99: 'thunderstorm with heavy hail'
+};
+
+function createOpenMeteoWeatherProvider() {
+    return createJSONProvider(
+        'open-meteo',
+        'Open-Meteo',
+        (lat, lon) => `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&current=temperature_2m,relative_humidity_2m,precipitation,weather_code`,
+        (data) => ({
+            temperature: data.current.temperature_2m,
+            humidity: data.current.relative_humidity_2m,
+            description: WMO_DESCRIPTIONS[data.current.weather_code] || 'unknown',
+            rainfall: data.current.precipitation || 0
+        }),
+        { timeout: 8000 }
+    );
+}
+
+function createOpenElevationProvider() {
+    return createJSONProvider(
+        'open-elevation',
+        'Open-Elevation',
+        (lat, lon) => `https://api.open-elevation.com/api/v1/lookup?locations=${lat},${lon}`,
+        (data) => ({ elevation: data.results[0].elevation }),
+        { timeout: 10000 }
+    );
+}
+
+function createOpenMeteoElevationProvider() {
+    return createJSONProvider(
+        'open-meteo',
+        'Open-Meteo',
+        (lat, lon) => `https://api.open-meteo.com/v1/elevation?latitude=${lat}&longitude=${lon}`,
+        (data) => ({ elevation: data.elevation[0] }),
+        { timeout: 8000 }
+    );
+}
+
+function createOverpassDensityProvider(radius = 500) {
+    return {
+        name: 'overpass',
+        label: 'OpenStreetMap Overpass',
+        timeout: 15000,
+        async fetch(lat, lon, signal) {
+            // Count buildings in the area - more buildings = higher population density
+            const query = `
+                [out:json];
+                (
+                    way["building"](around:${radius},${lat},${lon});
+                    relation["building"](around:${radius},${lat},${lon});
+                );
+                out count;
+            `;
+            
+            const response = await fetch('https://overpass-api.de/api/interpreter', {
+                method: 'POST',
+                body: 'data=' + encodeURIComponent(query),
+                signal
+            });
+            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const data = await response.json();
+            
+            // `out count` returns a single count element with the total in its tags
+            const countElement = data.elements.find(element => element.type === 'count');
+            const buildingCount = countElement ? parseInt(countElement.tags.total, 10) : data.elements.length;
+            
+            // Normalize: 0-10 buildings = rural (0.0), 100+ = urban (1.0)
+            return {
+                populationDensity: Math.min(1.0, buildingCount / 100),
+                buildingCount
+            };
+        }
+    };
+}
+
+// Offline stand-ins: deterministic values derived from the location, no network
+function createMockWeatherProvider() {
+    return {
+        name: 'mock',
+        label: 'Mock (offline)',
+        mock: true,
+        async fetch(lat, lon) {
+            return {
+                temperature: 28 - Math.abs(lat) * 0.45,
+                humidity: 50 + Math.sin(lon * Math.PI / 180) * 30,
+                description: 'mock weather',
+                rainfall: 0
+            };
+        }
+    };
+}
+
+function createMockElevationProvider() {
+    return {
+        name: 'mock',
+        label: 'Mock (offline)',
+        mock: true,
+        async fetch(lat, lon) {
+            return {
+                elevation: Math.max(0, Math.sin(lat * 7) * Math.cos(lon * 5) * 800)
+            };
+        }
+    };
+}
+
+function createMockDensityProvider() {
+    return {
+        name: 'mock',
+        label: 'Mock (offline)',
+        mock: true,
+        async fetch(lat, lon) {
+            const buildingCount = Math.round(50 + Math.sin(lat * 300) * Math.cos(lon * 300) * 50);
+            return {
+                populationDensity: Math.min(1.0, buildingCount / 100),
+                buildingCount
+            };
+        }
+    };
+}
+
+function registerDefaultProviders(registry, options = {}) {
+    if (options.openWeatherMapKey && options.openWeatherMapKey !== 'YOUR_API_KEY_HERE') {
+        registry.register('weather', createOpenWeatherMapProvider(options.openWeatherMapKey));
+    }
+    registry.register('weather', createOpenMeteoWeatherProvider());
+    registry.register('weather', createMockWeatherProvider());
+    
+    registry.register('elevation', createOpenElevationProvider());
+    registry.register('elevation', createOpenMeteoElevationProvider());
+    registry.register('elevation', createMockElevationProvider());
+    
+    registry.register('density', createOverpassDensityProvider());
+    registry.register('density', createMockDensityProvider());
+    
+    return registry;
+}
\ No newline at end of file
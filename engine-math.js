@@ -0,0 +1,239 @@
+// Pure pitch, pan and scale computations used by EnvironmentalAudioEngine.
+// Nothing here touches Web Audio, timers or the DOM.
+
+// Fundamental = base * (low + random * span), per mode
+const FUNDAMENTAL_SPREAD = {
+    drone: { low: 0.75, span: 0.5 },
+    pulse: { low: 0.5, span: 2.5 },
+    click: { low: 0.25, span: 8 },
+    granular: { low: 0.5, span: 1.5 },
+    fm: { low: 0.75, span: 0.5 },
+    pluck: { low: 0.5, span: 1 }
+};
+
+// Oscillators 1, 2 and 4-7 follow the compass tones; 3 and 8 are the speed voices
+const HARMONIC_INDICES = [1, 2, 4, 5, 6, 7];
+
+// FM mode's [carrier, modulator] voices; voice 8 plays unmodulated
+const FM_PAIRS = [[0, 3], [1, 4], [2, 5], [6, 7]];
+
+// What drives each oscillator, for display
+const VOICE_ROLES = [
+    'Fundamental', 'Scale harmonic 1', 'Scale harmonic 2', 'Speed up', 'Scale harmonic 3',
+    'Scale harmonic 4', 'Scale harmonic 5', 'Scale harmonic 6', 'Speed down'
+];
+
+const BUILTIN_SCALES = {
+    dreyblatt: () => [1.0, 1.125, 1.25, 1.375, 1.5, 1.625, 1.75, 1.875, 2.0, 2.125, 2.25, 2.375, 2.5, 2.625, 2.75, 2.875, 3.0, 3.125, 3.25, 3.375],
+    harmonic: () => [1.0, 2.0, 3.0, 4.0, 5.0, 6.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0, 13.0, 14.0, 15.0, 16.0, 17.0, 18.0, 19.0, 20.0],
+    slendro: () => {
+        const base = [1.0, 1.2, 1.4, 1.68, 1.87];
+        return [...base, ...base.map(r => r * 2), ...base.map(r => r * 3), ...base.map(r => r * 4)];
+    },
+    pelog: () => {
+        const base = [1.0, 1.122, 1.26, 1.414, 1.587, 1.682, 1.888];
+        return [...base, ...base.map(r => r * 2), ...base.map(r => r * 3)];
+    },
+    quartertone: () => Array.from({ length: 24 }, (_, i) => Math.pow(2, i / 24))
+};
+
+function builtinScaleRatios(scale) {
+    return BUILTIN_SCALES[scale] ? BUILTIN_SCALES[scale]() : [1.0, 1.125, 1.25, 1.5, 1.75, 2.0];
+}
+
+// Cosine terms (DC first) of the built-in waveforms the browser has no oscillator type for
+const WAVEFORM_HARMONICS = {
+    organ: [0, 1.0, 0.7, 0.3, 0.8, 0.2, 0.4, 0.15, 0.6, 0.1, 0.3, 0.08, 0.2, 0.05, 0.15, 0.03, 0.4],
+    square: [0, 1.0, 0, 0.333, 0, 0.2, 0, 0.143, 0, 0.111, 0, 0.091, 0, 0.077],
+    metallic: [0, 1.0, 0.4, 0.15, 0.3, 0.08, 0.2, 0.06, 0.15, 0.04, 0.1, 0.03, 0.08],
+    harsh: [0, 1.0, 0.9, 0.8, 0.7, 0.6, 0.5, 0.4, 0.3, 0.2, 0.15, 0.1]
+};
+
+// Most partials a custom waveform can have (not counting DC); also the harmonic editor's bar count
+const WAVE_PARTIAL_COUNT = 16;
+
+// { real, imag } of a built-in waveform, WAVE_PARTIAL_COUNT + 1 terms long.
+// Sine and sawtooth use the browser's own coefficients, cut off after WAVE_PARTIAL_COUNT partials.
+function builtinWaveHarmonics(waveform) {
+    const real = new Array(WAVE_PARTIAL_COUNT + 1).fill(0);
+    const imag = new Array(WAVE_PARTIAL_COUNT + 1).fill(0);
+    
+    if (WAVEFORM_HARMONICS[waveform]) {
+        WAVEFORM_HARMONICS[waveform].forEach((value, n) => {
+            if (n <= WAVE_PARTIAL_COUNT) real[n] = value;
+        });
+    } else if (waveform === 'sawtooth') {
+        for (let n = 1; n <= WAVE_PARTIAL_COUNT; n++) {
+            imag[n] = (n % 2 === 1 ? 2 : -2) / (Math.PI * n);
+        }
+    } else {
+        imag[1] = 1;
+    }
+    return { real, imag };
+}
+
+// A spectrum shaped by the surroundings, as { real, imag }. Built-up areas (populationDensity,
+// from the building count) are bright and the countryside close to a sine; below freezing the
+// even partials drop out for a hollow tone; humidity damps the top; rain adds a band of
+// sine-phase partials around the 10th.
+function environmentWaveHarmonics({ populationDensity, temperature, humidity, rainfall }) {
+    const rolloff = 2 - 1.5 * Math.max(0, Math.min(1, populationDensity));
+    const evens = Math.max(0, Math.min(1, temperature / 30));
+    const damping = Math.max(0, Math.min(1, humidity / 100)) * 0.3;
+    const rain = Math.max(0, Math.min(1, rainfall / 10));
+    const real = [0];
+    const imag = [0];
+    
+    for (let n = 1; n <= WAVE_PARTIAL_COUNT; n++) {
+        const level = Math.pow(n, -rolloff) * Math.exp(-damping * (n - 1));
+        real.push(n % 2 === 0 ? level * evens : level);
+        imag.push(rain * 0.5 * Math.exp(-Math.pow(n - 10, 2) / 8));
+    }
+    return { real, imag };
+}
+
+function computeBaseFrequency(mod) {
+    return mod.baseFrequency * Math.pow(2, mod.pitch);
+}
+
+// `random` is a 0-1 value from the engine's PRNG
+function computeFundamental(mode, baseFreq, random) {
+    const spread = FUNDAMENTAL_SPREAD[mode] || FUNDAMENTAL_SPREAD.drone;
+    return baseFreq * (spread.low + random * spread.span);
+}
+
+// One step of a random walk on 0-1, reflecting off the ends; `random` is a 0-1 value
+function stepRandomWalk(position, random, step) {
+    let next = position + (random * 2 - 1) * step;
+    if (next < 0) next = -next;
+    if (next > 1) next = 2 - next;
+    return Math.max(0, Math.min(1, next));
+}
+
+// Each heading quadrant picks six tones from a different region of the scale
+function selectScaleTones(scaleRatios, heading) {
+    const headingNorm = ((heading % 360) + 360) % 360;
+    const last = scaleRatios.length - 1;
+    const at = (index) => scaleRatios[Math.min(index, last)];
+    
+    if (headingNorm < 90) {
+        const t = headingNorm / 90;
+        const startIdx = Math.floor(t * Math.min(4, scaleRatios.length - 10));
+        return [0, 2, 4, 6, 8, 10].map(step => at(startIdx + step));
+    } else if (headingNorm < 180) {
+        const t = (headingNorm - 90) / 90;
+        const startIdx = Math.floor(5 + t * Math.min(5, scaleRatios.length - 15));
+        return [0, 1, 3, 5, 7, 9].map(step => at(startIdx + step));
+    } else if (headingNorm < 270) {
+        const t = (headingNorm - 180) / 90;
+        const startIdx = Math.floor(10 + t * Math.min(6, scaleRatios.length - 16));
+        return [...[0, 2, 4, 6, 8].map(step => at(startIdx + step)), scaleRatios[last]];
+    }
+    
+    const t = (headingNorm - 270) / 90;
+    const spread = Math.floor(t * 3);
+    return [...[0, 4, 8, 12, 16].map(step => at(step + spread)), scaleRatios[last]];
+}
+
+// Octave placement of each compass voice, per mode
+function harmonicMultiplier(mode, oscIdx) {
+    if (mode === 'pulse') {
+        if (oscIdx <= 2) return 0.25;
+        if (oscIdx >= 5) return 4.0;
+    } else if (mode === 'click') {
+        if (oscIdx <= 2) return 0.125;
+        if (oscIdx === 4) return 0.5; // Keep osc 4 in the low-mid range
+        if (oscIdx >= 5) return 8.0;
+    } else {
+        if (oscIdx === 4) return 1.5; // Slightly above the fundamental
+        if (oscIdx === 5) return 4.0;
+        if (oscIdx === 6 || oscIdx === 7) return 8.0;
+    }
+    return 1.0;
+}
+
+// Frequencies for the compass voices, keyed by oscillator index.
+// Above 200 Hz the tones divide the fundamental (subharmonics) instead of multiplying it.
+function computeHarmonics(mode, fundamentalFreq, fund, compassTones) {
+    const useSubharmonics = fundamentalFreq > 200;
+    const harmonics = {};
+    
+    HARMONIC_INDICES.forEach((oscIdx, i) => {
+        const tone = compassTones[i % compassTones.length];
+        const octaveMultiplier = Math.floor(i / compassTones.length) + 1;
+        
+        const harmonic = useSubharmonics
+            ? fund / (tone * octaveMultiplier)
+            : fund * tone * octaveMultiplier;
+        
+        harmonics[oscIdx] = harmonic * harmonicMultiplier(mode, oscIdx);
+    });
+    
+    return harmonics;
+}
+
+// Pulse and click modes jump the speed voices by two octaves around half speed.
+// The inverted voice (osc 8) jumps the opposite way.
+function computeSpeedVoice(mode, frequency, speed, inverted = false) {
+    if (mode !== 'pulse' && mode !== 'click') return frequency;
+    
+    const slow = Math.min(speed / 35.8, 1) < 0.5;
+    return frequency * (slow !== inverted ? 0.25 : 4.0);
+}
+
+// Stereo position of voice `index`, spread around the heading pan
+function computePan(pan, spread, index) {
+    const offset = (index - 3.5) * 0.05 * spread;
+    return Math.max(-0.8, Math.min(0.8, pan + offset));
+}
+
+// Mixer gain of voice `index`: silent when disabled, muted, or when other voices are soloed
+function computeVoiceLevel(voices, index) {
+    const voice = voices[index];
+    const soloing = voices.some(other => other.solo);
+    
+    if (!voice.enabled || voice.mute || (soloing && !voice.solo)) return 0;
+    return voice.trim;
+}
+
+// Gain at `time` of an envelope made of linear segments { startTime, startValue, endTime, endValue,
+// previous }, newest first; a segment overrides its predecessors from its start time on
+function envelopeValueAt(envelope, time) {
+    let segment = envelope;
+    while (segment && segment.startTime > time && segment.previous) {
+        segment = segment.previous;
+    }
+    
+    if (!segment) return 0;
+    if (time >= segment.endTime) return segment.endValue;
+    if (time <= segment.startTime) return segment.startValue;
+    const t = (time - segment.startTime) / (segment.endTime - segment.startTime);
+    return segment.startValue + (segment.endValue - segment.startValue) * t;
+}
+
+// Scale degrees folded into one octave, as sorted fractions of an octave (0-1)
+function foldScaleDegrees(scaleRatios) {
+    const degrees = scaleRatios.map(ratio => {
+        const octaves = Math.log2(ratio);
+        return octaves - Math.floor(octaves);
+    });
+    
+    return Array.from(new Set(degrees.map(d => Math.round(d * 1e6) / 1e6))).sort((a, b) => a - b);
+}
+
+// Pull a frequency toward the nearest degree above rootFreq; strength 0 = unchanged, 1 = exact
+function quantizeToScale(frequency, degrees, rootFreq, strength) {
+    const position = Math.log2(frequency / rootFreq);
+    const octave = Math.floor(position);
+    const fraction = position - octave;
+    
+    let nearest = 1; // the root an octave up
+    degrees.forEach(degree => {
+        if (Math.abs(degree - fraction) < Math.abs(nearest - fraction)) {
+            nearest = degree;
+        }
+    });
+    
+    const target = octave + nearest;
+    return rootFreq * Math.pow(2, position + (target - position) * strength);
+}
\ No newline at end of file
@@ -0,0 +1,58 @@
+// Bar sliders for the partials of a custom waveform: a cosine (real) row and a sine (imag) row
+class HarmonicEditor {
+    constructor(container, onChange) {
+        this.container = container;
+        this.onChange = onChange;
+        this.real = new Array(WAVE_PARTIAL_COUNT + 1).fill(0);
+        this.imag = new Array(WAVE_PARTIAL_COUNT + 1).fill(0);
+    }
+    
+    // `harmonics` is { real, imag } from DC up; missing partials are zero, DC is ignored
+    setHarmonics(harmonics) {
+        for (let n = 0; n <= WAVE_PARTIAL_COUNT; n++) {
+            this.real[n] = n > 0 && harmonics.real[n] ? harmonics.real[n] : 0;
+            this.imag[n] = n > 0 && harmonics.imag[n] ? harmonics.imag[n] : 0;
+        }
+        this.render();
+    }
+    
+    getHarmonics() {
+        return { real: this.real.slice(), imag: this.imag.slice() };
+    }
+    
+    render() {
+        this.container.innerHTML = '';
+        this.container.appendChild(this.createRow('Cos', 'Cosine (real)', this.real));
+        this.container.appendChild(this.createRow('Sin', 'Sine (imag)', this.imag));
+    }
+    
+    createRow(label, title, terms) {
+        const row = document.createElement('div');
+        row.className = 'harmonic-row';
+        row.title = title;
+        
+        const name = document.createElement('span');
+        name.className = 'harmonic-label';
+        name.textContent = label;
+        row.appendChild(name);
+        
+        for (let n = 1; n <= WAVE_PARTIAL_COUNT; n++) {
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.className = 'harmonic-bar';
+            input.min = -1;
+            input.max = 1;
+            input.step = 0.01;
+            input.value = terms[n];
+            input.title = `Partial ${n}`;
+            input.setAttribute('aria-label', `${title} partial ${n}`);
+            input.addEventListener('input', () => {
+                terms[n] = parseFloat(input.value);
+                this.onChange();
+            });
+            row.appendChild(input);
+        }
+        
+        return row;
+    }
+}
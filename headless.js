@@ -0,0 +1,314 @@
+// Runs EnvironmentalAudioEngine under Node with a mock AudioContext and virtual timers.
+//
+//   node headless.js --mode pulse --scale slendro --heading 135 --speed 12 --seed 7
+//
+// prints the nine oscillator frequencies, filter cutoffs and pans as JSON. It can also be
+// require()d: createHeadlessEngine() returns { engine, context, timers, advance(seconds) }.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Browser scripts the engine depends on, in index.html order
+const ENGINE_SCRIPTS = [
+    'solar.js',
+    'random.js',
+    'scala.js',
+    'engine-math.js',
+    'modulation-matrix.js',
+    'scheduler.js',
+    'click-processor.js',
+    'audio-engine.js',
+    'offline-renderer.js'
+];
+
+// Records every automation call; `value` jumps to the latest target
+class MockAudioParam {
+    constructor(value = 0) {
+        this.value = value;
+        this.events = [];
+    }
+    
+    record(type, value, time, extra) {
+        this.events.push({ type, value, time, extra });
+        if (value !== undefined) this.value = value;
+        return this;
+    }
+    
+    setValueAtTime(value, time) { return this.record('setValueAtTime', value, time); }
+    linearRampToValueAtTime(value, time) { return this.record('linearRampToValueAtTime', value, time); }
+    exponentialRampToValueAtTime(value, time) { return this.record('exponentialRampToValueAtTime', value, time); }
+    setTargetAtTime(value, time, timeConstant) { return this.record('setTargetAtTime', value, time, timeConstant); }
+    cancelScheduledValues(time) { return this.record('cancelScheduledValues', undefined, time); }
+    connect() {}
+    disconnect() {}
+}
+
+class MockAudioNode {
+    constructor(context, type, params = {}) {
+        this.context = context;
+        this.nodeType = type;
+        this.connections = [];
+        Object.keys(params).forEach(name => {
+            this[name] = new MockAudioParam(params[name]);
+        });
+    }
+    
+    connect(target) {
+        this.connections.push(target);
+        return target;
+    }
+    
+    disconnect() {
+        this.connections = [];
+    }
+    
+    start(time = 0) {
+        this.startedAt = time;
+    }
+    
+    stop(time = 0) {
+        this.stoppedAt = time;
+    }
+}
+
+class MockAudioBuffer {
+    constructor(channels, length, sampleRate) {
+        this.numberOfChannels = channels;
+        this.length = length;
+        this.sampleRate = sampleRate;
+        this.duration = length / sampleRate;
+        this.channels = Array.from({ length: channels }, () => new Float32Array(length));
+    }
+    
+    getChannelData(channel) {
+        return this.channels[channel];
+    }
+}
+
+// Enough of BaseAudioContext for the engine; time only moves through advance()
+class MockAudioContext {
+    constructor(sampleRate = 44100) {
+        this.sampleRate = sampleRate;
+        this.currentTime = 0;
+        this.state = 'running';
+        this.destination = new MockAudioNode(this, 'destination');
+        this.nodes = [];
+    }
+    
+    node(type, params) {
+        const node = new MockAudioNode(this, type, params);
+        this.nodes.push(node);
+        return node;
+    }
+    
+    createGain() { return this.node('gain', { gain: 1 }); }
+    createStereoPanner() { return this.node('panner', { pan: 0 }); }
+    createConvolver() { return this.node('convolver'); }
+    createBufferSource() { return this.node('bufferSource', { playbackRate: 1 }); }
+    
+    createAnalyser() {
+        const analyser = this.node('analyser');
+        analyser.fftSize = 2048;
+        analyser.frequencyBinCount = 1024;
+        analyser.smoothingTimeConstant = 0.8;
+        return analyser;
+    }
+    
+    createOscillator() {
+        const osc = this.node('oscillator', { frequency: 440, detune: 0 });
+        osc.type = 'sine';
+        osc.setPeriodicWave = (wave) => {
+            osc.type = 'custom';
+            osc.periodicWave = wave;
+        };
+        return osc;
+    }
+    
+    createBiquadFilter() {
+        const filter = this.node('biquadFilter', { frequency: 350, Q: 1, gain: 0 });
+        filter.type = 'lowpass';
+        return filter;
+    }
+    
+    createBuffer(channels, length, sampleRate) {
+        return new MockAudioBuffer(channels, length, sampleRate);
+    }
+    
+    createPeriodicWave(real, imag) {
+        return { real, imag };
+    }
+    
+    async resume() {
+        this.state = 'running';
+    }
+    
+    async close() {
+        this.state = 'closed';
+    }
+}
+
+// OfflineAudioContext stand-in. startRendering() steps through the suspend() points in time
+// order, waiting at each for resume(), and resolves with a silent buffer of the full length.
+class MockOfflineAudioContext extends MockAudioContext {
+    constructor(channels, length, sampleRate) {
+        super(sampleRate);
+        this.state = 'suspended';
+        this.numberOfChannels = channels;
+        this.length = length;
+        this.suspends = [];
+        this.waiting = null;
+    }
+    
+    suspend(time) {
+        return new Promise(resolve => this.suspends.push({ time, resolve }));
+    }
+    
+    async resume() {
+        this.state = 'running';
+        if (this.waiting) {
+            const resumed = this.waiting;
+            this.waiting = null;
+            resumed();
+        }
+    }
+    
+    async startRendering() {
+        const end = this.length / this.sampleRate;
+        this.state = 'running';
+        
+        while (this.suspends.length > 0) {
+            this.suspends.sort((a, b) => a.time - b.time);
+            const next = this.suspends.shift();
+            if (next.time >= end) continue;
+            
+            this.currentTime = next.time;
+            this.state = 'suspended';
+            await new Promise(resolve => {
+                this.waiting = resolve;
+                next.resolve();
+            });
+        }
+        
+        this.currentTime = end;
+        return new MockAudioBuffer(this.numberOfChannels, this.length, this.sampleRate);
+    }
+}
+
+// Loads the browser scripts into one sandbox so their top-level declarations share scope.
+// `globals` adds browser APIs such as OfflineAudioContext to the sandbox.
+function loadEngineScripts(root = __dirname, globals = {}) {
+    const sandbox = { console, Math, Date, Float32Array, Map, Set, Promise, ...globals };
+    sandbox.window = sandbox;
+    const context = vm.createContext(sandbox);
+    
+    const source = ENGINE_SCRIPTS
+        .map(file => fs.readFileSync(path.join(root, file), 'utf8'))
+        .join('\n;\n');
+    
+    // Class and const declarations stay script-scoped, so hand them out explicitly
+    vm.runInContext(`${source}
+        ;globalThis.__engine = {
+            EnvironmentalAudioEngine, VirtualTimers, EventScheduler, ModulationMatrix,
+            MODULATION_SOURCES, MODULATION_DESTINATIONS, DEFAULT_MODULATION_ROUTES,
+            ENGINE_MODES, ENGINE_WAVEFORMS, QUANTIZE_ROOTS, HARMONIC_INDICES, BUILTIN_SCALES,
+            WAVEFORM_HARMONICS, WAVE_PARTIAL_COUNT, builtinWaveHarmonics, environmentWaveHarmonics,
+            builtinScaleRatios, computeBaseFrequency, computeFundamental, selectScaleTones,
+            harmonicMultiplier, computeHarmonics, computeSpeedVoice, computePan, computeVoiceLevel,
+            foldScaleDegrees, quantizeToScale, envelopeValueAt,
+            createRandom, hashSeed, parseScl, parseKbm, buildScaleRatios,
+            solarPosition, sunTimes, OfflineRenderer, traceDate
+        };`, context, { filename: 'envirosines-engine.js' });
+    
+    return context.__engine;
+}
+
+// A started engine on a mock context. Call advance(seconds) to move time and fire timers.
+async function createHeadlessEngine(options = {}) {
+    const api = options.api || loadEngineScripts(options.root);
+    const context = new MockAudioContext(options.sampleRate);
+    const timers = new api.VirtualTimers(() => context.currentTime);
+    
+    const engine = new api.EnvironmentalAudioEngine({
+        createContext: () => context,
+        timers
+    });
+    
+    if (options.settings) {
+        engine.applySettings(options.settings);
+    }
+    
+    await engine.start();
+    
+    const advance = (seconds) => {
+        context.currentTime += seconds;
+        timers.runDue(context.currentTime);
+    };
+    
+    return { api, engine, context, timers, advance };
+}
+
+// Frequencies, cutoffs and pans for one set of environmental values
+function snapshot(engine) {
+    return {
+        mode: engine.mode,
+        scale: engine.scale,
+        fundamental: engine.fundamentalFreq,
+        frequencies: engine.oscillators.map(osc => osc.frequency.value),
+        lowpass: engine.lowPassFilter.frequency.value,
+        highpass: engine.highPassFilter.frequency.value,
+        pans: engine.panners.map(panner => panner.pan.value),
+        sunElevation: engine.sunElevation
+    };
+}
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const number = (name) => (args[name] !== undefined ? Number(args[name]) : undefined);
+    
+    const settings = {};
+    if (args.mode) settings.mode = args.mode;
+    if (args.waveform) settings.waveform = args.waveform;
+    if (args.scale) settings.scale = args.scale;
+    if (args.seed !== undefined) settings.seed = number('seed');
+    
+    const { engine } = await createHeadlessEngine({ settings });
+    
+    const data = {};
+    ['latitude', 'longitude', 'speed', 'temperature', 'humidity', 'heading', 'timeOfDay',
+        'populationDensity', 'trafficDensity', 'elevation', 'rainfall', 'timestamp'].forEach(name => {
+        if (args[name] !== undefined) data[name] = number(name);
+    });
+    engine.applyEnvironmentalData(data);
+    
+    console.log(JSON.stringify(snapshot(engine), null, 2));
+    engine.stop();
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    ENGINE_SCRIPTS,
+    MockAudioContext,
+    MockOfflineAudioContext,
+    MockAudioNode,
+    MockAudioParam,
+    loadEngineScripts,
+    createHeadlessEngine,
+    snapshot
+};
\ No newline at end of file
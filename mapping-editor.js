@@ -0,0 +1,104 @@
+// Editable view of a ModulationMatrix: one row per route
+class MappingEditor {
+    constructor(container, onChange) {
+        this.container = container;
+        this.onChange = onChange;
+        this.matrix = null;
+    }
+    
+    setMatrix(matrix) {
+        this.matrix = matrix;
+        this.render();
+    }
+    
+    render() {
+        this.container.innerHTML = '';
+        
+        if (this.matrix.routes.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'tool-status';
+            empty.textContent = 'No routes - the sound uses destination base values';
+            this.container.appendChild(empty);
+            return;
+        }
+        
+        this.matrix.routes.forEach((route, index) => {
+            this.container.appendChild(this.createRow(route, index));
+        });
+    }
+    
+    createRow(route, index) {
+        const row = document.createElement('div');
+        row.className = 'route-row';
+        
+        const labels = (table) => {
+            const options = {};
+            Object.keys(table).forEach(key => {
+                options[key] = table[key].label || key;
+            });
+            return options;
+        };
+        
+        const curves = {};
+        Object.keys(MODULATION_CURVES).forEach(key => {
+            curves[key] = key;
+        });
+        
+        row.appendChild(this.createSelect(labels(MODULATION_SOURCES), route.source, value => this.update(index, { source: value })));
+        row.appendChild(this.createSelect(labels(MODULATION_DESTINATIONS), route.destination, value => this.update(index, { destination: value })));
+        row.appendChild(this.createSelect(curves, route.curve, value => this.update(index, { curve: value })));
+        row.appendChild(this.createNumber('Min', route.min, value => this.update(index, { min: value })));
+        row.appendChild(this.createNumber('Max', route.max, value => this.update(index, { max: value })));
+        row.appendChild(this.createNumber('Depth', route.depth, value => this.update(index, { depth: value })));
+        
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'route-remove';
+        removeBtn.textContent = '×';
+        removeBtn.title = 'Remove route';
+        removeBtn.addEventListener('click', () => {
+            this.matrix.removeRoute(index);
+            this.render();
+            this.onChange();
+        });
+        row.appendChild(removeBtn);
+        
+        return row;
+    }
+    
+    createSelect(options, value, onSelect) {
+        const select = document.createElement('select');
+        select.className = 'route-select';
+        
+        Object.keys(options).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = options[key];
+            select.appendChild(option);
+        });
+        
+        select.value = value;
+        select.addEventListener('change', () => onSelect(select.value));
+        return select;
+    }
+    
+    createNumber(title, value, onInput) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = 'any';
+        input.className = 'route-number';
+        input.title = title;
+        input.placeholder = title;
+        input.value = value;
+        input.addEventListener('change', () => {
+            if (input.value !== '' && !isNaN(Number(input.value))) {
+                onInput(Number(input.value));
+            }
+        });
+        return input;
+    }
+    
+    update(index, changes) {
+        this.matrix.updateRoute(index, changes);
+        this.onChange();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,181 @@
+// MIDI controller input: CCs and notes override or offset environmental inputs, or pick the
+// mode, waveform and scale. Mappings are made with MIDI-learn and persisted by the app.
+// A mapping is { type: 'cc' | 'note', channel (0-15), number, target, action }.
+const MIDI_INPUT_STORAGE_KEY = 'envirosines.midi-input';
+// Fields of setEnvironmentalData a controller can drive; ranges come from MODULATION_SOURCES
+const MIDI_INPUT_ENVIRONMENT = [
+    'latitude', 'longitude', 'speed', 'temperature', 'humidity', 'heading', 'timeOfDay',
+    'populationDensity', 'trafficDensity', 'elevation', 'rainfall'
+];
+const MIDI_INPUT_SELECTORS = { mode: 'Mode', waveform: 'Waveform', scale: 'Scale' };
+// override: the control sets the value; offset: the control centre (64) leaves it unchanged
+const MIDI_INPUT_ACTIONS = ['override', 'offset'];
+
+class MidiInput {
+    constructor() {
+        this.access = null;
+        this.enabled = false;
+        this.mappings = [];
+        this.learning = null;
+        this.values = {}; // latest control position (0-1) per environmental target and action
+        this.onLearn = null;
+        this.onEnvironment = null;
+        this.onSelect = null;
+    }
+    
+    static isTarget(target) {
+        return MIDI_INPUT_ENVIRONMENT.includes(target) || !!MIDI_INPUT_SELECTORS[target];
+    }
+    
+    static targetLabel(target) {
+        return MIDI_INPUT_SELECTORS[target] || MODULATION_SOURCES[target].label;
+    }
+    
+    static validateMapping(mapping) {
+        if (!mapping || (mapping.type !== 'cc' && mapping.type !== 'note')) {
+            throw new Error('Mapping type must be cc or note');
+        }
+        if (!Number.isInteger(mapping.channel) || mapping.channel < 0 || mapping.channel > 15) {
+            throw new Error('Mapping channel must be 0-15');
+        }
+        if (!Number.isInteger(mapping.number) || mapping.number < 0 || mapping.number > 127) {
+            throw new Error('Mapping number must be 0-127');
+        }
+        if (!MidiInput.isTarget(mapping.target)) {
+            throw new Error(`Unknown controller target: ${mapping.target}`);
+        }
+        if (!MIDI_INPUT_ACTIONS.includes(mapping.action)) {
+            throw new Error(`Unknown controller action: ${mapping.action}`);
+        }
+    }
+    
+    static describe(mapping) {
+        const control = mapping.type === 'cc' ? `CC ${mapping.number}` : `Note ${mapping.number}`;
+        const action = MIDI_INPUT_SELECTORS[mapping.target] ? '' : ` (${mapping.action})`;
+        return `${control} ch${mapping.channel + 1} → ${MidiInput.targetLabel(mapping.target)}${action}`;
+    }
+    
+    async requestAccess() {
+        if (!navigator.requestMIDIAccess) {
+            throw new Error('Web MIDI is not supported in this browser');
+        }
+        
+        if (!this.access) {
+            this.access = await navigator.requestMIDIAccess();
+            this.access.onstatechange = () => {
+                if (this.enabled) this.listen();
+            };
+        }
+        this.enabled = true;
+        this.listen();
+        return Array.from(this.access.inputs.values());
+    }
+    
+    // Listen on every connected input, so a controller can be plugged in mid-set
+    listen() {
+        this.access.inputs.forEach(input => {
+            input.onmidimessage = (message) => this.handleMessage(message.data);
+        });
+    }
+    
+    close() {
+        this.enabled = false;
+        if (this.access) {
+            this.access.inputs.forEach(input => {
+                input.onmidimessage = null;
+            });
+        }
+        this.learning = null;
+    }
+    
+    setMappings(mappings) {
+        mappings.forEach(mapping => MidiInput.validateMapping(mapping));
+        this.mappings = mappings.map(({ type, channel, number, target, action }) => ({ type, channel, number, target, action }));
+    }
+    
+    removeMapping(index) {
+        const [removed] = this.mappings.splice(index, 1);
+        if (removed && !this.mappings.some(m => m.target === removed.target && m.action === removed.action)) {
+            delete this.values[`${removed.target}:${removed.action}`];
+        }
+    }
+    
+    // The next CC or note-on is mapped to `target`; learn(null) cancels
+    learn(target, action = 'override') {
+        if (target !== null && !MidiInput.isTarget(target)) {
+            throw new Error(`Unknown controller target: ${target}`);
+        }
+        this.learning = target === null ? null : { target, action };
+    }
+    
+    // Environmental values go back to following the live data
+    release() {
+        this.values = {};
+    }
+    
+    handleMessage(data) {
+        const status = data[0] & 0xF0;
+        const channel = data[0] & 0x0F;
+        let type;
+        
+        if (status === 0xB0) {
+            type = 'cc';
+        } else if (status === 0x90 && data[2] > 0) {
+            type = 'note';
+        } else {
+            return;
+        }
+        
+        const number = data[1];
+        const value = data[2] / 127;
+        
+        if (this.learning) {
+            const mapping = { type, channel, number, ...this.learning };
+            this.mappings = this.mappings.filter(m => m.type !== type || m.channel !== channel || m.number !== number);
+            this.mappings.push(mapping);
+            this.learning = null;
+            if (this.onLearn) this.onLearn(mapping);
+            return;
+        }
+        
+        this.mappings.forEach(mapping => {
+            if (mapping.type !== type || mapping.channel !== channel || mapping.number !== number) return;
+            
+            if (MIDI_INPUT_SELECTORS[mapping.target]) {
+                // A CC picks a position in the list; a note steps to the next entry
+                if (this.onSelect) this.onSelect(mapping.target, type === 'cc' ? value : null);
+            } else {
+                this.values[`${mapping.target}:${mapping.action}`] = value;
+                if (this.onEnvironment) this.onEnvironment(mapping.target);
+            }
+        });
+    }
+    
+    // Copy of `data` with overrides and offsets applied
+    applyTo(data) {
+        const result = { ...data };
+        
+        MIDI_INPUT_ENVIRONMENT.forEach(target => {
+            const range = MODULATION_SOURCES[target];
+            const span = range.max - range.min;
+            const override = this.values[`${target}:override`];
+            const offset = this.values[`${target}:offset`];
+            
+            if (override === undefined && offset === undefined) return;
+            
+            let value = override !== undefined ? range.min + override * span : data[target];
+            if (offset !== undefined) {
+                value += (offset - 64 / 127) * span;
+            }
+            
+            if (target === 'heading') {
+                value = ((value % 360) + 360) % 360;
+            } else {
+                value = Math.max(range.min, Math.min(range.max, value));
+            }
+            result[target] = value;
+        });
+        
+        return result;
+    }
+}
@@ -0,0 +1,338 @@
+// Web MIDI output: the nine voices as notes with per-channel pitch bend, and environmental
+// sources as control changes. Driven by the engine's onVoiceEvent callback.
+const MIDI_MODES = {
+    mpe: 'MPE',
+    multi: 'Channel per voice',
+    single: 'Single channel'
+};
+const MIDI_VOICES = 9;
+const MIDI_BEND_RANGES = [2, 12, 24, 48];
+const MIDI_STORAGE_KEY = 'envirosines.midi';
+// Gain that maps to velocity 127, per mode (sporadic voices peak around 0.1, clicks at 0.6)
+const MIDI_FULL_GAIN = { drone: 0.115, pulse: 0.08, click: 0.6, granular: 0.07, fm: 0.115, pluck: 0.2 };
+const MIDI_DEFAULT_CONTROLS = [
+    { source: 'temperature', cc: 20 },
+    { source: 'humidity', cc: 21 },
+    { source: 'speed', cc: 22 },
+    { source: 'sunElevation', cc: 23 },
+    { source: 'populationDensity', cc: 24 },
+    { source: 'rainfall', cc: 25 }
+];
+
+// Fractional MIDI note number (69 = A4 = 440 Hz)
+function frequencyToMidi(frequency) {
+    return 69 + 12 * Math.log2(frequency / 440);
+}
+
+class MidiOutput {
+    constructor() {
+        this.access = null;
+        this.output = null;
+        this.engine = null;
+        this.mode = 'mpe';
+        this.channel = 1; // base channel (1-16) for multi and single modes
+        this.bendRange = 48; // semitones; the receiver must use the same range
+        this.controls = MIDI_DEFAULT_CONTROLS.map(control => ({ ...control }));
+        // Per voice, { note, velocity, onset, release } for notes sent and not yet over. Onsets and
+        // releases are on the performance.now() clock and may lie ahead (see timestampFor).
+        this.notes = [];
+        this.frequencies = [];
+        this.controlValues = {};
+        this.onOutputsChange = null;
+    }
+    
+    static isSupported() {
+        return typeof navigator !== 'undefined' && !!navigator.requestMIDIAccess;
+    }
+    
+    async requestAccess() {
+        if (!MidiOutput.isSupported()) {
+            throw new Error('Web MIDI is not supported in this browser');
+        }
+        
+        if (!this.access) {
+            this.access = await navigator.requestMIDIAccess();
+            this.access.onstatechange = () => {
+                if (this.output && this.output.state === 'disconnected') {
+                    this.output = null;
+                }
+                if (this.onOutputsChange) this.onOutputsChange(this.getOutputs());
+            };
+        }
+        return this.getOutputs();
+    }
+    
+    getOutputs() {
+        return this.access ? Array.from(this.access.outputs.values()) : [];
+    }
+    
+    setOutput(id) {
+        this.allNotesOff();
+        this.output = this.getOutputs().find(output => output.id === id) || null;
+        this.configure();
+    }
+    
+    setMode(mode) {
+        if (!MIDI_MODES[mode]) {
+            throw new Error(`Unknown MIDI mode: ${mode}`);
+        }
+        this.allNotesOff();
+        this.mode = mode;
+        this.configure();
+    }
+    
+    setChannel(channel) {
+        if (!Number.isInteger(channel) || channel < 1 || channel > 16) {
+            throw new Error('MIDI channel must be 1-16');
+        }
+        this.allNotesOff();
+        this.channel = channel;
+        this.configure();
+    }
+    
+    setBendRange(semitones) {
+        if (!Number.isInteger(semitones) || semitones < 1 || semitones > 96) {
+            throw new Error('Pitch bend range must be 1-96 semitones');
+        }
+        this.allNotesOff();
+        this.bendRange = semitones;
+        this.configure();
+    }
+    
+    setControls(controls) {
+        controls.forEach(control => MidiOutput.validateControl(control));
+        this.controls = controls.map(control => ({ source: control.source, cc: control.cc }));
+        this.controlValues = {};
+    }
+    
+    static validateControl(control) {
+        if (!control || !MODULATION_SOURCES[control.source]) {
+            throw new Error(`Unknown CC source: ${control && control.source}`);
+        }
+        if (!Number.isInteger(control.cc) || control.cc < 0 || control.cc > 119) {
+            throw new Error('CC number must be 0-119');
+        }
+    }
+    
+    // Start following the engine's voices
+    attach(engine) {
+        this.engine = engine;
+        this.frequencies = [];
+        this.controlValues = {};
+        engine.onVoiceEvent = (event) => this.handleVoiceEvent(event);
+        this.configure();
+    }
+    
+    detach() {
+        this.allNotesOff();
+        if (this.engine) {
+            this.engine.onVoiceEvent = null;
+            this.engine = null;
+        }
+    }
+    
+    getSettings() {
+        return {
+            outputId: this.output ? this.output.id : null,
+            mode: this.mode,
+            channel: this.channel,
+            bendRange: this.bendRange,
+            controls: this.controls.map(control => ({ ...control }))
+        };
+    }
+    
+    applySettings(settings) {
+        if (MIDI_MODES[settings.mode]) this.mode = settings.mode;
+        if (Number.isInteger(settings.channel) && settings.channel >= 1 && settings.channel <= 16) {
+            this.channel = settings.channel;
+        }
+        if (Number.isInteger(settings.bendRange) && settings.bendRange >= 1 && settings.bendRange <= 96) {
+            this.bendRange = settings.bendRange;
+        }
+        if (Array.isArray(settings.controls)) {
+            this.setControls(settings.controls.filter(control => {
+                try {
+                    MidiOutput.validateControl(control);
+                    return true;
+                } catch (e) {
+                    return false;
+                }
+            }));
+        }
+        if (settings.outputId) {
+            this.output = this.getOutputs().find(output => output.id === settings.outputId) || null;
+        }
+    }
+    
+    // 0-based channel for a voice. MPE uses the lower zone: master channel 1, voices on 2-10.
+    voiceChannel(voice) {
+        if (this.mode === 'mpe') return 1 + voice;
+        if (this.mode === 'multi') return (this.channel - 1 + voice) % 16;
+        return this.channel - 1;
+    }
+    
+    controlChannel() {
+        return this.mode === 'mpe' ? 0 : this.channel - 1;
+    }
+    
+    usesBend() {
+        return this.mode !== 'single';
+    }
+    
+    // `timestamp` is on the performance.now() clock; omitted means now
+    send(data, timestamp) {
+        if (this.output) this.output.send(data, timestamp);
+    }
+    
+    // Engine events can be announced ahead of time on the audio clock
+    timestampFor(time) {
+        if (time === undefined || !this.engine || !this.engine.audioContext) return undefined;
+        const delay = (time - this.engine.audioContext.currentTime) * 1000;
+        return delay > 0 ? performance.now() + delay : undefined;
+    }
+    
+    sendRpn(channel, parameter, value) {
+        this.send([0xB0 | channel, 101, 0, 0xB0 | channel, 100, parameter]);
+        this.send([0xB0 | channel, 6, value, 0xB0 | channel, 38, 0]);
+        this.send([0xB0 | channel, 101, 127, 0xB0 | channel, 100, 127]);
+    }
+    
+    // MPE zone and pitch bend range on every voice channel
+    configure() {
+        if (!this.output || !this.engine) return;
+        
+        if (this.mode === 'mpe') {
+            this.sendRpn(0, 6, MIDI_VOICES);
+        }
+        if (this.usesBend()) {
+            for (let voice = 0; voice < MIDI_VOICES; voice++) {
+                this.sendRpn(this.voiceChannel(voice), 0, this.bendRange);
+            }
+        }
+    }
+    
+    handleVoiceEvent(event) {
+        const timestamp = this.timestampFor(event.time);
+        
+        if (event.type === 'noteon') {
+            this.frequencies[event.voice] = event.frequency;
+            this.noteOff(event.voice, timestamp);
+            this.noteOn(event.voice, this.velocityFor(event.gain), timestamp);
+        } else if (event.type === 'noteoff') {
+            this.noteOff(event.voice, timestamp);
+        } else if (event.type === 'cancel') {
+            this.allNotesOff();
+        } else if (event.type === 'pitch') {
+            this.frequencies[event.voice] = event.frequency;
+            this.updatePitch(event.voice);
+        }
+    }
+    
+    velocityFor(gain) {
+        const fullGain = MIDI_FULL_GAIN[this.engine ? this.engine.mode : 'drone'] || MIDI_FULL_GAIN.drone;
+        return Math.max(1, Math.min(127, Math.round(gain / fullGain * 127)));
+    }
+    
+    noteOn(voice, velocity, timestamp) {
+        const frequency = this.frequencies[voice];
+        if (!frequency) return;
+        
+        const position = frequencyToMidi(frequency);
+        const note = Math.max(0, Math.min(127, Math.round(position)));
+        const channel = this.voiceChannel(voice);
+        
+        if (this.usesBend()) {
+            this.sendBend(channel, position - note, timestamp);
+        }
+        this.send([0x90 | channel, note, velocity], timestamp);
+        
+        const onset = timestamp !== undefined ? timestamp : performance.now();
+        this.notes[voice] = [...this.activeNotes(voice), { note, velocity, onset, release: null }];
+    }
+    
+    // Releases the voice's latest note
+    noteOff(voice, timestamp) {
+        const sounding = this.activeNotes(voice).filter(held => held.release === null).pop();
+        if (!sounding) return;
+        sounding.release = timestamp !== undefined ? timestamp : performance.now();
+        
+        // On a single channel another voice may be holding the same note
+        const shared = this.mode === 'single' && this.notes.some(held => held && held.some(other =>
+            other !== sounding && other.release === null && other.note === sounding.note));
+        if (!shared) {
+            this.send([0x80 | this.voiceChannel(voice), sounding.note, 0], timestamp);
+        }
+    }
+    
+    // The voice's notes that are sounding or still to start
+    activeNotes(voice) {
+        const now = performance.now();
+        this.notes[voice] = (this.notes[voice] || []).filter(held => held.release === null || held.release > now);
+        return this.notes[voice];
+    }
+    
+    // Bend the voice's notes toward its new frequency, or retrigger the latest one when out of
+    // range. A note that has not started yet is bent, or retriggered, at its onset, so that its
+    // own onset bend does not override the change.
+    updatePitch(voice) {
+        const now = performance.now();
+        const position = frequencyToMidi(this.frequencies[voice]);
+        const notes = this.activeNotes(voice).slice();
+        
+        notes.forEach((held, i) => {
+            const timestamp = held.onset > now ? held.onset : undefined;
+            const offset = position - held.note;
+            
+            if (this.usesBend() && Math.abs(offset) <= this.bendRange) {
+                this.sendBend(this.voiceChannel(voice), offset, timestamp);
+            } else if (i === notes.length - 1 && held.release === null && Math.round(position) !== held.note) {
+                this.noteOff(voice, timestamp);
+                this.noteOn(voice, held.velocity, timestamp);
+            }
+        });
+    }
+    
+    // Offset in semitones -> 14-bit pitch bend (8192 = centre)
+    sendBend(channel, semitones, timestamp) {
+        const value = Math.max(0, Math.min(16383, Math.round(8192 + semitones / this.bendRange * 8192)));
+        this.send([0xE0 | channel, value & 0x7F, value >> 7], timestamp);
+    }
+    
+    // Environmental sources as CCs; only changed values are sent
+    sendControls(sources) {
+        if (!this.output || !this.engine) return;
+        const channel = this.controlChannel();
+        
+        this.controls.forEach(control => {
+            const norm = ModulationMatrix.normalizeSource(control.source, sources[control.source]);
+            const value = Math.round(norm * 127);
+            const key = `${channel}:${control.cc}`;
+            
+            if (this.controlValues[key] !== value) {
+                this.controlValues[key] = value;
+                this.send([0xB0 | channel, control.cc, value]);
+            }
+        });
+    }
+    
+    // Sends note-offs for every sounding or queued note, then All Notes Off on each channel in
+    // use. A note still to start is released at its onset, as output.clear() is not available
+    // everywhere (Chromium lacks it) to drop the queued note-on.
+    allNotesOff() {
+        if (this.output && this.output.clear) this.output.clear();
+        
+        const now = performance.now();
+        for (let voice = 0; voice < this.notes.length; voice++) {
+            this.activeNotes(voice).forEach(held => {
+                this.send([0x80 | this.voiceChannel(voice), held.note, 0], held.onset > now ? held.onset : undefined);
+            });
+        }
+        this.notes = [];
+        
+        const channels = new Set([this.controlChannel()]);
+        for (let voice = 0; voice < MIDI_VOICES; voice++) {
+            channels.add(this.voiceChannel(voice));
+        }
+        channels.forEach(channel => this.send([0xB0 | channel, 123, 0]));
+    }
+}
@@ -0,0 +1,168 @@
+// Modulation matrix: routes environmental sources to engine destinations.
+// Each route is { source, destination, curve, min, max, depth }. The source is normalized to 0-1,
+// shaped by the curve, scaled into min..max and multiplied by depth. A destination's value is
+// its base plus the sum of every route into it. Circular sources (compass bearings) wrap into
+// their range rather than clamping to it.
+const MODULATION_SOURCES = {
+    latitude: { label: 'Latitude', min: -90, max: 90 },
+    longitude: { label: 'Longitude', min: -180, max: 180 },
+    speed: { label: 'Speed', min: 0, max: 35.8 }, // m/s (~80 mph)
+    temperature: { label: 'Temperature', min: -20, max: 40 },
+    humidity: { label: 'Humidity', min: 0, max: 100 },
+    heading: { label: 'Heading', min: 0, max: 360, circular: true },
+    timeOfDay: { label: 'Time of day', min: 0, max: 1 },
+    elevation: { label: 'Elevation', min: 0, max: 3000 },
+    rainfall: { label: 'Rainfall', min: 0, max: 10 },
+    populationDensity: { label: 'Population density', min: 0, max: 1 },
+    trafficDensity: { label: 'Traffic density', min: 0, max: 1 },
+    sunElevation: { label: 'Sun elevation', min: -20, max: 70 },
+    sunAzimuth: { label: 'Sun azimuth', min: 0, max: 360, circular: true },
+    sunrise: { label: 'Sunrise time', min: 0, max: 1 },
+    sunset: { label: 'Sunset time', min: 0, max: 1 }
+};
+
+const MODULATION_DESTINATIONS = {
+    baseFrequency: { label: 'Base frequency (Hz)', base: 100, min: 20, max: 5000 },
+    pitch: { label: 'Pitch (octaves)', base: 0, min: -4, max: 4 },
+    doppler: { label: 'Doppler ratio', base: 1, min: 0.5, max: 2 },
+    lowpass: { label: 'Lowpass cutoff (Hz)', base: 500, min: 20, max: 20000 },
+    highpass: { label: 'Highpass cutoff (Hz)', base: 200, min: 20, max: 20000 },
+    dryLevel: { label: 'Dry level', base: 0.85, min: 0, max: 1 },
+    wetLevel: { label: 'Wet level', base: 0.15, min: 0, max: 1 },
+    pan: { label: 'Pan', base: 0, min: -1, max: 1 },
+    panSpread: { label: 'Pan spread', base: 1, min: 0, max: 2 },
+    speedVoice: { label: 'Speed voice (Hz)', base: 50, min: 20, max: 5000 },
+    speedVoiceInverted: { label: 'Inverted speed voice (Hz)', base: 1000, min: 20, max: 5000 },
+    tremoloDepth: { label: 'Rain tremolo depth', base: 0.1, min: 0, max: 1 },
+    trafficLevel: { label: 'Traffic level', base: 0.02, min: 0, max: 0.5 },
+    trafficCutoff: { label: 'Traffic brightness (Hz)', base: 120, min: 40, max: 8000 },
+    trafficRumble: { label: 'Traffic rumble (Hz)', base: 35, min: 20, max: 200 },
+    trafficRate: { label: 'Traffic swell rate (Hz)', base: 0.05, min: 0.01, max: 5 },
+    grainRate: { label: 'Grain rate (per second)', base: 1, min: 0.1, max: 40 },
+    fmIndex: { label: 'FM index', base: 0.3, min: 0, max: 10 },
+    pluckDecay: { label: 'Pluck decay (s)', base: 4, min: 0.1, max: 10 }
+};
+
+const MODULATION_CURVES = {
+    linear: x => x,
+    inverse: x => 1 - x,
+    exponential: x => x * x,
+    logarithmic: x => Math.sqrt(x),
+    sine: x => 0.5 + 0.5 * Math.sin(2 * Math.PI * x),
+    fold: x => Math.abs(2 * x - 1),
+    stepped: x => Math.round(x * 4) / 4
+};
+
+// Reproduces the engine's original hard-coded mappings, plus the traffic layer and synthesis modes
+const DEFAULT_MODULATION_ROUTES = [
+    { source: 'temperature', destination: 'baseFrequency', curve: 'linear', min: 0, max: 700, depth: 1 },
+    { source: 'latitude', destination: 'pitch', curve: 'fold', min: 0, max: 1, depth: 1 },
+    { source: 'timeOfDay', destination: 'pitch', curve: 'sine', min: 0.5, max: -0.5, depth: 1 },
+    { source: 'populationDensity', destination: 'pitch', curve: 'linear', min: 0, max: 0.5, depth: 1 },
+    { source: 'speed', destination: 'doppler', curve: 'linear', min: 0, max: 0.15, depth: 1 },
+    { source: 'sunElevation', destination: 'lowpass', curve: 'linear', min: 0, max: 4500, depth: 1 },
+    { source: 'latitude', destination: 'lowpass', curve: 'linear', min: 0, max: 1000, depth: 1 },
+    { source: 'sunElevation', destination: 'highpass', curve: 'linear', min: 0, max: -150, depth: 1 },
+    { source: 'longitude', destination: 'highpass', curve: 'linear', min: 0, max: 50, depth: 1 },
+    { source: 'humidity', destination: 'dryLevel', curve: 'linear', min: 0, max: -0.3, depth: 1 },
+    { source: 'humidity', destination: 'wetLevel', curve: 'linear', min: 0, max: 0.45, depth: 1 },
+    { source: 'heading', destination: 'pan', curve: 'sine', min: -0.7, max: 0.7, depth: 1 },
+    { source: 'populationDensity', destination: 'panSpread', curve: 'linear', min: 0, max: -0.7, depth: 1 },
+    { source: 'speed', destination: 'speedVoice', curve: 'linear', min: 0, max: 950, depth: 1 },
+    { source: 'speed', destination: 'speedVoiceInverted', curve: 'linear', min: 0, max: -950, depth: 1 },
+    { source: 'rainfall', destination: 'tremoloDepth', curve: 'linear', min: 0, max: 0.7, depth: 1 },
+    { source: 'trafficDensity', destination: 'trafficLevel', curve: 'logarithmic', min: 0, max: 0.18, depth: 1 },
+    { source: 'trafficDensity', destination: 'trafficCutoff', curve: 'linear', min: 0, max: 1800, depth: 1 },
+    { source: 'trafficDensity', destination: 'trafficRumble', curve: 'linear', min: 0, max: 25, depth: 1 },
+    { source: 'trafficDensity', destination: 'trafficRate', curve: 'exponential', min: 0, max: 0.5, depth: 1 },
+    { source: 'speed', destination: 'grainRate', curve: 'linear', min: 0, max: 15, depth: 1 },
+    { source: 'temperature', destination: 'fmIndex', curve: 'linear', min: 0, max: 3, depth: 1 },
+    { source: 'trafficDensity', destination: 'fmIndex', curve: 'linear', min: 0, max: 2, depth: 1 },
+    { source: 'humidity', destination: 'pluckDecay', curve: 'linear', min: 0, max: -3.5, depth: 1 }
+];
+
+class ModulationMatrix {
+    constructor(routes = DEFAULT_MODULATION_ROUTES) {
+        this.routes = routes.map(route => ModulationMatrix.validateRoute(route));
+    }
+    
+    static validateRoute(route) {
+        if (!MODULATION_SOURCES[route.source]) {
+            throw new Error(`Unknown modulation source: ${route.source}`);
+        }
+        if (!MODULATION_DESTINATIONS[route.destination]) {
+            throw new Error(`Unknown modulation destination: ${route.destination}`);
+        }
+        
+        const curve = route.curve || 'linear';
+        if (!MODULATION_CURVES[curve]) {
+            throw new Error(`Unknown modulation curve: ${curve}`);
+        }
+        
+        const number = (value, fallback) => {
+            const parsed = Number(value);
+            return value === undefined || isNaN(parsed) ? fallback : parsed;
+        };
+        
+        return {
+            source: route.source,
+            destination: route.destination,
+            curve,
+            min: number(route.min, 0),
+            max: number(route.max, 1),
+            depth: number(route.depth, 1)
+        };
+    }
+    
+    static normalizeSource(name, value) {
+        const range = MODULATION_SOURCES[name];
+        const norm = (value - range.min) / (range.max - range.min);
+        if (range.circular) return ((norm % 1) + 1) % 1;
+        return Math.max(0, Math.min(1, norm));
+    }
+    
+    // `sources` is any object carrying the source fields (e.g. the engine itself)
+    evaluate(sources) {
+        const values = {};
+        Object.keys(MODULATION_DESTINATIONS).forEach(name => {
+            values[name] = MODULATION_DESTINATIONS[name].base;
+        });
+        
+        this.routes.forEach(route => {
+            const norm = ModulationMatrix.normalizeSource(route.source, sources[route.source]);
+            const shaped = MODULATION_CURVES[route.curve](norm);
+            values[route.destination] += route.depth * (route.min + shaped * (route.max - route.min));
+        });
+        
+        Object.keys(values).forEach(name => {
+            const destination = MODULATION_DESTINATIONS[name];
+            values[name] = Math.max(destination.min, Math.min(destination.max, values[name]));
+        });
+        
+        return values;
+    }
+    
+    addRoute(route) {
+        this.routes.push(ModulationMatrix.validateRoute(route));
+    }
+    
+    updateRoute(index, changes) {
+        this.routes[index] = ModulationMatrix.validateRoute({ ...this.routes[index], ...changes });
+    }
+    
+    removeRoute(index) {
+        this.routes.splice(index, 1);
+    }
+    
+    toJSON() {
+        return { version: 1, routes: this.routes.map(route => ({ ...route })) };
+    }
+    
+    static fromJSON(json) {
+        const routes = Array.isArray(json) ? json : json && json.routes;
+        if (!Array.isArray(routes)) {
+            throw new Error('Mapping preset has no routes');
+        }
+        return new ModulationMatrix(routes);
+    }
+}
\ No newline at end of file
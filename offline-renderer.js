@@ -0,0 +1,126 @@
+// Renders the engine faster than real time through an OfflineAudioContext.
+// A trace is { events: [{ t: ms since start, data: { latitude, speed, ... } }] }
+
+// setTimeout/clearTimeout stand-ins driven by a virtual clock (`now()` in seconds)
+class VirtualTimers {
+    constructor(now) {
+        this.now = now;
+        this.timers = new Map();
+        this.nextId = 1;
+    }
+    
+    setTimeout(callback, delay) {
+        const id = this.nextId++;
+        this.timers.set(id, { time: this.now() + delay / 1000, callback });
+        return id;
+    }
+    
+    clearTimeout(id) {
+        this.timers.delete(id);
+    }
+    
+    // Fire everything due by `time`, including timers scheduled by those callbacks
+    runDue(time) {
+        let due;
+        do {
+            due = [...this.timers.entries()]
+                .filter(([, timer]) => timer.time <= time)
+                .sort((a, b) => a[1].time - b[1].time);
+            
+            due.forEach(([id, timer]) => {
+                this.timers.delete(id);
+                timer.callback();
+            });
+        } while (due.length > 0);
+    }
+}
+
+// Local 'YYYY-MM-DD' of the trace's first timestamp or of a session's start, or null
+function traceDate(trace, events) {
+    const stamped = events.find(event => event.data && typeof event.data.timestamp === 'number');
+    const time = stamped ? stamped.data.timestamp : trace.startedAt;
+    if (typeof time !== 'number') return null;
+    
+    const date = new Date(time);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+class OfflineRenderer {
+    constructor(options = {}) {
+        this.sampleRate = options.sampleRate || 44100;
+        this.tail = options.tail !== undefined ? options.tail : 5; // seconds of release after the last event
+        this.tickInterval = options.tickInterval || 0.02; // seconds between suspend points
+        this.onProgress = null;
+    }
+    
+    async render(trace, settings = {}) {
+        const events = (Array.isArray(trace) ? trace : trace.events || [])
+            .slice()
+            .sort((a, b) => a.t - b.t);
+        
+        if (events.length === 0) {
+            throw new Error('Trace has no events');
+        }
+        
+        const duration = (events[events.length - 1].t - events[0].t) / 1000 + this.tail;
+        const length = Math.ceil(duration * this.sampleRate);
+        
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const context = new OfflineContext(2, length, this.sampleRate);
+        
+        // Wall-clock timers are replaced by a virtual queue driven by the render clock
+        const timers = new VirtualTimers(() => context.currentTime);
+        const engine = new EnvironmentalAudioEngine({ timers });
+        
+        // The sun needs a calendar day, so renders never depend on when they run: the trace's
+        // own, else settings.date
+        const date = traceDate(trace, events) || settings.date;
+        if (!date) {
+            throw new Error('Trace has no timestamps; set a render date');
+        }
+        
+        // Settings come from EnvironmentalAudioEngine.getSettings()
+        engine.applySettings({ ...settings, date });
+        
+        const startTime = events[0].t;
+        let eventIndex = 0;
+        
+        const applyDueEvents = (now) => {
+            while (eventIndex < events.length && (events[eventIndex].t - startTime) / 1000 <= now) {
+                engine.applyEnvironmentalData(events[eventIndex].data);
+                eventIndex++;
+            }
+        };
+        
+        applyDueEvents(0);
+        await engine.start(context);
+        
+        const scheduleTick = (time) => {
+            if (time >= duration) return;
+            
+            context.suspend(time).then(() => {
+                applyDueEvents(time);
+                timers.runDue(time);
+                
+                if (this.onProgress) {
+                    this.onProgress(time / duration);
+                }
+                
+                scheduleTick(time + this.tickInterval);
+                context.resume();
+            });
+        };
+        
+        scheduleTick(this.tickInterval);
+        
+        const rendered = await context.startRendering();
+        engine.stop();
+        
+        if (this.onProgress) {
+            this.onProgress(1);
+        }
+        
+        return rendered;
+    }
+}
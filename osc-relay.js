@@ -0,0 +1,277 @@
+// Relays OSC between UDP and the browser's WebSocket, with no dependencies beyond Node.
+//
+//   node osc-relay.js --ws-port 8081 --udp-port 57121 --send-host 127.0.0.1 --send-port 57120
+//
+// Every UDP datagram received on --udp-port is forwarded to all connected browsers, and every
+// binary WebSocket message from a browser is sent as a datagram to --send-host:--send-port.
+// Packets are passed through untouched; osc.js does the encoding and decoding.
+//
+// The WebSocket listens on --host (127.0.0.1 unless given) and only accepts pages served from
+// localhost, so other sites open in the browser can't reach the patch. To use the app from
+// another device or a deployed copy, pass --host 0.0.0.0 and list its origins, comma-separated,
+// with --origin (e.g. --origin https://example.com,http://192.168.1.20:8000). Add `null` for
+// pages opened as local files.
+const crypto = require('crypto');
+const dgram = require('dgram');
+const http = require('http');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const RELAY_DEFAULTS = {
+    'host': '127.0.0.1',
+    'origin': '',
+    'ws-port': 8081,
+    'udp-port': 57121,
+    'send-host': '127.0.0.1',
+    'send-port': 57120
+};
+const MAX_PACKET_BYTES = 65507; // largest UDP payload
+const CLOSE_PROTOCOL_ERROR = 1002;
+const CLOSE_TOO_BIG = 1009;
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+// Server frames are never masked (RFC 6455 section 5.1)
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Parses complete client frames from the front of `buffer`; returns { frames, rest, error }.
+// `error` is a close status, set as soon as a header shows a frame that is unmasked (clients
+// must mask, RFC 6455 section 5.1) or longer than `maxLength`, without waiting for its payload.
+function decodeFrames(buffer, maxLength = MAX_PACKET_BYTES) {
+    const frames = [];
+    let offset = 0;
+    
+    while (buffer.length - offset >= 2) {
+        const first = buffer[offset];
+        const second = buffer[offset + 1];
+        let length = second & 0x7F;
+        let cursor = offset + 2;
+        
+        if ((second & 0x80) === 0) {
+            return { frames, rest: buffer.subarray(offset), error: CLOSE_PROTOCOL_ERROR };
+        }
+        
+        if (length === 126) {
+            if (buffer.length - cursor < 2) break;
+            length = buffer.readUInt16BE(cursor);
+            cursor += 2;
+        } else if (length === 127) {
+            if (buffer.length - cursor < 8) break;
+            length = Number(buffer.readBigUInt64BE(cursor));
+            cursor += 8;
+        }
+        
+        if (length > maxLength) {
+            return { frames, rest: buffer.subarray(offset), error: CLOSE_TOO_BIG };
+        }
+        
+        if (buffer.length - cursor < 4 + length) break;
+        const mask = buffer.subarray(cursor, cursor + 4);
+        cursor += 4;
+        
+        const payload = Buffer.from(buffer.subarray(cursor, cursor + length));
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        
+        frames.push({ fin: (first & 0x80) !== 0, opcode: first & 0x0F, payload });
+        offset = cursor + length;
+    }
+    
+    return { frames, rest: buffer.subarray(offset), error: null };
+}
+
+function closeFrame(status) {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(status, 0);
+    return encodeFrame(0x8, payload);
+}
+
+// Browsers always send Origin; other clients (scripts, patches) don't and are let through
+function isAllowedOrigin(origin, allowed) {
+    if (origin === undefined) return true;
+    if (allowed.includes(origin)) return true;
+    
+    try {
+        const url = new URL(origin);
+        return (url.protocol === 'http:' || url.protocol === 'https:') && LOCAL_HOSTNAMES.includes(url.hostname);
+    } catch (e) {
+        return false;
+    }
+}
+
+class OscRelay {
+    constructor(options = {}) {
+        this.options = { ...RELAY_DEFAULTS, ...options };
+        this.origins = String(this.options.origin).split(',').map(origin => origin.trim()).filter(Boolean);
+        this.clients = new Set();
+        this.server = null;
+        this.udp = null;
+    }
+    
+    start() {
+        this.udp = dgram.createSocket('udp4');
+        this.udp.on('message', (packet) => this.broadcast(packet));
+        this.udp.on('error', (error) => console.error('UDP error:', error.message));
+        this.udp.bind(Number(this.options['udp-port']));
+        
+        this.server = http.createServer((request, response) => {
+            response.writeHead(426, { 'Content-Type': 'text/plain' });
+            response.end('This is an OSC WebSocket relay\n');
+        });
+        this.server.on('upgrade', (request, socket) => this.accept(request, socket));
+        this.server.listen(Number(this.options['ws-port']), this.options.host);
+    }
+    
+    stop() {
+        this.clients.forEach(socket => socket.destroy());
+        this.clients.clear();
+        if (this.server) this.server.close();
+        if (this.udp) this.udp.close();
+    }
+    
+    accept(request, socket) {
+        const key = request.headers['sec-websocket-key'];
+        if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        if (!isAllowedOrigin(request.headers.origin, this.origins)) {
+            console.log(`Refused connection from ${request.headers.origin}`);
+            socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+            return;
+        }
+        
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+        
+        this.clients.add(socket);
+        console.log(`Browser connected (${this.clients.size} total)`);
+        
+        let pending = Buffer.alloc(0);
+        let messageOpcode = null; // opcode of the first frame of a message still being received
+        let fragments = [];
+        let fragmentBytes = 0;
+        let closed = false;
+        
+        const close = (status) => {
+            closed = true;
+            pending = Buffer.alloc(0);
+            fragments = [];
+            socket.end(closeFrame(status));
+        };
+        
+        socket.on('data', (chunk) => {
+            if (closed) return;
+            
+            const { frames, rest, error } = decodeFrames(Buffer.concat([pending, chunk]));
+            pending = Buffer.from(rest);
+            
+            for (const frame of frames) {
+                if (frame.opcode === 0x8) {
+                    close(1000);
+                } else if (frame.opcode === 0x9) {
+                    socket.write(encodeFrame(0xA, frame.payload));
+                } else if (frame.opcode <= 0x2) {
+                    // Continuations belong to the message that started them; text messages are
+                    // ignored along with theirs
+                    if ((frame.opcode === 0x0) !== (messageOpcode !== null)) {
+                        close(CLOSE_PROTOCOL_ERROR);
+                    } else {
+                        if (frame.opcode !== 0x0) messageOpcode = frame.opcode;
+                        if (messageOpcode === 0x2) {
+                            // A message is one UDP packet, so its fragments together can't exceed one either
+                            fragmentBytes += frame.payload.length;
+                            fragments.push(frame.payload);
+                            if (fragmentBytes > MAX_PACKET_BYTES) {
+                                close(CLOSE_TOO_BIG);
+                            } else if (frame.fin) {
+                                this.send(Buffer.concat(fragments));
+                            }
+                        }
+                        if (frame.fin) {
+                            messageOpcode = null;
+                            fragments = [];
+                            fragmentBytes = 0;
+                        }
+                    }
+                }
+                if (closed) return;
+            }
+            
+            if (error) close(error);
+        });
+        
+        const remove = () => {
+            if (this.clients.delete(socket)) {
+                console.log(`Browser disconnected (${this.clients.size} total)`);
+            }
+        };
+        socket.on('close', remove);
+        socket.on('error', remove);
+    }
+    
+    broadcast(packet) {
+        const frame = encodeFrame(0x2, packet);
+        this.clients.forEach(socket => socket.write(frame));
+    }
+    
+    send(packet) {
+        if (packet.length === 0 || packet.length > MAX_PACKET_BYTES) return;
+        this.udp.send(packet, Number(this.options['send-port']), this.options['send-host']);
+    }
+}
+
+function main() {
+    const relay = new OscRelay(parseArgs(process.argv.slice(2)));
+    relay.start();
+    
+    const { options } = relay;
+    console.log(`WebSocket on ws://${options.host}:${options['ws-port']}`);
+    console.log(`OSC in on UDP ${options['udp-port']}, out to ${options['send-host']}:${options['send-port']}`);
+    
+    process.on('SIGINT', () => {
+        relay.stop();
+        process.exit(0);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    OscRelay,
+    encodeFrame,
+    decodeFrames,
+    isAllowedOrigin
+};
@@ -0,0 +1,254 @@
+// Open Sound Control over a WebSocket (one OSC packet per binary message).
+// osc-relay.js bridges the socket to UDP for Max, Pd, SuperCollider and hardware sensors.
+// Spec: https://opensoundcontrol.stanford.edu/spec-1_0.html
+const OSC_PREFIX = '/envirosines';
+const OSC_STORAGE_KEY = 'envirosines.osc';
+const OSC_DEFAULT_URL = 'ws://localhost:8081';
+const OSC_STATE_INTERVAL_MS = 100;
+// currentData fields an external source may set with /envirosines/data/<field> <number>
+const OSC_INPUT_FIELDS = [
+    'latitude', 'longitude', 'speed', 'temperature', 'humidity', 'heading', 'timeOfDay',
+    'populationDensity', 'trafficDensity', 'elevation', 'rainfall'
+];
+
+// OSC strings are null-terminated and padded to a multiple of 4 bytes
+function encodeOscString(text) {
+    const bytes = new TextEncoder().encode(text);
+    const padded = new Uint8Array(Math.ceil((bytes.length + 1) / 4) * 4);
+    padded.set(bytes);
+    return padded;
+}
+
+function concatBytes(parts) {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+// Numbers are sent as float32, strings as s, booleans as T/F
+function encodeOscMessage(address, args = []) {
+    let tags = ',';
+    const data = [];
+    
+    args.forEach(arg => {
+        if (typeof arg === 'number') {
+            tags += 'f';
+            const bytes = new Uint8Array(4);
+            new DataView(bytes.buffer).setFloat32(0, arg);
+            data.push(bytes);
+        } else if (typeof arg === 'string') {
+            tags += 's';
+            data.push(encodeOscString(arg));
+        } else if (typeof arg === 'boolean') {
+            tags += arg ? 'T' : 'F';
+        } else {
+            throw new Error(`Unsupported OSC argument: ${arg}`);
+        }
+    });
+    
+    return concatBytes([encodeOscString(address), encodeOscString(tags), ...data]);
+}
+
+// A bundle of encoded messages with the "immediately" time tag
+function encodeOscBundle(messages) {
+    const header = new Uint8Array(16);
+    header.set(encodeOscString('#bundle'));
+    header[15] = 1;
+    
+    const parts = [header];
+    messages.forEach(message => {
+        const size = new Uint8Array(4);
+        new DataView(size.buffer).setInt32(0, message.length);
+        parts.push(size, message);
+    });
+    return concatBytes(parts);
+}
+
+// Returns [{ address, args }], with bundles flattened
+function decodeOscPacket(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 0;
+    
+    const readString = () => {
+        let end = offset;
+        while (end < bytes.length && bytes[end] !== 0) end++;
+        if (end >= bytes.length) {
+            throw new Error('OSC string is not terminated');
+        }
+        const text = new TextDecoder().decode(bytes.subarray(offset, end));
+        offset = Math.ceil((end + 1) / 4) * 4;
+        return text;
+    };
+    
+    const address = readString();
+    
+    if (address === '#bundle') {
+        offset += 8; // time tag; messages are applied on arrival
+        const messages = [];
+        while (offset + 4 <= bytes.length) {
+            const size = view.getInt32(offset);
+            offset += 4;
+            if (size < 0 || offset + size > bytes.length) {
+                throw new Error('OSC bundle element is truncated');
+            }
+            messages.push(...decodeOscPacket(bytes.subarray(offset, offset + size)));
+            offset += size;
+        }
+        return messages;
+    }
+    
+    if (!address.startsWith('/')) {
+        throw new Error(`Invalid OSC address: ${address}`);
+    }
+    
+    // Messages without a type tag string carry no arguments
+    const tags = offset < bytes.length ? readString() : ',';
+    const args = [];
+    
+    for (const tag of tags.slice(1)) {
+        if (tag === 'i') {
+            args.push(view.getInt32(offset));
+            offset += 4;
+        } else if (tag === 'f') {
+            args.push(view.getFloat32(offset));
+            offset += 4;
+        } else if (tag === 'd') {
+            args.push(view.getFloat64(offset));
+            offset += 8;
+        } else if (tag === 'h') {
+            args.push(Number(view.getBigInt64(offset)));
+            offset += 8;
+        } else if (tag === 's' || tag === 'S') {
+            args.push(readString());
+        } else if (tag === 'b') {
+            const size = view.getInt32(offset);
+            args.push(bytes.slice(offset + 4, offset + 4 + size));
+            offset += 4 + Math.ceil(size / 4) * 4;
+        } else if (tag === 'T' || tag === 'F') {
+            args.push(tag === 'T');
+        } else if (tag === 'N') {
+            args.push(null);
+        } else {
+            throw new Error(`Unsupported OSC type tag: ${tag}`);
+        }
+    }
+    
+    return [{ address, args }];
+}
+
+// Receives /envirosines/data/<field> values and streams the engine state back out:
+//   /envirosines/voice/<i> <frequency> <gain>, /envirosines/filter <lowpass> <highpass>,
+//   /envirosines/fundamental <Hz>, /envirosines/mode <name>
+class OscBridge {
+    constructor() {
+        this.socket = null;
+        this.engine = null;
+        this.values = {}; // latest externally supplied value per field
+        this.stateTimer = null;
+        this.onData = null;
+        this.onStatus = null;
+    }
+    
+    get isConnected() {
+        return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+    }
+    
+    connect(url, engine) {
+        this.disconnect();
+        this.engine = engine;
+        
+        const socket = new WebSocket(url);
+        socket.binaryType = 'arraybuffer';
+        this.socket = socket;
+        
+        socket.onopen = () => {
+            this.status(`Connected to ${url}`);
+            this.stateTimer = setInterval(() => this.sendState(), OSC_STATE_INTERVAL_MS);
+        };
+        socket.onmessage = (event) => this.handlePacket(event.data);
+        socket.onerror = () => this.status(`Could not connect to ${url}`);
+        socket.onclose = () => {
+            // Ignore sockets that were replaced or closed on purpose
+            if (this.socket === socket) {
+                this.stop();
+                this.status('Disconnected');
+            }
+        };
+    }
+    
+    disconnect() {
+        const socket = this.socket;
+        this.stop();
+        if (socket) socket.close();
+    }
+    
+    stop() {
+        if (this.stateTimer) {
+            clearInterval(this.stateTimer);
+            this.stateTimer = null;
+        }
+        this.socket = null;
+        this.values = {};
+    }
+    
+    status(message) {
+        if (this.onStatus) this.onStatus(message);
+    }
+    
+    handlePacket(data) {
+        if (typeof data === 'string') return;
+        
+        let messages;
+        try {
+            messages = decodeOscPacket(data);
+        } catch (error) {
+            this.status(`Ignored packet: ${error.message}`);
+            return;
+        }
+        
+        messages.forEach(({ address, args }) => {
+            const field = address.slice(`${OSC_PREFIX}/data/`.length);
+            if (!address.startsWith(`${OSC_PREFIX}/data/`) || !OSC_INPUT_FIELDS.includes(field)) return;
+            
+            // Raw, like sensor and API data; the modulation matrix wraps and clamps its sources
+            const value = Number(args[0]);
+            if (args.length === 0 || !isFinite(value)) return;
+            
+            this.values[field] = value;
+            if (this.onData) this.onData(field, value);
+        });
+    }
+    
+    // Copy of `data` with the externally supplied fields applied
+    applyTo(data) {
+        return { ...data, ...this.values };
+    }
+    
+    send(messages) {
+        if (this.isConnected) {
+            this.socket.send(encodeOscBundle(messages));
+        }
+    }
+    
+    sendState() {
+        const engine = this.engine;
+        if (!engine || !engine.isRunning) return;
+        
+        const messages = engine.getVoiceStates().map((voice, i) =>
+            encodeOscMessage(`${OSC_PREFIX}/voice/${i}`, [voice.frequency, voice.gain])
+        );
+        messages.push(encodeOscMessage(`${OSC_PREFIX}/filter`, [
+            engine.lowPassFilter.frequency.value,
+            engine.highPassFilter.frequency.value
+        ]));
+        messages.push(encodeOscMessage(`${OSC_PREFIX}/fundamental`, [engine.fundamentalFreq]));
+        messages.push(encodeOscMessage(`${OSC_PREFIX}/mode`, [engine.mode]));
+        
+        this.send(messages);
+    }
+}
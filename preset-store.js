@@ -0,0 +1,43 @@
+// Named JSON presets persisted in localStorage under a single key
+class PresetStore {
+    constructor(storageKey) {
+        this.storageKey = storageKey;
+    }
+    
+    readAll() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+    
+    writeAll(presets) {
+        localStorage.setItem(this.storageKey, JSON.stringify(presets));
+    }
+    
+    list() {
+        return Object.keys(this.readAll()).sort((a, b) => a.localeCompare(b));
+    }
+    
+    load(name) {
+        const presets = this.readAll();
+        return presets[name] !== undefined ? presets[name] : null;
+    }
+    
+    save(name, data) {
+        if (!name || !name.trim()) {
+            throw new Error('Preset name is required');
+        }
+        
+        const presets = this.readAll();
+        presets[name.trim()] = data;
+        this.writeAll(presets);
+    }
+    
+    remove(name) {
+        const presets = this.readAll();
+        delete presets[name];
+        this.writeAll(presets);
+    }
+}
\ No newline at end of file
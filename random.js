@@ -0,0 +1,34 @@
+// Seedable pseudo-random numbers so a performance can be reproduced exactly
+const MAX_SEED = 4294967295;
+
+// FNV-1a hash of any value's string form, as an unsigned 32-bit seed
+function hashSeed(value) {
+    const text = String(value);
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+// mulberry32: returns a function yielding floats in [0, 1), like Math.random
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// A fresh seed for when none is given
+function randomSeed() {
+    return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+function isValidSeed(seed) {
+    return Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED;
+}
\ No newline at end of file
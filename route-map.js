@@ -0,0 +1,343 @@
+// Route map: plots the travelled track on a Web Mercator canvas, colouring each segment by a
+// sound parameter. Draws over map tiles when a tile source is set and reachable, otherwise as
+// plain vectors on a grid.
+const ROUTE_MAP_TILE_SIZE = 256;
+const ROUTE_MAP_MAX_POINTS = 5000;
+const ROUTE_MAP_TILE_CACHE = 'envirosines-tiles';
+
+const ROUTE_MAP_PARAMETERS = {
+    fundamental: { label: 'Fundamental', unit: 'Hz', value: point => point.fundamental },
+    lowpass: { label: 'Lowpass', unit: 'Hz', value: point => point.lowpass },
+    mode: { label: 'Mode', categorical: true, value: point => point.mode }
+};
+
+class RouteMap {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.points = [];
+        this.heading = 0;
+        this.parameter = 'fundamental';
+        this.modeColors = options.modeColors || {};
+        // Template like "tiles/{z}/{x}/{y}.png" or "https://tile.example.org/{z}/{x}/{y}.png"
+        this.tileUrl = options.tileUrl || null;
+        this.tilesEnabled = false;
+        this.tiles = new Map(); // url -> ImageBitmap/Image, or null while loading / after failure
+        this.frame = null;
+    }
+    
+    // `point` is { latitude, longitude, fundamental, lowpass, mode }
+    addPoint(point) {
+        const last = this.points[this.points.length - 1];
+        if (last && last.latitude === point.latitude && last.longitude === point.longitude) {
+            // Same fix: refresh the sound state rather than adding a zero-length segment
+            this.points[this.points.length - 1] = point;
+        } else {
+            this.points.push(point);
+            if (this.points.length > ROUTE_MAP_MAX_POINTS) this.points.shift();
+        }
+        this.requestRender();
+    }
+    
+    clear() {
+        this.points = [];
+        this.requestRender();
+    }
+    
+    setHeading(heading) {
+        this.heading = heading;
+        this.requestRender();
+    }
+    
+    setParameter(parameter) {
+        if (!ROUTE_MAP_PARAMETERS[parameter]) {
+            throw new Error(`Unknown map parameter: ${parameter}`);
+        }
+        this.parameter = parameter;
+        this.requestRender();
+    }
+    
+    setTilesEnabled(enabled) {
+        this.tilesEnabled = enabled && !!this.tileUrl;
+        this.requestRender();
+    }
+    
+    requestRender() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.render();
+        });
+    }
+    
+    // World pixel coordinates at `zoom`
+    project(latitude, longitude, zoom) {
+        const scale = ROUTE_MAP_TILE_SIZE * Math.pow(2, zoom);
+        const lat = Math.max(-85.05112878, Math.min(85.05112878, latitude)) * Math.PI / 180;
+        return {
+            x: (longitude + 180) / 360 * scale,
+            y: (1 - Math.log(Math.tan(lat) + 1 / Math.cos(lat)) / Math.PI) / 2 * scale
+        };
+    }
+    
+    // Largest whole zoom at which every point fits, centred on the track.
+    // Mercator pixels scale by 2 per zoom level, so bounds are worked out once at zoom 0.
+    fitView(width, height) {
+        const padding = 24 * (window.devicePixelRatio || 1);
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+        
+        this.points.forEach(point => {
+            const p = this.project(point.latitude, point.longitude, 0);
+            minX = Math.min(minX, p.x);
+            maxX = Math.max(maxX, p.x);
+            minY = Math.min(minY, p.y);
+            maxY = Math.max(maxY, p.y);
+        });
+        
+        const fit = Math.min(
+            (width - padding * 2) / Math.max(maxX - minX, 1e-9),
+            (height - padding * 2) / Math.max(maxY - minY, 1e-9)
+        );
+        // A single fix (or a very short track) shouldn't zoom in past street level
+        const zoom = Math.max(0, Math.min(17, Math.floor(Math.log2(fit))));
+        const scale = Math.pow(2, zoom);
+        
+        return {
+            zoom,
+            originX: (minX + maxX) / 2 * scale - width / 2,
+            originY: (minY + maxY) / 2 * scale - height / 2
+        };
+    }
+    
+    render() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(this.canvas.clientWidth * ratio);
+        const height = Math.round(this.canvas.clientHeight * ratio);
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        
+        const ctx = this.ctx;
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+        
+        if (this.points.length === 0) {
+            ctx.fillStyle = '#444';
+            ctx.font = `${12 * ratio}px 'Courier New', monospace`;
+            ctx.textAlign = 'center';
+            ctx.fillText('Waiting for location', width / 2, height / 2);
+            return;
+        }
+        
+        const view = this.fitView(width, height);
+        const toScreen = (point) => {
+            const world = this.project(point.latitude, point.longitude, view.zoom);
+            return { x: world.x - view.originX, y: world.y - view.originY };
+        };
+        
+        if (!this.tilesEnabled || !this.drawTiles(view, width, height)) {
+            this.drawGrid(width, height, ratio);
+        }
+        
+        this.drawTrack(toScreen, ratio);
+        this.drawHeading(toScreen(this.points[this.points.length - 1]), ratio);
+        this.drawLegend(width, height, ratio);
+    }
+    
+    // Returns false when no tile could be drawn, so the caller falls back to the grid
+    drawTiles(view, width, height) {
+        const firstX = Math.floor(view.originX / ROUTE_MAP_TILE_SIZE);
+        const firstY = Math.floor(view.originY / ROUTE_MAP_TILE_SIZE);
+        const lastX = Math.floor((view.originX + width) / ROUTE_MAP_TILE_SIZE);
+        const lastY = Math.floor((view.originY + height) / ROUTE_MAP_TILE_SIZE);
+        const count = Math.pow(2, view.zoom);
+        let drawn = 0;
+        
+        for (let x = firstX; x <= lastX; x++) {
+            for (let y = firstY; y <= lastY; y++) {
+                if (y < 0 || y >= count) continue;
+                
+                const tileX = ((x % count) + count) % count;
+                const url = this.tileUrl
+                    .replace('{z}', view.zoom)
+                    .replace('{x}', tileX)
+                    .replace('{y}', y);
+                
+                const image = this.getTile(url);
+                if (image) {
+                    this.ctx.drawImage(image,
+                        x * ROUTE_MAP_TILE_SIZE - view.originX,
+                        y * ROUTE_MAP_TILE_SIZE - view.originY,
+                        ROUTE_MAP_TILE_SIZE, ROUTE_MAP_TILE_SIZE);
+                    drawn++;
+                }
+            }
+        }
+        
+        if (drawn > 0) {
+            // Darken the tiles so the coloured track stands out
+            this.ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+            this.ctx.fillRect(0, 0, width, height);
+        }
+        
+        return drawn > 0;
+    }
+    
+    getTile(url) {
+        if (this.tiles.has(url)) {
+            return this.tiles.get(url);
+        }
+        
+        this.tiles.set(url, null);
+        this.loadTile(url)
+            .then(image => {
+                this.tiles.set(url, image);
+                this.requestRender();
+            })
+            .catch(error => console.warn('Map tile unavailable:', url, error.message));
+        return null;
+    }
+    
+    // Cache first, then network (keeping a copy), so tiles seen once keep working offline
+    async loadTile(url) {
+        const cache = typeof caches !== 'undefined' ? await caches.open(ROUTE_MAP_TILE_CACHE) : null;
+        let response = cache ? await cache.match(url) : null;
+        
+        if (!response) {
+            response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            if (cache) {
+                await cache.put(url, response.clone());
+            }
+        }
+        
+        return createImageBitmap(await response.blob());
+    }
+    
+    drawGrid(width, height, ratio) {
+        const ctx = this.ctx;
+        const step = 40 * ratio;
+        
+        ctx.strokeStyle = '#1a1a1a';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let x = 0; x <= width; x += step) {
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+        }
+        for (let y = 0; y <= height; y += step) {
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+        }
+        ctx.stroke();
+    }
+    
+    // Colour for a point under the chosen parameter; numbers run blue (low) to red (high)
+    colorFor(point, range) {
+        const parameter = ROUTE_MAP_PARAMETERS[this.parameter];
+        const value = parameter.value(point);
+        
+        if (parameter.categorical) {
+            return this.modeColors[value] || '#888';
+        }
+        
+        const norm = range.max > range.min ? (value - range.min) / (range.max - range.min) : 0.5;
+        return `hsl(${Math.round(240 - norm * 240)}, 90%, 55%)`;
+    }
+    
+    valueRange() {
+        const parameter = ROUTE_MAP_PARAMETERS[this.parameter];
+        if (parameter.categorical) return null;
+        
+        const values = this.points.map(parameter.value).filter(v => typeof v === 'number' && isFinite(v));
+        return values.length > 0
+            ? { min: Math.min(...values), max: Math.max(...values) }
+            : { min: 0, max: 0 };
+    }
+    
+    drawTrack(toScreen, ratio) {
+        const ctx = this.ctx;
+        const range = this.valueRange();
+        const screen = this.points.map(toScreen);
+        
+        ctx.lineWidth = 4 * ratio;
+        ctx.lineCap = 'round';
+        
+        for (let i = 1; i < screen.length; i++) {
+            ctx.strokeStyle = this.colorFor(this.points[i], range);
+            ctx.beginPath();
+            ctx.moveTo(screen[i - 1].x, screen[i - 1].y);
+            ctx.lineTo(screen[i].x, screen[i].y);
+            ctx.stroke();
+        }
+        
+        const first = screen[0];
+        ctx.fillStyle = '#fff';
+        ctx.beginPath();
+        ctx.arc(first.x, first.y, 4 * ratio, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    
+    // Arrow at the current position pointing along the compass heading
+    drawHeading(position, ratio) {
+        const ctx = this.ctx;
+        const size = 12 * ratio;
+        const angle = this.heading * Math.PI / 180;
+        
+        ctx.save();
+        ctx.translate(position.x, position.y);
+        ctx.rotate(angle);
+        ctx.fillStyle = '#0a0';
+        ctx.strokeStyle = '#000';
+        ctx.lineWidth = ratio;
+        ctx.beginPath();
+        ctx.moveTo(0, -size);
+        ctx.lineTo(size * 0.6, size * 0.7);
+        ctx.lineTo(0, size * 0.3);
+        ctx.lineTo(-size * 0.6, size * 0.7);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        ctx.restore();
+    }
+    
+    drawLegend(width, height, ratio) {
+        const ctx = this.ctx;
+        const parameter = ROUTE_MAP_PARAMETERS[this.parameter];
+        const range = this.valueRange();
+        
+        ctx.font = `${11 * ratio}px 'Courier New', monospace`;
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#888';
+        
+        let text;
+        if (parameter.categorical) {
+            text = `${parameter.label}: ` + Object.keys(this.modeColors).join(' / ');
+        } else {
+            text = `${parameter.label}: ${range.min.toFixed(0)}-${range.max.toFixed(0)} ${parameter.unit}`;
+        }
+        ctx.fillText(text, 8 * ratio, height - 8 * ratio);
+        
+        if (parameter.categorical) {
+            // Colour swatches after each mode name
+            let x = 8 * ratio + ctx.measureText(`${parameter.label}: `).width;
+            Object.keys(this.modeColors).forEach(mode => {
+                const w = ctx.measureText(mode).width;
+                ctx.fillStyle = this.modeColors[mode];
+                ctx.fillRect(x, height - 6 * ratio, w, 2 * ratio);
+                x += w + ctx.measureText(' / ').width;
+            });
+        } else {
+            const barWidth = 60 * ratio;
+            const gradient = ctx.createLinearGradient(width - barWidth - 8 * ratio, 0, width - 8 * ratio, 0);
+            gradient.addColorStop(0, 'hsl(240, 90%, 55%)');
+            gradient.addColorStop(0.5, 'hsl(120, 90%, 55%)');
+            gradient.addColorStop(1, 'hsl(0, 90%, 55%)');
+            ctx.fillStyle = gradient;
+            ctx.fillRect(width - barWidth - 8 * ratio, height - 14 * ratio, barWidth, 6 * ratio);
+        }
+    }
+}
\ No newline at end of file
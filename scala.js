@@ -0,0 +1,163 @@
+// Scala tuning files: .scl scales and .kbm keyboard mappings
+// Format reference: https://www.huygens-fokker.org/scala/scl_format.html
+const SCALE_RATIO_COUNT = 20; // engine scales span about 20 tones
+
+// Non-comment lines with their 1-based line numbers, for error messages
+function scalaLines(text) {
+    return text.split(/\r?\n/)
+        .map((line, i) => ({ line: i + 1, text: line.trim() }))
+        .filter(entry => !entry.text.startsWith('!'));
+}
+
+// A pitch line is cents if it contains a '.', otherwise a ratio ("3/2") or an integer ("2")
+function parseScalaPitch(value, line) {
+    if (value.includes('.')) {
+        const cents = Number(value);
+        if (!isFinite(cents)) {
+            throw new Error(`Line ${line}: invalid cents value "${value}"`);
+        }
+        return Math.pow(2, cents / 1200);
+    }
+    
+    const match = value.match(/^(\d+)(?:\/(\d+))?$/);
+    if (!match) {
+        throw new Error(`Line ${line}: invalid pitch "${value}" (expected cents like 701.955 or a ratio like 3/2)`);
+    }
+    
+    const numerator = parseInt(match[1], 10);
+    const denominator = match[2] !== undefined ? parseInt(match[2], 10) : 1;
+    if (numerator === 0 || denominator === 0) {
+        throw new Error(`Line ${line}: ratio "${value}" must be positive`);
+    }
+    return numerator / denominator;
+}
+
+// Returns { description, pitches } where pitches are ratios above 1/1; the last is the period
+function parseScl(text) {
+    const lines = scalaLines(text);
+    
+    if (lines.length === 0) {
+        throw new Error('Scale file is empty');
+    }
+    
+    const description = lines[0].text;
+    
+    if (lines.length < 2 || lines[1].text === '') {
+        throw new Error(`Line ${lines[0].line + 1}: missing note count`);
+    }
+    
+    const countLine = lines[1];
+    const countValue = countLine.text.split(/\s+/)[0];
+    if (!/^\d+$/.test(countValue)) {
+        throw new Error(`Line ${countLine.line}: note count "${countValue}" is not a whole number`);
+    }
+    
+    const count = parseInt(countValue, 10);
+    if (count < 1) {
+        throw new Error(`Line ${countLine.line}: scale needs at least one note`);
+    }
+    
+    const pitchLines = lines.slice(2).filter(entry => entry.text !== '');
+    if (pitchLines.length < count) {
+        const last = lines[lines.length - 1].line;
+        throw new Error(`Line ${last}: expected ${count} pitches, found ${pitchLines.length}`);
+    }
+    
+    const pitches = pitchLines.slice(0, count).map(entry =>
+        parseScalaPitch(entry.text.split(/\s+/)[0], entry.line)
+    );
+    
+    const period = pitches[pitches.length - 1];
+    if (period <= 1) {
+        throw new Error(`Line ${pitchLines[count - 1].line}: the last pitch is the period and must be above 1/1`);
+    }
+    
+    return { description, pitches };
+}
+
+// Returns the keyboard mapping fields; `mapping` holds scale degrees, or null for unmapped keys
+function parseKbm(text) {
+    const lines = scalaLines(text).filter(entry => entry.text !== '');
+    const fields = ['map size', 'first note', 'last note', 'middle note',
+        'reference note', 'reference frequency', 'octave degree'];
+    
+    if (lines.length < fields.length) {
+        throw new Error(`Keyboard mapping needs ${fields.length} header values, found ${lines.length}`);
+    }
+    
+    const values = fields.map((field, i) => {
+        const entry = lines[i];
+        const value = Number(entry.text.split(/\s+/)[0]);
+        
+        if (!isFinite(value)) {
+            throw new Error(`Line ${entry.line}: invalid ${field} "${entry.text}"`);
+        }
+        if (field !== 'reference frequency' && (!Number.isInteger(value) || value < 0)) {
+            throw new Error(`Line ${entry.line}: ${field} must be a whole number`);
+        }
+        if (field === 'reference frequency' && value <= 0) {
+            throw new Error(`Line ${entry.line}: reference frequency must be positive`);
+        }
+        return value;
+    });
+    
+    const [size, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree] = values;
+    
+    // Missing entries at the end of the map are unmapped
+    const mapping = Array.from({ length: size }, (_, i) => {
+        const entry = lines[fields.length + i];
+        if (!entry) return null;
+        
+        const value = entry.text.split(/\s+/)[0];
+        if (value.toLowerCase() === 'x') return null;
+        if (!/^\d+$/.test(value)) {
+            throw new Error(`Line ${entry.line}: mapping entry "${value}" must be a scale degree or x`);
+        }
+        return parseInt(value, 10);
+    });
+    
+    if (size > 0 && mapping.every(degree => degree === null)) {
+        throw new Error('Keyboard mapping has no mapped keys');
+    }
+    
+    return { size, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, mapping };
+}
+
+// Ascending ratios from 1.0 in the shape getScaleTones() expects.
+// A .kbm selects and orders the degrees; its reference frequency is ignored because the
+// fundamental comes from the environment.
+function buildScaleRatios(scl, kbm = null) {
+    const degrees = [1, ...scl.pitches.slice(0, -1)];
+    const period = scl.pitches[scl.pitches.length - 1];
+    
+    // Ratio of any scale degree, wrapping into higher periods
+    const degreeRatio = (degree) => {
+        const octave = Math.floor(degree / degrees.length);
+        return degrees[degree % degrees.length] * Math.pow(period, octave);
+    };
+    
+    let keyRatio;
+    if (kbm && kbm.size > 0) {
+        const mappedPeriod = kbm.octaveDegree > 0 ? degreeRatio(kbm.octaveDegree) : period;
+        if (mappedPeriod <= 1) {
+            throw new Error('Keyboard mapping octave degree must be above 1/1');
+        }
+        keyRatio = (key) => {
+            const degree = kbm.mapping[key % kbm.size];
+            if (degree === null) return null;
+            return degreeRatio(degree) * Math.pow(mappedPeriod, Math.floor(key / kbm.size));
+        };
+    } else {
+        keyRatio = degreeRatio;
+    }
+    
+    const ratios = [];
+    const maxKeys = SCALE_RATIO_COUNT * Math.max(1, kbm ? kbm.size : degrees.length);
+    for (let key = 0; key < maxKeys && ratios.length < SCALE_RATIO_COUNT; key++) {
+        const ratio = keyRatio(key);
+        if (ratio !== null) ratios.push(ratio);
+    }
+    
+    ratios.sort((a, b) => a - b);
+    return ratios.map(ratio => ratio / ratios[0]);
+}
\ No newline at end of file
@@ -0,0 +1,66 @@
+// Look-ahead event queue on the audio clock. A coarse timer wakes every SCHEDULER_INTERVAL_MS and
+// hands out each event due within SCHEDULER_LOOKAHEAD seconds together with its exact time, so the
+// callback can place AudioParam automation and buffer sources ahead of when they sound.
+// Browsers wake timers in hidden tabs about once a second; the look-ahead covers that gap.
+// Longer stalls are not covered: iOS stops timers while the screen is locked, and Chrome's
+// intensive throttling (timers once a minute) applies to tabs hidden for five minutes that
+// have been silent for 30 seconds. The queued look-ahead then plays out and the voices fall
+// silent until the timer wakes, when each late event runs once at the current time (see tick).
+const SCHEDULER_LOOKAHEAD = 2;
+const SCHEDULER_INTERVAL_MS = 25;
+
+class EventScheduler {
+    // now() returns the audio clock in seconds; timers is { setTimeout, clearTimeout }
+    constructor(now, timers, options = {}) {
+        this.now = now;
+        this.timers = timers;
+        this.lookahead = options.lookahead !== undefined ? options.lookahead : SCHEDULER_LOOKAHEAD;
+        this.interval = options.interval !== undefined ? options.interval : SCHEDULER_INTERVAL_MS;
+        this.events = []; // sorted by time; equal times keep insertion order
+        this.timer = null;
+        this.isRunning = false;
+    }
+    
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.tick();
+    }
+    
+    stop() {
+        this.isRunning = false;
+        if (this.timer !== null) {
+            this.timers.clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.events = [];
+    }
+    
+    // callback(time) runs up to `lookahead` seconds early
+    schedule(time, callback) {
+        const event = { time, callback };
+        let index = this.events.length;
+        while (index > 0 && this.events[index - 1].time > time) index--;
+        this.events.splice(index, 0, event);
+    }
+    
+    clear() {
+        this.events = [];
+    }
+    
+    // Events that are already late (the timer was held back) run at the current time instead of
+    // bunching up in the past; anything chained from them follows on from there
+    tick() {
+        const now = this.now();
+        const horizon = now + this.lookahead;
+        
+        while (this.isRunning && this.events.length > 0 && this.events[0].time <= horizon) {
+            const event = this.events.shift();
+            event.callback(Math.max(event.time, now));
+        }
+        
+        if (this.isRunning) {
+            this.timer = this.timers.setTimeout(() => this.tick(), this.interval);
+        }
+    }
+}
@@ -0,0 +1,99 @@
+// Records and replays the environmental data stream.
+// Sessions use the same { events: [{ t, data }] } shape as offline render traces.
+const SESSION_INDEX_KEY = 'envirosines.sessions';
+const SESSION_KEY_PREFIX = 'envirosines.session.';
+
+class SessionRecorder {
+    constructor() {
+        this.session = null;
+        this.isRecording = false;
+    }
+    
+    start(name) {
+        const startedAt = Date.now();
+        this.session = {
+            id: String(startedAt),
+            name: name || new Date(startedAt).toLocaleString(),
+            startedAt,
+            events: []
+        };
+        this.isRecording = true;
+    }
+    
+    capture(data) {
+        if (!this.isRecording) return;
+        
+        this.session.events.push({
+            t: Date.now() - this.session.startedAt,
+            data: { ...data }
+        });
+    }
+    
+    // Returns the finished session; saving it is up to the caller, since it can exceed
+    // the storage quota (see saveSession)
+    stop() {
+        if (!this.isRecording) return null;
+        
+        this.isRecording = false;
+        const session = this.session;
+        this.session = null;
+        return session;
+    }
+    
+    static listSessions() {
+        try {
+            return JSON.parse(localStorage.getItem(SESSION_INDEX_KEY)) || [];
+        } catch (e) {
+            return [];
+        }
+    }
+    
+    static loadSession(id) {
+        const stored = localStorage.getItem(SESSION_KEY_PREFIX + id);
+        return stored ? JSON.parse(stored) : null;
+    }
+    
+    // Throws when the session does not fit in local storage (a few MB per site), leaving
+    // nothing half-written
+    static saveSession(session) {
+        const key = SESSION_KEY_PREFIX + session.id;
+        localStorage.setItem(key, JSON.stringify(session));
+        
+        const index = SessionRecorder.listSessions().filter(entry => entry.id !== session.id);
+        index.push({
+            id: session.id,
+            name: session.name,
+            startedAt: session.startedAt,
+            eventCount: session.events.length
+        });
+        
+        try {
+            localStorage.setItem(SESSION_INDEX_KEY, JSON.stringify(index));
+        } catch (error) {
+            localStorage.removeItem(key);
+            throw error;
+        }
+    }
+    
+    static deleteSession(id) {
+        localStorage.removeItem(SESSION_KEY_PREFIX + id);
+        
+        const index = SessionRecorder.listSessions().filter(entry => entry.id !== id);
+        localStorage.setItem(SESSION_INDEX_KEY, JSON.stringify(index));
+    }
+}
+
+class SessionPlayer extends TimedPlayer {
+    constructor(session, speed = 1) {
+        super(session.events.slice().sort((a, b) => a.t - b.t), speed);
+        this.onData = null;
+    }
+    
+    timeOf(event) {
+        return event.t;
+    }
+    
+    emit(event, index, total) {
+        if (this.onData) this.onData(event.data, index, total);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,117 @@
+// Solar ephemeris after the NOAA Solar Calculator (Meeus, "Astronomical Algorithms").
+// Good to about a minute of arc for dates between 1800 and 2100.
+const DEG = Math.PI / 180;
+const MINUTE_MS = 60000;
+const DAY_MS = 86400000;
+
+function julianCentury(date) {
+    const julianDay = date.getTime() / DAY_MS + 2440587.5;
+    return (julianDay - 2451545) / 36525;
+}
+
+// Declination (degrees) and equation of time (minutes) for an instant
+function solarCoordinates(date) {
+    const t = julianCentury(date);
+    
+    const meanLongitude = ((280.46646 + t * (36000.76983 + t * 0.0003032)) % 360 + 360) % 360;
+    const meanAnomaly = 357.52911 + t * (35999.05029 - 0.0001537 * t);
+    const eccentricity = 0.016708634 - t * (0.000042037 + 0.0000001267 * t);
+    
+    const equationOfCenter =
+        Math.sin(meanAnomaly * DEG) * (1.914602 - t * (0.004817 + 0.000014 * t)) +
+        Math.sin(2 * meanAnomaly * DEG) * (0.019993 - 0.000101 * t) +
+        Math.sin(3 * meanAnomaly * DEG) * 0.000289;
+    
+    const trueLongitude = meanLongitude + equationOfCenter;
+    const omega = 125.04 - 1934.136 * t;
+    const apparentLongitude = trueLongitude - 0.00569 - 0.00478 * Math.sin(omega * DEG);
+    
+    const meanObliquity = 23 + (26 + (21.448 - t * (46.815 + t * (0.00059 - t * 0.001813))) / 60) / 60;
+    const obliquity = meanObliquity + 0.00256 * Math.cos(omega * DEG);
+    
+    const declination = Math.asin(Math.sin(obliquity * DEG) * Math.sin(apparentLongitude * DEG)) / DEG;
+    
+    const y = Math.pow(Math.tan(obliquity * DEG / 2), 2);
+    const equationOfTime = 4 / DEG * (
+        y * Math.sin(2 * meanLongitude * DEG) -
+        2 * eccentricity * Math.sin(meanAnomaly * DEG) +
+        4 * eccentricity * y * Math.sin(meanAnomaly * DEG) * Math.cos(2 * meanLongitude * DEG) -
+        0.5 * y * y * Math.sin(4 * meanLongitude * DEG) -
+        1.25 * eccentricity * eccentricity * Math.sin(2 * meanAnomaly * DEG)
+    );
+    
+    return { declination, equationOfTime };
+}
+
+// Geometric sun position (degrees) for an instant and place; azimuth is clockwise from north
+function solarPosition(date, latitude, longitude) {
+    const { declination, equationOfTime } = solarCoordinates(date);
+    
+    const utcMinutes = date.getUTCHours() * 60 + date.getUTCMinutes() +
+        date.getUTCSeconds() / 60 + date.getUTCMilliseconds() / MINUTE_MS;
+    const trueSolarTime = ((utcMinutes + equationOfTime + 4 * longitude) % 1440 + 1440) % 1440;
+    const hourAngle = trueSolarTime / 4 - 180;
+    
+    const latRad = latitude * DEG;
+    const declRad = declination * DEG;
+    
+    const cosZenith = Math.max(-1, Math.min(1,
+        Math.sin(latRad) * Math.sin(declRad) +
+        Math.cos(latRad) * Math.cos(declRad) * Math.cos(hourAngle * DEG)
+    ));
+    const zenith = Math.acos(cosZenith);
+    
+    let azimuth;
+    const azimuthDenominator = Math.cos(latRad) * Math.sin(zenith);
+    if (Math.abs(azimuthDenominator) > 1e-9) {
+        const cosAzimuth = Math.max(-1, Math.min(1,
+            (Math.sin(latRad) * Math.cos(zenith) - Math.sin(declRad)) / azimuthDenominator
+        ));
+        const angle = Math.acos(cosAzimuth) / DEG;
+        azimuth = hourAngle > 0 ? (angle + 180) % 360 : (540 - angle) % 360;
+    } else {
+        azimuth = latitude > 0 ? 180 : 0;
+    }
+    
+    return {
+        elevation: 90 - zenith / DEG,
+        azimuth,
+        declination,
+        equationOfTime,
+        hourAngle
+    };
+}
+
+// Sunrise, solar noon and sunset around `date` at a place.
+// Sunrise/sunset are null during polar day or night (see `polar`).
+function sunTimes(date, latitude, longitude) {
+    // Start from the mean solar noon of the local solar day containing `date`
+    const longitudeOffset = longitude * 4 * MINUTE_MS;
+    const solarDay = Math.floor((date.getTime() + longitudeOffset) / DAY_MS);
+    const meanNoon = new Date(solarDay * DAY_MS + DAY_MS / 2 - longitudeOffset);
+    
+    const { declination, equationOfTime } = solarCoordinates(meanNoon);
+    const solarNoon = new Date(meanNoon.getTime() - equationOfTime * MINUTE_MS);
+    
+    // Sun's upper limb on the horizon, including standard refraction
+    const latRad = latitude * DEG;
+    const declRad = declination * DEG;
+    const cosHourAngle = Math.cos(90.833 * DEG) / (Math.cos(latRad) * Math.cos(declRad)) -
+        Math.tan(latRad) * Math.tan(declRad);
+    
+    if (cosHourAngle < -1) {
+        return { sunrise: null, sunset: null, solarNoon, polar: 'day' };
+    }
+    if (cosHourAngle > 1) {
+        return { sunrise: null, sunset: null, solarNoon, polar: 'night' };
+    }
+    
+    const hourAngle = Math.acos(cosHourAngle) / DEG;
+    
+    return {
+        sunrise: new Date(solarNoon.getTime() - hourAngle * 4 * MINUTE_MS),
+        sunset: new Date(solarNoon.getTime() + hourAngle * 4 * MINUTE_MS),
+        solarNoon,
+        polar: null
+    };
+}
\ No newline at end of file
@@ -0,0 +1,132 @@
+// Click and pluck synthesis, through the AudioBuffer fallback and the AudioWorklet processor.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SAMPLE_RATE = 48000;
+const BLOCK = 128;
+
+// click-processor.js as the page loads it, with random.js for comparison
+function loadPageScript() {
+    const context = vm.createContext({ Math, Float32Array });
+    const source = ['random.js', 'click-processor.js']
+        .map(file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8'))
+        .join('\n;\n');
+    vm.runInContext(`${source}
+        ;globalThis.__click = { createRandom, clickRandom, clickLength, createPluck, renderSound, CLICK_PROCESSOR_NAME };`, context);
+    return context.__click;
+}
+
+// click-processor.js as an AudioWorklet module; returns the registered processor class and the
+// scope, whose currentFrame the test moves
+function loadWorklet() {
+    const scope = {
+        Math,
+        Float32Array,
+        sampleRate: SAMPLE_RATE,
+        currentFrame: 0,
+        AudioWorkletProcessor: class {},
+        registerProcessor(name, processor) {
+            scope.registered = { name, processor };
+        }
+    };
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'click-processor.js'), 'utf8'), vm.createContext(scope));
+    return scope;
+}
+
+// Every sample the processor writes for `sound`, block by block from frame 0
+function runProcessor(sound, startFrame = 0) {
+    const scope = loadWorklet();
+    const processor = new scope.registered.processor({ processorOptions: sound });
+    const samples = [];
+    let alive = true;
+    
+    for (scope.currentFrame = startFrame; alive; scope.currentFrame += BLOCK) {
+        const output = new Float32Array(BLOCK);
+        alive = processor.process([], [[output]]);
+        samples.push(...output);
+    }
+    return samples;
+}
+
+function render(sound) {
+    const click = loadPageScript();
+    const data = new Float32Array(click.clickLength(sound.duration, SAMPLE_RATE));
+    click.renderSound(data, sound, SAMPLE_RATE);
+    return Array.from(data);
+}
+
+const click = loadPageScript();
+
+test('the worklet keeps its own copy of the seeded generator', () => {
+    const a = click.clickRandom(42);
+    const b = click.createRandom(42);
+    for (let i = 0; i < 100; i++) assert.equal(a(), b());
+});
+
+test('a sound lasts clickLength() samples', () => {
+    assert.equal(click.clickLength(0.01, 44100), 441);
+    assert.equal(click.clickLength(0.00001, 44100), 1);
+    assert.equal(render({ type: 'click', frequency: 500, duration: 0.02, seed: 1 }).length, 960);
+});
+
+test('each click family stays within its clip level and decays', () => {
+    [[5000, 0.9], [800, 0.7], [80, 0.95]].forEach(([frequency, clip]) => {
+        const samples = render({ type: 'click', frequency, duration: 0.05, seed: 3 });
+        const peak = (from, to) => Math.max(...samples.slice(from, to).map(Math.abs));
+        const quarter = samples.length / 4;
+        
+        assert.ok(peak(0, samples.length) <= clip, `${frequency} Hz peak`);
+        assert.ok(peak(3 * quarter, samples.length) < peak(0, quarter), `${frequency} Hz decay`);
+    });
+});
+
+test('only noise clicks depend on the seed', () => {
+    const sound = (frequency, seed) => render({ type: 'click', frequency, duration: 0.01, seed }).join();
+    assert.equal(sound(5000, 1), sound(5000, 1));
+    assert.notEqual(sound(5000, 1), sound(5000, 2));
+    assert.equal(sound(800, 1), sound(800, 2));
+});
+
+test('plucks are repeatable per seed and fall 60 dB over their decay', () => {
+    const pluck = (seed) => {
+        const next = click.createPluck(220, SAMPLE_RATE, 0.5, seed);
+        return Array.from({ length: SAMPLE_RATE / 2 }, () => next());
+    };
+    const first = pluck(9);
+    
+    assert.equal(first.join(), pluck(9).join());
+    assert.notEqual(first.join(), pluck(10).join());
+    
+    const period = Math.round(SAMPLE_RATE / 220);
+    const peak = (samples) => Math.max(...samples.map(Math.abs));
+    assert.ok(peak(first.slice(-period)) < 0.001 * peak(first.slice(0, period)));
+});
+
+test('the worklet renders the same samples as the AudioBuffer fallback', () => {
+    assert.equal(loadWorklet().registered.name, click.CLICK_PROCESSOR_NAME);
+    [
+        { type: 'click', frequency: 5000, duration: 0.01, seed: 5, time: 0 },
+        { type: 'click', frequency: 120, duration: 0.013, seed: 5, time: 0 },
+        { type: 'pluck', frequency: 330, duration: 0.02, seed: 8, time: 0 }
+    ].forEach(sound => {
+        const expected = render(sound);
+        const samples = runProcessor(sound);
+        assert.equal(samples.slice(0, expected.length).join(), expected.join(), sound.type);
+        assert.ok(samples.slice(expected.length).every(sample => sample === 0));
+    });
+});
+
+test('a worklet sound waits for its start time, and a late one starts at once', () => {
+    const sound = { type: 'click', frequency: 800, duration: 0.005, seed: 1 };
+    const expected = render(sound);
+    
+    const onTime = runProcessor({ ...sound, time: 200 / SAMPLE_RATE });
+    assert.ok(onTime.slice(0, 200).every(sample => sample === 0));
+    assert.equal(onTime.slice(200, 200 + expected.length).join(), expected.join());
+    
+    const late = runProcessor({ ...sound, time: 0 }, 1000);
+    assert.equal(late.slice(0, expected.length).join(), expected.join());
+});
@@ -0,0 +1,157 @@
+// Crossfades between voice banks on mode and waveform changes.
+//
+//   node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEngineScripts, createHeadlessEngine } = require('../headless.js');
+
+const api = loadEngineScripts();
+const ENVIRONMENT = { speed: 5, heading: 90, temperature: 20, humidity: 50, populationDensity: 0.5, timeOfDay: 0.5, timestamp: Date.UTC(2024, 5, 21, 12) };
+
+async function start(mode, transition = 3) {
+    const headless = await createHeadlessEngine({ api, settings: { mode, seed: 5, smoothing: { transition } } });
+    headless.engine.applyEnvironmentalData(ENVIRONMENT);
+    headless.events = [];
+    headless.engine.onVoiceEvent = event => headless.events.push(event);
+    return headless;
+}
+
+// Move the clock in small steps so the scheduler hands out events as it would live
+function run(advance, seconds) {
+    for (let t = 0; t < seconds; t += 0.05) advance(0.05);
+}
+
+const lastEvent = (param) => param.events[param.events.length - 1];
+
+test('every voice of the new mode starts within the transition', async () => {
+    for (const mode of ['pulse', 'granular', 'click']) {
+        const { engine, context, advance, events } = await start('drone');
+        run(advance, 5);
+        events.length = 0;
+        
+        const changedAt = context.currentTime;
+        engine.setMode(mode);
+        run(advance, 3.1);
+        
+        const first = new Map();
+        events.filter(event => event.type === 'noteon').forEach(event => {
+            if (!first.has(event.voice)) first.set(event.voice, event.time);
+        });
+        assert.equal(first.size, 9, `${mode}: ${first.size} voices started`);
+        first.forEach((time, voice) => assert.ok(time >= changedAt && time <= changedAt + 3, `${mode} voice ${voice} at ${time}`));
+        engine.stop();
+    }
+});
+
+test('the old bank fades out and stops while the new one fades in', async () => {
+    const { engine, context, advance } = await start('drone');
+    run(advance, 1);
+    const previous = engine.bank;
+    const now = context.currentTime;
+    
+    engine.setMode('pulse');
+    assert.notEqual(engine.bank, previous);
+    assert.equal(engine.fadingBanks.length, 1);
+    assert.equal(engine.fadingBanks[0], previous);
+    
+    const fadeOut = lastEvent(previous.fades[0].gain);
+    const fadeIn = lastEvent(engine.bank.fades[0].gain);
+    assert.equal(fadeOut.type, 'linearRampToValueAtTime');
+    assert.equal(fadeOut.value, 0);
+    assert.equal(fadeOut.time, now + 3);
+    assert.equal(fadeIn.value, 1);
+    assert.equal(fadeIn.time, now + 3);
+    previous.oscillators.forEach(osc => assert.equal(osc.stoppedAt, now + 3));
+    engine.stop();
+});
+
+test('a fading bank follows pitch changes until it is released', async () => {
+    const { engine, advance } = await start('drone');
+    const previous = engine.bank;
+    engine.setMode('fm');
+    
+    engine.applyEnvironmentalData({ speed: 25 });
+    assert.equal(lastEvent(previous.oscillators[3].frequency).value, engine.glides[3].target);
+    
+    run(advance, 3.2);
+    assert.equal(engine.fadingBanks.length, 0);
+    previous.fades.forEach(fade => assert.equal(fade.connections.length, 0));
+    previous.fmGains.forEach(fmGain => assert.equal(fmGain.connections.length, 0));
+    
+    // Releasing twice is harmless
+    engine.releaseBank(previous);
+    assert.equal(engine.fadingBanks.length, 0);
+    engine.stop();
+});
+
+test('back-to-back changes keep every fading bank until its own fade ends', async () => {
+    const { engine, advance } = await start('drone');
+    const first = engine.bank;
+    engine.setMode('pulse');
+    run(advance, 1);
+    const second = engine.bank;
+    engine.setMode('granular');
+    
+    assert.equal(engine.fadingBanks.length, 2);
+    assert.ok(engine.fadingBanks.includes(first) && engine.fadingBanks.includes(second));
+    run(advance, 2.2);
+    assert.equal(engine.fadingBanks.length, 1);
+    assert.equal(engine.fadingBanks[0], second);
+    run(advance, 1);
+    assert.equal(engine.fadingBanks.length, 0);
+    engine.stop();
+});
+
+test('a waveform change carries envelopes and grain detunes over to the new bank', async () => {
+    const { engine, context, advance } = await start('granular');
+    run(advance, 2);
+    
+    const now = context.currentTime;
+    const detunes = engine.detunes.map(changes => changes.slice());
+    const levels = engine.envelopes.map(envelope => api.envelopeValueAt(envelope, now));
+    const previous = engine.bank;
+    assert.ok(detunes.some(changes => changes && changes.length > 0));
+    engine.setWaveform('square');
+    assert.notEqual(engine.bank, previous);
+    
+    engine.bank.oscillators.forEach((osc, i) => {
+        const replayed = osc.detune.events.filter(event => event.type === 'setValueAtTime');
+        const expected = (detunes[i] || []).map(change => `${change.value}@${Math.max(now, change.time)}`);
+        assert.equal(replayed.map(event => `${event.value}@${event.time}`).join(), expected.join(), `voice ${i}`);
+    });
+    engine.bank.gainNodes.forEach((gainNode, i) => {
+        const [held] = gainNode.gain.events;
+        assert.equal(held.type, 'setValueAtTime');
+        assert.equal(held.time, now);
+        assert.equal(held.value, levels[i]);
+    });
+    engine.stop();
+});
+
+test('a mode change starts the new bank silent', async () => {
+    const { engine, advance } = await start('granular');
+    run(advance, 2);
+    engine.setMode('drone');
+    
+    assert.equal(engine.envelopes.length, 0);
+    assert.equal(engine.detunes.length, 0);
+    engine.bank.oscillators.forEach(osc => assert.equal(osc.detune.events.length, 0));
+    engine.stop();
+});
+
+test('without a transition there is no crossfade: voices are released at once', async () => {
+    const { engine, context, advance, events } = await start('drone', 0);
+    run(advance, 5);
+    const bank = engine.bank;
+    
+    engine.setMode('pulse');
+    assert.equal(engine.bank, bank);
+    assert.equal(engine.fadingBanks.length, 0);
+    assert.ok(events.some(event => event.type === 'cancel'));
+    engine.gainNodes.forEach(gainNode => {
+        const release = lastEvent(gainNode.gain);
+        assert.equal(release.value, 0);
+        assert.ok(Math.abs(release.time - (context.currentTime + 0.05)) < 1e-9);
+    });
+    engine.stop();
+});
@@ -0,0 +1,96 @@
+// Frequencies from the headless engine for every mode, built-in scale and heading quadrant.
+//
+//   node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEngineScripts, createHeadlessEngine, snapshot } = require('../headless.js');
+
+const api = loadEngineScripts();
+// One heading per quadrant, plus headings that need wrapping
+const HEADINGS = [45, 135, 225, 315, -10, 370];
+const ENVIRONMENT = { speed: 5, temperature: 20, humidity: 50, populationDensity: 0.5, timeOfDay: 0.5, timestamp: Date.UTC(2024, 5, 21, 12) };
+
+async function run(settings, data) {
+    const { engine } = await createHeadlessEngine({ api, settings: { seed: 7, ...settings } });
+    engine.applyEnvironmentalData({ ...ENVIRONMENT, ...data });
+    const result = { ...snapshot(engine), mod: engine.modulationValues };
+    engine.stop();
+    return result;
+}
+
+test('selectScaleTones picks six defined scale tones in every quadrant', () => {
+    Object.keys(api.BUILTIN_SCALES).forEach(scale => {
+        const ratios = api.builtinScaleRatios(scale);
+        HEADINGS.forEach(heading => {
+            const tones = api.selectScaleTones(ratios, heading);
+            assert.equal(tones.length, 6, `${scale} at ${heading}`);
+            tones.forEach(tone => assert.ok(ratios.includes(tone), `${scale} at ${heading}: ${tone}`));
+        });
+    });
+});
+
+test('headings wrap around the compass', () => {
+    const ratios = api.builtinScaleRatios('dreyblatt');
+    assert.deepEqual(api.selectScaleTones(ratios, -10), api.selectScaleTones(ratios, 350));
+    assert.deepEqual(api.selectScaleTones(ratios, 370), api.selectScaleTones(ratios, 10));
+    assert.deepEqual(api.selectScaleTones(ratios, -370), api.selectScaleTones(ratios, 350));
+});
+
+test('each quadrant draws from a different part of the scale', () => {
+    const ratios = api.builtinScaleRatios('harmonic');
+    const quadrants = [45, 135, 225, 315].map(heading => api.selectScaleTones(ratios, heading).join(','));
+    assert.equal(new Set(quadrants).size, 4);
+});
+
+api.ENGINE_MODES.forEach(mode => {
+    Object.keys(api.BUILTIN_SCALES).forEach(scale => {
+        test(`${mode} / ${scale} frequencies follow the fundamental and the compass`, async () => {
+            for (const heading of HEADINGS) {
+                const state = await run({ mode, scale }, { heading });
+                const label = `${mode} ${scale} heading ${heading}`;
+                
+                assert.equal(state.frequencies.length, 9, label);
+                state.frequencies.forEach((frequency, i) => {
+                    assert.ok(Number.isFinite(frequency), `${label}: voice ${i} is ${frequency}`);
+                    assert.ok(frequency >= 20 && frequency <= 20000, `${label}: voice ${i} is ${frequency}`);
+                });
+                
+                // At 20 °C there is no temperature drift, so the voices follow the fundamental exactly
+                const fundamental = state.fundamental;
+                const tones = api.selectScaleTones(api.builtinScaleRatios(scale), heading);
+                const harmonics = api.computeHarmonics(mode, fundamental, fundamental, tones);
+                const clamp = (frequency) => Math.max(20, Math.min(20000, frequency));
+                
+                assert.ok(Math.abs(state.frequencies[0] - clamp(fundamental * state.mod.doppler)) < 1e-9, label);
+                api.HARMONIC_INDICES.forEach(i => {
+                    assert.ok(Math.abs(state.frequencies[i] - clamp(harmonics[i])) < 1e-9, `${label}: voice ${i}`);
+                });
+            }
+        });
+    });
+});
+
+test('negative headings and headings past 360 sound like their wrapped equivalents', async () => {
+    for (const mode of api.ENGINE_MODES) {
+        const wrappedLow = await run({ mode }, { heading: -10 });
+        const low = await run({ mode }, { heading: 350 });
+        assert.deepEqual(wrappedLow.frequencies, low.frequencies, mode);
+        assert.equal(wrappedLow.mod.pan, low.mod.pan, mode);
+        assert.deepEqual(wrappedLow.pans, low.pans, mode);
+        
+        const wrappedHigh = await run({ mode }, { heading: 370 });
+        const high = await run({ mode }, { heading: 10 });
+        assert.deepEqual(wrappedHigh.frequencies, high.frequencies, mode);
+        assert.equal(wrappedHigh.mod.pan, high.mod.pan, mode);
+        assert.deepEqual(wrappedHigh.pans, high.pans, mode);
+    }
+});
+
+test('the fundamental stays within each mode\'s spread', async () => {
+    for (const mode of api.ENGINE_MODES) {
+        const state = await run({ mode }, { heading: 90 });
+        const base = api.computeBaseFrequency(state.mod);
+        const spread = { drone: [0.75, 1.25], pulse: [0.5, 3], click: [0.25, 8.25], granular: [0.5, 2], fm: [0.75, 1.25], pluck: [0.5, 1.5] }[mode];
+        assert.ok(state.fundamental >= base * spread[0] && state.fundamental <= base * spread[1], mode);
+    }
+});
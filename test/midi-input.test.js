@@ -0,0 +1,172 @@
+// MIDI controller input: learning mappings, and overriding or offsetting environmental values.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function loadMidiInput(navigator = {}) {
+    const context = vm.createContext({ navigator, Math, JSON, Number, isNaN });
+    const source = ['modulation-matrix.js', 'midi-input.js']
+        .map(file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8'))
+        .join('\n;\n');
+    vm.runInContext(`${source}
+        ;globalThis.__input = { MidiInput };`, context);
+    return context.__input;
+}
+
+const { MidiInput } = loadMidiInput();
+
+const close = (actual, expected, label) => assert.ok(Math.abs(actual - expected) < 1e-9, `${label}: ${actual} vs ${expected}`);
+
+const cc = (channel, number, value) => [0xB0 | channel, number, value];
+const noteOn = (channel, number, velocity = 100) => [0x90 | channel, number, velocity];
+
+test('mappings are validated', () => {
+    const mapping = { type: 'cc', channel: 0, number: 1, target: 'speed', action: 'override' };
+    assert.doesNotThrow(() => MidiInput.validateMapping(mapping));
+    assert.throws(() => MidiInput.validateMapping({ ...mapping, type: 'pitchbend' }), /type/);
+    assert.throws(() => MidiInput.validateMapping({ ...mapping, channel: 16 }), /channel/);
+    assert.throws(() => MidiInput.validateMapping({ ...mapping, number: 128 }), /number/);
+    assert.throws(() => MidiInput.validateMapping({ ...mapping, target: 'sunAzimuth' }), /target/);
+    assert.throws(() => MidiInput.validateMapping({ ...mapping, action: 'toggle' }), /action/);
+    
+    const input = new MidiInput();
+    assert.throws(() => input.setMappings([mapping, { ...mapping, target: 'nope' }]), /target/);
+    assert.equal(input.mappings.length, 0);
+    assert.throws(() => input.learn('nope'), /target/);
+});
+
+test('the next CC or note-on is learned, replacing what that control did before', () => {
+    const input = new MidiInput();
+    const learned = [];
+    input.onLearn = mapping => learned.push(MidiInput.describe(mapping));
+    
+    input.learn('temperature', 'offset');
+    input.handleMessage(noteOn(2, 60, 0));
+    input.handleMessage([0x80 | 2, 60, 0]);
+    assert.equal(learned.length, 0);
+    input.handleMessage(cc(2, 7, 90));
+    
+    input.learn('mode');
+    input.handleMessage(cc(2, 7, 10));
+    input.learn('waveform');
+    input.handleMessage(noteOn(9, 36));
+    
+    assert.equal(learned.join(' | '), 'CC 7 ch3 → Temperature (offset) | CC 7 ch3 → Mode | Note 36 ch10 → Waveform');
+    assert.equal(input.mappings.length, 2);
+    assert.equal(input.learning, null);
+    
+    input.learn('speed');
+    input.learn(null);
+    input.handleMessage(cc(0, 1, 0));
+    assert.equal(input.mappings.length, 2);
+});
+
+test('an override sets the value across the source range', () => {
+    const input = new MidiInput();
+    const changed = [];
+    input.onEnvironment = target => changed.push(target);
+    input.setMappings([{ type: 'cc', channel: 0, number: 1, target: 'temperature', action: 'override' }]);
+    
+    input.handleMessage(cc(0, 1, 127));
+    assert.equal(input.applyTo({ temperature: 5 }).temperature, 40);
+    input.handleMessage(cc(0, 1, 0));
+    assert.equal(input.applyTo({ temperature: 5 }).temperature, -20);
+    input.handleMessage(cc(1, 1, 127));
+    assert.equal(input.applyTo({ temperature: 5 }).temperature, -20);
+    assert.equal(changed.join(), 'temperature,temperature');
+    
+    const data = { temperature: 5, humidity: 70 };
+    const result = input.applyTo(data);
+    assert.equal(result.humidity, 70);
+    assert.equal(data.temperature, 5);
+});
+
+test('an offset leaves the value alone at the centre and clamps at the range ends', () => {
+    const input = new MidiInput();
+    input.setMappings([{ type: 'cc', channel: 0, number: 2, target: 'humidity', action: 'offset' }]);
+    
+    input.handleMessage(cc(0, 2, 64));
+    close(input.applyTo({ humidity: 30 }).humidity, 30, 'centre');
+    input.handleMessage(cc(0, 2, 96));
+    close(input.applyTo({ humidity: 30 }).humidity, 30 + 32 / 127 * 100, 'up');
+    input.handleMessage(cc(0, 2, 0));
+    assert.equal(input.applyTo({ humidity: 30 }).humidity, 0);
+});
+
+test('an offset applies on top of an override, and headings wrap', () => {
+    const input = new MidiInput();
+    input.setMappings([
+        { type: 'cc', channel: 0, number: 3, target: 'heading', action: 'override' },
+        { type: 'cc', channel: 0, number: 4, target: 'heading', action: 'offset' }
+    ]);
+    
+    input.handleMessage(cc(0, 3, 127));
+    input.handleMessage(cc(0, 4, 64));
+    assert.equal(input.applyTo({ heading: 90 }).heading, 0);
+    input.handleMessage(cc(0, 4, 96));
+    close(input.applyTo({ heading: 90 }).heading, 32 / 127 * 360, 'past north');
+    
+    input.handleMessage(cc(0, 3, 0));
+    input.handleMessage(cc(0, 4, 32));
+    close(input.applyTo({ heading: 90 }).heading, 360 - 32 / 127 * 360, 'below north');
+});
+
+test('selectors get a list position from a CC and step on a note', () => {
+    const input = new MidiInput();
+    const selected = [];
+    input.onSelect = (target, position) => selected.push(`${target}:${position}`);
+    input.setMappings([
+        { type: 'cc', channel: 0, number: 5, target: 'scale', action: 'override' },
+        { type: 'note', channel: 0, number: 40, target: 'mode', action: 'override' }
+    ]);
+    
+    input.handleMessage(cc(0, 5, 127));
+    input.handleMessage(noteOn(0, 40));
+    input.handleMessage(noteOn(0, 40, 0));
+    assert.equal(selected.join(), 'scale:1,mode:null');
+    assert.equal(Object.keys(input.values).length, 0);
+});
+
+test('removing the last mapping for a target, or releasing, hands it back to the live data', () => {
+    const input = new MidiInput();
+    input.setMappings([
+        { type: 'cc', channel: 0, number: 1, target: 'speed', action: 'override' },
+        { type: 'cc', channel: 0, number: 2, target: 'speed', action: 'override' },
+        { type: 'cc', channel: 0, number: 3, target: 'rainfall', action: 'override' }
+    ]);
+    input.handleMessage(cc(0, 1, 127));
+    input.handleMessage(cc(0, 3, 127));
+    
+    input.removeMapping(0);
+    assert.equal(input.applyTo({ speed: 1 }).speed, 35.8);
+    input.removeMapping(0);
+    assert.equal(input.applyTo({ speed: 1 }).speed, 1);
+    
+    input.release();
+    assert.equal(input.applyTo({ rainfall: 2 }).rainfall, 2);
+});
+
+test('every input is listened to until closed', async () => {
+    const inputs = new Map([['a', {}], ['b', {}]]);
+    const access = { inputs };
+    const { MidiInput: Input } = loadMidiInput({ requestMIDIAccess: async () => access });
+    const input = new Input();
+    input.setMappings([{ type: 'cc', channel: 0, number: 1, target: 'speed', action: 'override' }]);
+    
+    assert.equal((await input.requestAccess()).length, 2);
+    inputs.get('b').onmidimessage({ data: cc(0, 1, 127) });
+    assert.equal(input.applyTo({}).speed, 35.8);
+    
+    // A controller plugged in later is picked up
+    inputs.set('c', {});
+    access.onstatechange();
+    assert.equal(typeof inputs.get('c').onmidimessage, 'function');
+    
+    input.close();
+    assert.equal(input.enabled, false);
+    assert.ok([...inputs.values()].every(port => port.onmidimessage === null));
+    
+    await assert.rejects(new (loadMidiInput({}).MidiInput)().requestAccess(), /not supported/);
+});
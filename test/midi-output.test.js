@@ -0,0 +1,139 @@
+// MIDI output: notes and bends from engine voice events, note bookkeeping and All Notes Off.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// performance.now() stand-in that only moves when told to
+function createClock() {
+    return { time: 1000, now() { return this.time; } };
+}
+
+function loadMidiOutput(performance) {
+    const context = vm.createContext({ performance, Math, JSON, Number, isNaN });
+    const source = ['modulation-matrix.js', 'midi-output.js']
+        .map(file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8'))
+        .join('\n;\n');
+    vm.runInContext(`${source}
+        ;globalThis.__midi = { MidiOutput, frequencyToMidi };`, context);
+    return context.__midi;
+}
+
+// An output without clear(), as in Chromium
+function createOutput() {
+    return {
+        id: 'out',
+        sent: [],
+        send(data, timestamp) {
+            this.sent.push({ data: Array.from(data), timestamp });
+        }
+    };
+}
+
+// A MidiOutput attached to a stand-in engine whose audio clock starts at 0
+function setup(mode = 'mpe') {
+    const clock = createClock();
+    const { MidiOutput, frequencyToMidi } = loadMidiOutput(clock);
+    const engine = { mode: 'drone', audioContext: { currentTime: 0 }, onVoiceEvent: null };
+    const midi = new MidiOutput();
+    const output = createOutput();
+    
+    midi.mode = mode;
+    midi.output = output;
+    midi.attach(engine);
+    output.sent = [];
+    return { midi, engine, output, clock, frequencyToMidi };
+}
+
+const noteMessages = (output, status) => output.sent.filter(message => (message.data[0] & 0xF0) === status);
+
+test('frequencies map to fractional MIDI notes', () => {
+    const { frequencyToMidi } = setup();
+    assert.equal(frequencyToMidi(440), 69);
+    assert.equal(frequencyToMidi(880), 81);
+    assert.ok(Math.abs(frequencyToMidi(261.6256) - 60) < 1e-4);
+});
+
+test('a note-on is bent onto the voice frequency and remembered', () => {
+    const { midi, engine, output, clock } = setup();
+    engine.onVoiceEvent({ type: 'noteon', voice: 0, frequency: 440 * Math.pow(2, 0.25 / 12), gain: 0.115 });
+    
+    const [bend, noteOn] = output.sent;
+    assert.equal(bend.data[0], 0xE1);
+    assert.equal((bend.data[2] << 7) | bend.data[1], Math.round(8192 + 0.25 / 48 * 8192));
+    assert.equal(noteOn.data.join(), [0x91, 69, 127].join());
+    assert.equal(midi.notes[0].length, 1);
+    assert.equal(midi.notes[0][0].onset, clock.time);
+    assert.equal(midi.notes[0][0].release, null);
+});
+
+test('notes announced ahead are timestamped and kept until their release has passed', () => {
+    const { midi, engine, output, clock } = setup();
+    engine.onVoiceEvent({ type: 'noteon', voice: 2, frequency: 440, gain: 0.05, time: 0.5 });
+    engine.onVoiceEvent({ type: 'noteoff', voice: 2, time: 0.8 });
+    
+    assert.equal(noteMessages(output, 0x90)[0].timestamp, clock.time + 500);
+    assert.equal(noteMessages(output, 0x80)[0].timestamp, clock.time + 800);
+    assert.equal(midi.activeNotes(2).length, 1);
+    
+    clock.time += 801;
+    assert.equal(midi.activeNotes(2).length, 0);
+});
+
+test('a retriggered voice releases its previous note first', () => {
+    const { midi, engine, output } = setup();
+    engine.onVoiceEvent({ type: 'noteon', voice: 1, frequency: 440, gain: 0.1 });
+    engine.onVoiceEvent({ type: 'noteon', voice: 1, frequency: 660, gain: 0.1 });
+    
+    assert.equal(noteMessages(output, 0x80).map(message => message.data[1]).join(), '69');
+    assert.equal(midi.activeNotes(1).filter(held => held.release === null).length, 1);
+});
+
+test('on a single channel a note shared by two voices is held until both let go', () => {
+    const { engine, output } = setup('single');
+    engine.onVoiceEvent({ type: 'noteon', voice: 0, frequency: 440, gain: 0.1 });
+    engine.onVoiceEvent({ type: 'noteon', voice: 1, frequency: 440, gain: 0.1 });
+    
+    engine.onVoiceEvent({ type: 'noteoff', voice: 0 });
+    assert.equal(noteMessages(output, 0x80).length, 0);
+    engine.onVoiceEvent({ type: 'noteoff', voice: 1 });
+    assert.equal(noteMessages(output, 0x80).length, 1);
+});
+
+test('All Notes Off releases sounding notes now and queued notes at their onset without clear()', () => {
+    const { midi, engine, output, clock } = setup();
+    engine.onVoiceEvent({ type: 'noteon', voice: 0, frequency: 440, gain: 0.1 });
+    engine.onVoiceEvent({ type: 'noteon', voice: 3, frequency: 220, gain: 0.1, time: 0.5 });
+    engine.onVoiceEvent({ type: 'noteoff', voice: 3, time: 0.9 });
+    output.sent = [];
+    
+    clock.time += 100;
+    midi.allNotesOff();
+    
+    const offs = noteMessages(output, 0x80);
+    assert.equal(JSON.stringify(offs), JSON.stringify([
+        { data: [0x81, 69, 0], timestamp: undefined },
+        { data: [0x84, 57, 0], timestamp: clock.time + 400 }
+    ]));
+    
+    // All Notes Off on the MPE master channel and each voice channel
+    const allOff = output.sent.filter(message => (message.data[0] & 0xF0) === 0xB0 && message.data[1] === 123);
+    assert.equal(allOff.map(message => message.data[0] & 0x0F).join(), '0,1,2,3,4,5,6,7,8,9');
+    assert.equal(midi.notes.length, 0);
+});
+
+test('All Notes Off also drops queued messages where the output can', () => {
+    const { midi, engine, output } = setup();
+    let cleared = 0;
+    output.clear = () => cleared++;
+    engine.onVoiceEvent({ type: 'noteon', voice: 0, frequency: 440, gain: 0.1, time: 1 });
+    
+    engine.onVoiceEvent({ type: 'cancel' });
+    assert.equal(cleared, 1);
+    assert.equal(noteMessages(output, 0x80).length, 1);
+    
+    midi.detach();
+    assert.equal(engine.onVoiceEvent, null);
+    assert.equal(cleared, 2);
+});
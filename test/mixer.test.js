@@ -0,0 +1,90 @@
+// The per-voice mixer: enable, mute, solo, trim and pan offset.
+//
+//   node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEngineScripts, createHeadlessEngine } = require('../headless.js');
+
+const api = loadEngineScripts();
+const ENVIRONMENT = { speed: 5, heading: 90, temperature: 20, humidity: 50, populationDensity: 0.5, timeOfDay: 0.5, timestamp: Date.UTC(2024, 5, 21, 12) };
+
+const voice = (options = {}) => ({ enabled: true, mute: false, solo: false, trim: 1, pan: 0, ...options });
+const levels = (engine) => engine.voiceGains.map(voiceGain => voiceGain.gain.value).join();
+
+async function start(mode = 'drone') {
+    const { engine } = await createHeadlessEngine({ api, settings: { mode, seed: 7 } });
+    engine.applyEnvironmentalData(ENVIRONMENT);
+    return engine;
+}
+
+test('a voice is silent when disabled, muted or left out of a solo', () => {
+    const voices = [voice({ trim: 0.5 }), voice({ mute: true }), voice({ enabled: false }), voice()];
+    assert.equal([0, 1, 2, 3].map(i => api.computeVoiceLevel(voices, i)).join(), '0.5,0,0,1');
+    
+    voices[3].solo = true;
+    voices[1].solo = true;
+    assert.equal([0, 1, 2, 3].map(i => api.computeVoiceLevel(voices, i)).join(), '0,0,0,1');
+});
+
+test('voice settings are validated', async () => {
+    const engine = await start();
+    assert.throws(() => engine.setVoice(9, { mute: true }), /Unknown voice/);
+    assert.throws(() => engine.setVoice(0, { mute: 1 }), /mute must be true or false/);
+    assert.throws(() => engine.setVoice(0, { trim: 2.5 }), /trim/);
+    assert.throws(() => engine.setVoice(0, { pan: -1.5 }), /pan offset/);
+    assert.throws(() => engine.applySettings({ voices: [voice()] }), /9 voices/);
+    assert.equal(engine.voices[0].mute, false);
+    engine.stop();
+});
+
+test('soloing a voice silences the others until the solo is lifted', async () => {
+    const engine = await start();
+    engine.setVoice(0, { trim: 1.5 });
+    engine.setVoice(4, { solo: true });
+    assert.equal(levels(engine), '0,0,0,0,1,0,0,0,0');
+    
+    engine.setVoice(4, { solo: false, mute: true });
+    assert.equal(levels(engine), '1.5,1,1,1,0,1,1,1,1');
+    
+    engine.resetVoices();
+    assert.equal(levels(engine), '1,1,1,1,1,1,1,1,1');
+    engine.stop();
+});
+
+test('the pan offset adds to the voice\'s pan and stays within -1 to 1', async () => {
+    const engine = await start();
+    const base = engine.panners[2].pan.value;
+    
+    engine.setVoice(2, { pan: -0.25 });
+    assert.ok(Math.abs(engine.panners[2].pan.value - (base - 0.25)) < 1e-9);
+    engine.setVoice(2, { pan: 1 });
+    assert.equal(engine.panners[2].pan.value, 1);
+    engine.stop();
+});
+
+test('an FM modulator only deepens its carrier while it is heard', async () => {
+    const engine = await start('fm');
+    const modulator = 3; // voice 0's modulator
+    assert.ok(engine.fmGains[0].gain.value > 0);
+    
+    engine.setVoice(modulator, { mute: true });
+    assert.equal(engine.fmGains[0].gain.value, 0);
+    engine.setVoice(modulator, { mute: false });
+    engine.setVoice(4, { solo: true });
+    assert.equal(engine.fmGains[0].gain.value, 0);
+    assert.ok(engine.fmGains[1].gain.value > 0);
+    engine.stop();
+});
+
+test('the mixer round-trips through settings', async () => {
+    const engine = await start();
+    engine.setVoice(5, { trim: 0.3, pan: 0.4, solo: true });
+    const settings = JSON.parse(JSON.stringify(engine.getSettings()));
+    engine.stop();
+    
+    const copy = await start();
+    copy.applySettings(settings);
+    assert.equal(JSON.stringify(copy.voices), JSON.stringify(engine.voices));
+    assert.equal(levels(copy), '0,0,0,0,0,0.3,0,0,0');
+    copy.stop();
+});
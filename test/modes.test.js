@@ -0,0 +1,106 @@
+// Granular, FM and pluck modes on the headless engine.
+//
+//   node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEngineScripts, createHeadlessEngine } = require('../headless.js');
+
+const api = loadEngineScripts();
+const ENVIRONMENT = { speed: 5, heading: 90, temperature: 20, humidity: 50, populationDensity: 0.5, timeOfDay: 0.5, timestamp: Date.UTC(2024, 5, 21, 12) };
+
+// A started engine in `mode`, with every voice event it emits over `seconds`
+async function play(mode, seconds, settings = {}) {
+    const { engine, context, advance } = await createHeadlessEngine({ api, settings: { mode, seed: 11, ...settings } });
+    const events = [];
+    engine.onVoiceEvent = event => events.push(event);
+    engine.applyEnvironmentalData(ENVIRONMENT);
+    for (let t = 0; t < seconds; t += 0.1) advance(0.1);
+    return { engine, context, events };
+}
+
+const noteOns = (events) => events.filter(event => event.type === 'noteon');
+// One-shot sounds emit their note-off right after the note-on
+const lengthOf = (events, noteOn) => events[events.indexOf(noteOn) + 1].time - noteOn.time;
+
+test('granular grains are short, triangular and come at about grainRate per voice', async () => {
+    const { engine, events } = await play('granular', 10);
+    const grains = noteOns(events);
+    const expected = engine.modulationValues.grainRate * 10 * 9;
+    
+    assert.ok(grains.length > expected * 0.6 && grains.length < expected * 1.4, `${grains.length} grains, expected about ${expected}`);
+    grains.forEach(grain => {
+        assert.equal(grain.gain, 0.07);
+        const length = lengthOf(events, grain);
+        assert.ok(length >= 0.02 && length <= 0.08, `grain of ${length} s`);
+    });
+    
+    const ramps = engine.gainNodes[0].gain.events.filter(event => event.type === 'linearRampToValueAtTime');
+    assert.ok(ramps.some(ramp => ramp.value === 0.07));
+    engine.stop();
+});
+
+test('each grain is detuned within the scatter range', async () => {
+    const { engine } = await play('granular', 5);
+    const detunes = engine.oscillators.flatMap(osc => osc.detune.events.filter(event => event.type === 'setValueAtTime').map(event => event.value));
+    
+    assert.ok(detunes.some(value => value !== 0));
+    detunes.forEach(value => assert.ok(Math.abs(value) <= 30, `${value} cents`));
+    engine.stop();
+});
+
+test('the same seed gives the same grains', async () => {
+    const first = await play('granular', 3);
+    const second = await play('granular', 3);
+    const timeline = (events) => noteOns(events).map(event => `${event.voice}@${event.time}`).join();
+    
+    assert.equal(timeline(first.events), timeline(second.events));
+    first.engine.stop();
+    second.engine.stop();
+});
+
+test('FM modulators drive their carriers\' frequency by index × modulator frequency', async () => {
+    const { engine } = await play('fm', 0);
+    const mod = engine.modulationValues;
+    
+    [[0, 3], [1, 4], [2, 5], [6, 7]].forEach(([carrier, modulator], i) => {
+        const fmGain = engine.fmGains[i];
+        assert.ok(engine.oscillators[modulator].connections.includes(fmGain));
+        assert.ok(fmGain.connections.includes(engine.oscillators[carrier].frequency));
+        
+        const depth = mod.fmIndex * engine.oscillators[modulator].frequency.value;
+        assert.ok(Math.abs(fmGain.gain.value - depth) < 1e-9, `pair ${i}: ${fmGain.gain.value} vs ${depth}`);
+    });
+    engine.stop();
+});
+
+test('FM depth is zero outside FM mode', async () => {
+    const { engine } = await play('fm', 0, { smoothing: { transition: 0 } });
+    engine.setMode('drone');
+    engine.applyEnvironmentalData({});
+    assert.equal(engine.fmGains.map(fmGain => fmGain.gain.value).join(), '0,0,0,0');
+    engine.stop();
+});
+
+test('plucks ring for pluckDecay at the pluck level, through the voice\'s mixer level', async () => {
+    // Voice 1 at half level, voice 2 muted
+    const voices = Array.from({ length: 9 }, (_, i) => ({ enabled: true, mute: i === 2, solo: false, trim: i === 1 ? 0.5 : 1, pan: 0 }));
+    const { engine, context, events } = await play('pluck', 12, { voices });
+    const decay = engine.modulationValues.pluckDecay;
+    const plucks = noteOns(events);
+    
+    assert.ok(plucks.length > 0);
+    assert.ok(!plucks.some(pluck => pluck.voice === 2));
+    plucks.forEach(pluck => {
+        assert.equal(pluck.gain, 0.2);
+        assert.ok(Math.abs(lengthOf(events, pluck) - decay) < 1e-9);
+    });
+    
+    // Without a worklet each pluck is rendered into a buffer whose gain node applies the mixer
+    const sources = context.nodes.filter(node => node.nodeType === 'bufferSource' && node.buffer && node.startedAt > 0);
+    assert.ok(sources.length > 0);
+    sources.forEach(source => assert.equal(source.buffer.length, Math.ceil(decay * context.sampleRate)));
+    const levels = new Set(sources.map(source => source.connections[0].gain.value));
+    assert.ok([...levels].every(level => [0, 0.1, 0.2].includes(Math.round(level * 1e9) / 1e9)), [...levels].join());
+    assert.ok(levels.has(0));
+    engine.stop();
+});
@@ -0,0 +1,88 @@
+// Modulation matrix routes: normalizing sources, curves, sums and presets.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function loadMatrix() {
+    const context = vm.createContext({ Math, JSON, Number, isNaN });
+    const source = fs.readFileSync(path.join(__dirname, '..', 'modulation-matrix.js'), 'utf8');
+    vm.runInContext(`${source}
+        ;globalThis.__matrix = { ModulationMatrix, MODULATION_SOURCES, MODULATION_DESTINATIONS, MODULATION_CURVES, DEFAULT_MODULATION_ROUTES };`, context);
+    return context.__matrix;
+}
+
+const { ModulationMatrix, MODULATION_CURVES, DEFAULT_MODULATION_ROUTES } = loadMatrix();
+
+const close = (actual, expected, label) => assert.ok(Math.abs(actual - expected) < 1e-9, `${label}: ${actual} vs ${expected}`);
+
+test('sources are normalized over their range and clamped', () => {
+    assert.equal(ModulationMatrix.normalizeSource('temperature', 10), 0.5);
+    assert.equal(ModulationMatrix.normalizeSource('temperature', -40), 0);
+    assert.equal(ModulationMatrix.normalizeSource('temperature', 55), 1);
+    assert.equal(ModulationMatrix.normalizeSource('elevation', -20), 0);
+});
+
+test('compass sources wrap instead of clamping', () => {
+    close(ModulationMatrix.normalizeSource('heading', -10), ModulationMatrix.normalizeSource('heading', 350), '-10');
+    close(ModulationMatrix.normalizeSource('heading', 370), ModulationMatrix.normalizeSource('heading', 10), '370');
+    close(ModulationMatrix.normalizeSource('heading', 720 + 90), 0.25, '810');
+    close(ModulationMatrix.normalizeSource('sunAzimuth', -90), 0.75, 'azimuth -90');
+});
+
+test('the default heading to pan route is continuous around north', () => {
+    const matrix = new ModulationMatrix();
+    const pan = (heading) => matrix.evaluate({ heading }).pan;
+    
+    close(pan(-10), pan(350), 'pan -10');
+    close(pan(370), pan(10), 'pan 370');
+    close(pan(0), pan(360), 'pan 0');
+    close(pan(90), 0.7, 'pan east');
+    close(pan(270), -0.7, 'pan west');
+});
+
+test('routes sum onto the destination base and clamp to its range', () => {
+    const matrix = new ModulationMatrix([
+        { source: 'speed', destination: 'grainRate', curve: 'linear', min: 0, max: 10, depth: 1 },
+        { source: 'humidity', destination: 'grainRate', curve: 'inverse', min: 0, max: 4, depth: 0.5 }
+    ]);
+    
+    close(matrix.evaluate({ speed: 17.9, humidity: 0 }).grainRate, 1 + 5 + 2, 'sum');
+    assert.equal(matrix.evaluate({ speed: 35.8, humidity: 0 }).grainRate, 13);
+    
+    const loud = new ModulationMatrix([{ source: 'speed', destination: 'wetLevel', min: 0, max: 5 }]);
+    assert.equal(loud.evaluate({ speed: 35.8 }).wetLevel, 1);
+});
+
+test('curves map 0-1 onto 0-1', () => {
+    Object.keys(MODULATION_CURVES).forEach(name => {
+        [0, 0.25, 0.5, 0.75, 1].forEach(x => {
+            const y = MODULATION_CURVES[name](x);
+            assert.ok(y >= -1e-12 && y <= 1 + 1e-12, `${name}(${x}) = ${y}`);
+        });
+    });
+    assert.equal(MODULATION_CURVES.stepped(0.3), 0.25);
+    assert.equal(MODULATION_CURVES.fold(0.5), 0);
+});
+
+test('routes are validated and filled with defaults', () => {
+    assert.throws(() => new ModulationMatrix([{ source: 'nope', destination: 'pan' }]), /source/);
+    assert.throws(() => new ModulationMatrix([{ source: 'speed', destination: 'nope' }]), /destination/);
+    assert.throws(() => new ModulationMatrix([{ source: 'speed', destination: 'pan', curve: 'nope' }]), /curve/);
+    
+    const [route] = new ModulationMatrix([{ source: 'speed', destination: 'pan', min: '0.2', max: 'x' }]).routes;
+    assert.equal(JSON.stringify(route), JSON.stringify({ source: 'speed', destination: 'pan', curve: 'linear', min: 0.2, max: 1, depth: 1 }));
+});
+
+test('presets round-trip through JSON', () => {
+    const matrix = new ModulationMatrix();
+    matrix.updateRoute(0, { depth: 0.5 });
+    matrix.removeRoute(1);
+    
+    const copy = ModulationMatrix.fromJSON(JSON.parse(JSON.stringify(matrix.toJSON())));
+    assert.equal(copy.routes.length, DEFAULT_MODULATION_ROUTES.length - 1);
+    assert.equal(JSON.stringify(copy.routes), JSON.stringify(matrix.routes));
+    assert.equal(ModulationMatrix.fromJSON(matrix.routes).routes.length, copy.routes.length);
+    assert.throws(() => ModulationMatrix.fromJSON({}), /no routes/);
+});
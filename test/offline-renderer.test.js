@@ -0,0 +1,114 @@
+// Offline rendering of a trace through the headless OfflineAudioContext stand-in.
+//
+//   node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEngineScripts, MockOfflineAudioContext, MockAudioNode } = require('../headless.js');
+
+const START = Date.UTC(2024, 5, 21, 12);
+const TRACE = {
+    events: [0, 1000, 2000, 3000].map(t => ({
+        t,
+        data: { latitude: 51.5, longitude: -0.1, speed: 2 + t / 1000, heading: t / 20, temperature: 15, humidity: 60, timeOfDay: 0.5, timestamp: START + t }
+    }))
+};
+
+// Click worklet stand-in: the sound must arrive with the node, never as a port message
+class MockAudioWorkletNode extends MockAudioNode {
+    constructor(context, name, options) {
+        super(context, 'worklet');
+        this.processorOptions = options.processorOptions;
+        this.port = { postMessage() { throw new Error('clicks must not be posted to the worklet'); } };
+        context.nodes.push(this);
+    }
+}
+
+class WorkletOfflineAudioContext extends MockOfflineAudioContext {
+    constructor(...args) {
+        super(...args);
+        this.audioWorklet = { addModule: async () => {} };
+    }
+}
+
+// Everything the render would turn into samples: each node's automation, start and stop times,
+// buffers and click options
+function graphOf(context) {
+    return JSON.stringify(context.nodes.map(node => {
+        const params = {};
+        Object.keys(node).forEach(key => {
+            if (node[key] && Array.isArray(node[key].events)) params[key] = node[key].events;
+        });
+        return {
+            type: node.nodeType,
+            params,
+            start: node.startedAt,
+            stop: node.stoppedAt,
+            buffer: node.buffer && node.buffer.channels ? Array.from(node.buffer.channels[0]).join(',') : null,
+            sound: node.processorOptions || null
+        };
+    }));
+}
+
+async function render(OfflineContext, settings, trace = TRACE) {
+    let context = null;
+    class RecordingContext extends OfflineContext {
+        constructor(...args) {
+            super(...args);
+            context = this;
+        }
+    }
+    
+    const api = loadEngineScripts(undefined, { OfflineAudioContext: RecordingContext, AudioWorkletNode: MockAudioWorkletNode });
+    const renderer = new api.OfflineRenderer({ tail: 1 });
+    const buffer = await renderer.render(trace, settings);
+    return { buffer, graph: graphOf(context), context };
+}
+
+test('rendering a trace twice gives the same buffer and graph', async () => {
+    const settings = { mode: 'click', seed: 3 };
+    const first = await render(MockOfflineAudioContext, settings);
+    const second = await render(MockOfflineAudioContext, settings);
+    
+    assert.equal(first.buffer.length, Math.ceil(4 * 44100));
+    assert.deepEqual(Array.from(first.buffer.getChannelData(0)), Array.from(second.buffer.getChannelData(0)));
+    assert.ok(first.context.nodes.some(node => node.nodeType === 'bufferSource' && node.buffer));
+    assert.equal(first.graph, second.graph);
+});
+
+test('worklet clicks carry their sound in processorOptions', async () => {
+    const settings = { mode: 'click', seed: 3 };
+    const first = await render(WorkletOfflineAudioContext, settings);
+    const second = await render(WorkletOfflineAudioContext, settings);
+    
+    const clicks = first.context.nodes.filter(node => node.nodeType === 'worklet');
+    assert.ok(clicks.length > 0);
+    clicks.forEach(click => {
+        assert.equal(click.processorOptions.type, 'click');
+        assert.ok(Number.isFinite(click.processorOptions.time) && click.processorOptions.time >= 0);
+    });
+    assert.equal(first.graph, second.graph);
+});
+
+test('the render date comes from the first timestamp, then the session start', () => {
+    const { traceDate } = loadEngineScripts();
+    const noon = new Date(2024, 5, 21, 12).getTime();
+    const unstamped = [{ t: 0, data: { speed: 1 } }, { t: 1000, data: { speed: 2, timestamp: noon } }];
+    
+    assert.equal(traceDate({}, TRACE.events.map(event => ({ ...event, data: { ...event.data, timestamp: noon } }))), '2024-06-21');
+    assert.equal(traceDate({ startedAt: new Date(2023, 0, 2, 9).getTime() }, unstamped), '2024-06-21');
+    assert.equal(traceDate({ startedAt: new Date(2023, 0, 2, 9).getTime() }, unstamped.slice(0, 1)), '2023-01-02');
+    assert.equal(traceDate({ startedAt: 'yesterday' }, unstamped.slice(0, 1)), null);
+    assert.equal(traceDate([], unstamped.slice(0, 1)), null);
+});
+
+test('a session renders without a date setting, a bare trace needs one', async () => {
+    const events = TRACE.events.map(({ t, data: { timestamp, ...data } }) => ({ t, data }));
+    const settings = { mode: 'drone', seed: 3 };
+    
+    const session = await render(MockOfflineAudioContext, settings, { startedAt: START, events });
+    assert.equal(session.buffer.length, Math.ceil(4 * 44100));
+    
+    await assert.rejects(render(MockOfflineAudioContext, settings, { events }), /set a render date/);
+    const dated = await render(MockOfflineAudioContext, { ...settings, date: '2024-06-21' }, { events });
+    assert.equal(dated.buffer.length, session.buffer.length);
+});
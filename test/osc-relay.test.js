@@ -0,0 +1,204 @@
+// WebSocket framing, origin checks and limits of the OSC relay.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const dgram = require('dgram');
+const net = require('net');
+const { OscRelay, encodeFrame, decodeFrames, isAllowedOrigin } = require('../osc-relay.js');
+
+// A masked client frame, as browsers send them
+function clientFrame(opcode, payload, fin = true) {
+    const mask = crypto.randomBytes(4);
+    const masked = Buffer.from(payload);
+    for (let i = 0; i < masked.length; i++) masked[i] ^= mask[i % 4];
+
+    const frame = encodeFrame(opcode, masked);
+    frame[0] = (fin ? 0x80 : 0) | opcode;
+    const headerLength = frame.length - masked.length;
+    frame[1] |= 0x80;
+    return Buffer.concat([frame.subarray(0, headerLength), mask, masked]);
+}
+
+function startRelay(options = {}) {
+    const relay = new OscRelay({ 'ws-port': 0, 'udp-port': 0, ...options });
+    relay.start();
+    return new Promise(resolve => relay.server.on('listening', () => resolve(relay)));
+}
+
+// Opens a raw connection, sends the upgrade request and collects everything the relay sends back
+function connect(relay, headers = {}) {
+    const socket = net.connect(relay.server.address().port, '127.0.0.1');
+    const lines = [
+        'GET / HTTP/1.1',
+        'Host: localhost',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Key: ${crypto.randomBytes(16).toString('base64')}`,
+        'Sec-WebSocket-Version: 13',
+        ...Object.keys(headers).map(name => `${name}: ${headers[name]}`),
+        '', ''
+    ];
+    socket.write(lines.join('\r\n'));
+    
+    let received = Buffer.alloc(0);
+    socket.on('data', chunk => {
+        received = Buffer.concat([received, chunk]);
+    });
+    const ended = new Promise(resolve => socket.on('close', () => resolve(received)));
+    const response = new Promise(resolve => socket.once('data', chunk => resolve(chunk.toString())));
+    return { socket, response, ended };
+}
+
+function closeStatus(received) {
+    const frame = received.subarray(received.indexOf('\r\n\r\n') + 4);
+    assert.equal(frame[0], 0x88);
+    return frame.readUInt16BE(2);
+}
+
+test('decodes masked client frames', () => {
+    const data = Buffer.concat([clientFrame(0x2, Buffer.from('abc')), clientFrame(0x2, Buffer.alloc(300, 7))]);
+    const { frames, rest, error } = decodeFrames(data);
+    assert.equal(error, null);
+    assert.equal(rest.length, 0);
+    assert.equal(frames[0].payload.toString(), 'abc');
+    assert.equal(frames[1].payload.length, 300);
+});
+
+test('waits for the rest of a split frame', () => {
+    const frame = clientFrame(0x2, Buffer.alloc(200, 1));
+    const { frames, rest } = decodeFrames(frame.subarray(0, 50));
+    assert.equal(frames.length, 0);
+    assert.equal(rest.length, 50);
+});
+
+test('rejects unmasked client frames', () => {
+    assert.equal(decodeFrames(encodeFrame(0x2, Buffer.from('abc'))).error, 1002);
+});
+
+test('rejects an oversized frame from its header alone', () => {
+    const header = Buffer.alloc(14);
+    header[0] = 0x82;
+    header[1] = 0x80 | 127;
+    header.writeBigUInt64BE(2n ** 40n, 2);
+    assert.equal(decodeFrames(header).error, 1009);
+});
+
+test('accepts local pages, listed origins and non-browser clients', () => {
+    assert.ok(isAllowedOrigin(undefined, []));
+    assert.ok(isAllowedOrigin('http://localhost:8000', []));
+    assert.ok(isAllowedOrigin('http://127.0.0.1', []));
+    assert.ok(isAllowedOrigin('https://example.com', ['https://example.com']));
+    assert.ok(isAllowedOrigin('null', ['null']));
+    assert.ok(!isAllowedOrigin('https://evil.example', []));
+    assert.ok(!isAllowedOrigin('null', []));
+    assert.ok(!isAllowedOrigin('http://localhost.evil.example', []));
+});
+
+test('listens on 127.0.0.1 by default', async () => {
+    const relay = await startRelay();
+    assert.equal(relay.server.address().address, '127.0.0.1');
+    relay.stop();
+});
+
+test('refuses pages from other origins', async () => {
+    const relay = await startRelay();
+    const { response } = connect(relay, { Origin: 'https://evil.example' });
+    assert.match(await response, /^HTTP\/1.1 403/);
+    
+    const local = connect(relay, { Origin: 'http://localhost:8000' });
+    assert.match(await local.response, /^HTTP\/1.1 101/);
+    local.socket.destroy();
+    relay.stop();
+});
+
+test('closes with 1009 when a frame declares more than a UDP packet', async () => {
+    const relay = await startRelay();
+    const client = connect(relay);
+    await client.response;
+    
+    const header = Buffer.alloc(14);
+    header[0] = 0x82;
+    header[1] = 0x80 | 127;
+    header.writeBigUInt64BE(2n ** 40n, 2);
+    client.socket.write(header);
+    
+    assert.equal(closeStatus(await client.ended), 1009);
+    relay.stop();
+});
+
+test('closes with 1009 when fragments add up to more than a UDP packet', async () => {
+    const relay = await startRelay();
+    const client = connect(relay);
+    await client.response;
+    
+    client.socket.write(clientFrame(0x2, Buffer.alloc(40000), false));
+    client.socket.write(clientFrame(0x0, Buffer.alloc(40000), false));
+    
+    assert.equal(closeStatus(await client.ended), 1009);
+    relay.stop();
+});
+
+test('closes with 1002 on an unmasked frame', async () => {
+    const relay = await startRelay();
+    const client = connect(relay);
+    await client.response;
+    
+    client.socket.write(encodeFrame(0x2, Buffer.from('abc')));
+    
+    assert.equal(closeStatus(await client.ended), 1002);
+    relay.stop();
+});
+
+test('forwards binary messages and drops text messages with their continuations', async () => {
+    const udp = dgram.createSocket('udp4');
+    await new Promise(resolve => udp.bind(0, '127.0.0.1', resolve));
+    const packets = [];
+    const received = new Promise(resolve => udp.on('message', packet => {
+        packets.push(packet.toString());
+        if (packets.length === 2) resolve();
+    }));
+    
+    const relay = await startRelay({ 'send-port': udp.address().port });
+    const client = connect(relay);
+    await client.response;
+    
+    client.socket.write(Buffer.concat([
+        clientFrame(0x1, Buffer.from('text '), false),
+        clientFrame(0x0, Buffer.from('more text'), true),
+        clientFrame(0x2, Buffer.from('first'), true),
+        clientFrame(0x1, Buffer.from('text '), false),
+        clientFrame(0x9, Buffer.from('ping'), true),
+        clientFrame(0x0, Buffer.from('and more'), true),
+        clientFrame(0x2, Buffer.from('sec'), false),
+        clientFrame(0x0, Buffer.from('ond'), true)
+    ]));
+    
+    await received;
+    assert.deepEqual(packets, ['first', 'second']);
+    client.socket.destroy();
+    relay.stop();
+    udp.close();
+});
+
+test('closes with 1002 on a continuation with no message to continue', async () => {
+    const relay = await startRelay();
+    const client = connect(relay);
+    await client.response;
+    
+    client.socket.write(clientFrame(0x0, Buffer.from('stray'), true));
+    
+    assert.equal(closeStatus(await client.ended), 1002);
+    relay.stop();
+});
+
+test('closes with 1002 when a new message starts before the last one finished', async () => {
+    const relay = await startRelay();
+    const client = connect(relay);
+    await client.response;
+    
+    client.socket.write(clientFrame(0x1, Buffer.from('text'), false));
+    client.socket.write(clientFrame(0x2, Buffer.from('binary'), true));
+    
+    assert.equal(closeStatus(await client.ended), 1002);
+    relay.stop();
+});
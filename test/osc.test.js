@@ -0,0 +1,56 @@
+// OSC encoding and decoding, and how the bridge treats incoming data.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function loadOsc() {
+    const context = vm.createContext({ TextEncoder, TextDecoder, Uint8Array, DataView, Math });
+    const source = ['modulation-matrix.js', 'osc.js']
+        .map(file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8'))
+        .join('\n;\n');
+    vm.runInContext(`${source}
+        ;globalThis.__osc = { OscBridge, ModulationMatrix, encodeOscMessage, encodeOscBundle, decodeOscPacket, OSC_PREFIX };`, context);
+    return context.__osc;
+}
+
+const osc = loadOsc();
+
+function receive(field, value) {
+    const bridge = new osc.OscBridge();
+    bridge.handlePacket(osc.encodeOscMessage(`${osc.OSC_PREFIX}/data/${field}`, [value]).buffer);
+    return bridge.values[field];
+}
+
+test('messages and bundles round-trip', () => {
+    const message = osc.encodeOscMessage('/envirosines/mode', ['drone', 1.5, true]);
+    const [decoded] = osc.decodeOscPacket(message);
+    assert.equal(decoded.address, '/envirosines/mode');
+    assert.equal(JSON.stringify(decoded.args), JSON.stringify(['drone', 1.5, true]));
+    
+    const bundle = osc.encodeOscBundle([message, osc.encodeOscMessage('/a', [2])]);
+    assert.equal(osc.decodeOscPacket(bundle).map(m => m.address).join(' '), '/envirosines/mode /a');
+});
+
+test('incoming values arrive unchanged, like the other inputs', () => {
+    assert.equal(receive('heading', -10), -10);
+    assert.equal(receive('heading', 370), 370);
+    assert.equal(receive('temperature', -80), -80);
+    assert.equal(receive('rainfall', 500), 500);
+    assert.equal(receive('speed', 2.5), 2.5);
+});
+
+test('the matrix wraps incoming headings and clamps other fields', () => {
+    const normalize = (field, value) => osc.ModulationMatrix.normalizeSource(field, receive(field, value));
+    assert.equal(normalize('heading', -90), normalize('heading', 270));
+    assert.equal(normalize('heading', 370), normalize('heading', 10));
+    assert.equal(normalize('temperature', -80), 0);
+    assert.equal(normalize('populationDensity', 3), 1);
+    assert.equal(normalize('speed', -5), 0);
+});
+
+test('unknown fields and non-numbers are ignored', () => {
+    assert.equal(receive('volume', 1), undefined);
+    assert.equal(receive('heading', 'north'), undefined);
+});
@@ -0,0 +1,71 @@
+// Pitch quantization: folding a scale into one octave and pulling voices onto its degrees.
+//
+//   node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEngineScripts, createHeadlessEngine } = require('../headless.js');
+
+const api = loadEngineScripts();
+const C4 = 261.6256;
+const ENVIRONMENT = { speed: 7, heading: 100, temperature: 20, humidity: 50, populationDensity: 0.5, timeOfDay: 0.5, timestamp: Date.UTC(2024, 5, 21, 12) };
+
+const close = (actual, expected, label) => assert.ok(Math.abs(actual - expected) < 1e-6, `${label}: ${actual} vs ${expected}`);
+
+// Position of a frequency within its octave above the root, 0-1
+const fractionOf = (frequency, root) => {
+    const position = Math.log2(frequency / root);
+    return position - Math.floor(position);
+};
+
+test('scale degrees fold into one octave without repeats', () => {
+    const degrees = api.foldScaleDegrees([1, 9 / 8, 3 / 2, 2, 9 / 4, 3, 4]);
+    assert.equal(degrees.length, 3);
+    assert.equal(degrees[0], 0);
+    close(degrees[1], Math.log2(9 / 8), '9/8');
+    close(degrees[2], Math.log2(3 / 2), '3/2');
+});
+
+test('strength sets how far a frequency moves toward the nearest degree', () => {
+    const degrees = [0, 0.5];
+    const off = C4 * Math.pow(2, 0.4);
+    
+    assert.equal(api.quantizeToScale(off, degrees, C4, 0), off);
+    close(api.quantizeToScale(off, degrees, C4, 1), C4 * Math.SQRT2, 'exact');
+    close(api.quantizeToScale(off, degrees, C4, 0.5), C4 * Math.pow(2, 0.45), 'halfway');
+});
+
+test('frequencies snap across octave boundaries and below the root', () => {
+    const degrees = [0, 0.5];
+    close(api.quantizeToScale(C4 * Math.pow(2, 0.9), degrees, C4, 1), C4 * 2, 'up to the next root');
+    close(api.quantizeToScale(C4 * Math.pow(2, -1.4), degrees, C4, 1), C4 * Math.pow(2, -1.5), 'two octaves down');
+    close(api.quantizeToScale(C4 * 8, degrees, C4, 1), C4 * 8, 'on a degree');
+});
+
+test('quantize settings are validated', async () => {
+    const { engine } = await createHeadlessEngine({ api });
+    assert.throws(() => engine.setQuantize({ root: 12 }), /quantize root/);
+    assert.throws(() => engine.setQuantize({ root: 1.5 }), /quantize root/);
+    assert.throws(() => engine.setQuantize({ strength: 1.2 }), /strength/);
+    assert.throws(() => engine.applySettings({ quantize: { strength: -0.1 } }), /strength/);
+    assert.equal(engine.quantize.enabled, false);
+    engine.stop();
+});
+
+api.ENGINE_MODES.forEach(mode => {
+    test(`${mode} voices land on the scale's degrees above the root`, async () => {
+        const quantize = { enabled: true, root: 2, strength: 1 };
+        const { engine } = await createHeadlessEngine({ api, settings: { mode, scale: 'harmonic', seed: 7, quantize } });
+        engine.applyEnvironmentalData(ENVIRONMENT);
+        
+        const root = C4 * Math.pow(2, 2 / 12);
+        const degrees = engine.getQuantizeDegrees();
+        const targets = engine.glides.map(glide => glide.target).filter(target => target > 20 && target < 20000);
+        assert.ok(targets.length > 0);
+        targets.forEach((target, i) => {
+            const fraction = fractionOf(target, root);
+            assert.ok(degrees.some(degree => Math.abs(degree - fraction) < 1e-6 || Math.abs(degree + 1 - fraction) < 1e-6),
+                `${mode} voice ${i}: ${target} Hz`);
+        });
+        engine.stop();
+    });
+});
@@ -0,0 +1,96 @@
+// Scala .scl and .kbm parsing, the ratio tables built from them, and registering them as scales.
+//
+//   node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEngineScripts, createHeadlessEngine } = require('../headless.js');
+
+const api = loadEngineScripts();
+
+const close = (actual, expected, label) => assert.ok(Math.abs(actual - expected) < 1e-9, `${label}: ${actual} vs ${expected}`);
+
+const EDO12 = ['! 12edo.scl', '!', '12 tone equal temperament', ' 12', '!',
+    ...Array.from({ length: 12 }, (_, i) => ` ${(i + 1) * 100}.0`)].join('\n');
+const PENTATONIC = 'Just pentatonic\r\n5\r\n9/8\r\n5/4\r\n3/2\r\n5/3\r\n2\r\n';
+const MAJOR_KBM = ['! major.kbm', '7', '0', '127', '60', '60', '261.6256', '12',
+    '0', '2', '4', '5', '7', '9', '11'].join('\n');
+
+test('pitches are read as cents, ratios or integers', () => {
+    const edo = api.parseScl(EDO12);
+    assert.equal(edo.description, '12 tone equal temperament');
+    assert.equal(edo.pitches.length, 12);
+    close(edo.pitches[5], Math.SQRT2, 'tritone');
+    assert.equal(edo.pitches[11], 2);
+    
+    assert.equal(api.parseScl(PENTATONIC).pitches.join(), [9 / 8, 5 / 4, 3 / 2, 5 / 3, 2].join());
+    assert.equal(api.parseScl('Trailing comments\n2\n3/2 fifth\n2 octave').pitches.join(), '1.5,2');
+});
+
+test('malformed scale files name the line at fault', () => {
+    assert.throws(() => api.parseScl('! only a comment'), /empty/);
+    assert.throws(() => api.parseScl('Name'), /Line 2: missing note count/);
+    assert.throws(() => api.parseScl('Name\nfive\n2'), /Line 2: note count "five"/);
+    assert.throws(() => api.parseScl('Name\n0'), /at least one note/);
+    assert.throws(() => api.parseScl('Name\n3\n9/8\n2'), /Line 4: expected 3 pitches, found 2/);
+    assert.throws(() => api.parseScl('Name\n2\n3:2\n2'), /Line 3: invalid pitch "3:2"/);
+    assert.throws(() => api.parseScl('Name\n2\n0/2\n2'), /Line 3: ratio "0\/2" must be positive/);
+    assert.throws(() => api.parseScl('Name\n2\n3/2\n1/1'), /Line 4: the last pitch is the period/);
+});
+
+test('keyboard mappings keep their header and mark x keys unmapped', () => {
+    const kbm = api.parseKbm(MAJOR_KBM);
+    assert.equal(kbm.size, 7);
+    assert.equal(kbm.middleNote, 60);
+    assert.equal(kbm.referenceFrequency, 261.6256);
+    assert.equal(kbm.octaveDegree, 12);
+    assert.equal(kbm.mapping.join(), '0,2,4,5,7,9,11');
+    
+    // Entries missing from the end of the map are unmapped too
+    assert.equal(JSON.stringify(api.parseKbm('4\n0\n127\n60\n60\n440\n0\n0\nx\n2').mapping), '[0,null,2,null]');
+});
+
+test('malformed keyboard mappings are rejected', () => {
+    assert.throws(() => api.parseKbm('7\n0\n127'), /needs 7 header values, found 3/);
+    assert.throws(() => api.parseKbm('7.5\n0\n127\n60\n60\n440\n12'), /Line 1: map size must be a whole number/);
+    assert.throws(() => api.parseKbm('1\n0\n127\n60\n60\n0\n12\n0'), /Line 6: reference frequency must be positive/);
+    assert.throws(() => api.parseKbm('1\n0\n127\n60\n60\nA4\n12\n0'), /Line 6: invalid reference frequency/);
+    assert.throws(() => api.parseKbm('1\n0\n127\n60\n60\n440\n12\n-1'), /Line 8: mapping entry "-1"/);
+    assert.throws(() => api.parseKbm('2\n0\n127\n60\n60\n440\n12\nx\nx'), /no mapped keys/);
+});
+
+test('scale ratios repeat the scale up through its period', () => {
+    const ratios = api.buildScaleRatios(api.parseScl(PENTATONIC));
+    assert.equal(ratios.length, 20);
+    assert.equal(ratios.slice(0, 6).join(), [1, 9 / 8, 5 / 4, 3 / 2, 5 / 3, 2].join());
+    close(ratios[19], 8 * 5 / 3, 'top');
+});
+
+test('a keyboard mapping picks and repeats its degrees', () => {
+    const scl = api.parseScl(EDO12);
+    const major = api.buildScaleRatios(scl, api.parseKbm(MAJOR_KBM));
+    [0, 2, 4, 5, 7, 9, 11, 12, 14].forEach((semitones, i) => close(major[i], Math.pow(2, semitones / 12), `step ${i}`));
+    
+    // Octave degree 0 repeats at the scale's own period; x keys are skipped
+    const sparse = api.buildScaleRatios(scl, api.parseKbm('3\n0\n127\n60\n60\n440\n0\n0\nx\n7'));
+    [0, 7, 12, 19].forEach((semitones, i) => close(sparse[i], Math.pow(2, semitones / 12), `sparse step ${i}`));
+    
+    // The mapped period has to rise, or the table would never climb
+    assert.throws(() => api.buildScaleRatios(api.parseScl('Low\n2\n1/2\n2'), api.parseKbm('1\n0\n127\n60\n60\n440\n1\n0')), /octave degree/);
+});
+
+test('custom scales cannot take a built-in scale\'s id', async () => {
+    const { engine } = await createHeadlessEngine({ api });
+    const scale = { name: 'Pentatonic', ratios: api.buildScaleRatios(api.parseScl(PENTATONIC)) };
+    const builtin = api.builtinScaleRatios('dreyblatt').join();
+    
+    assert.throws(() => engine.registerScale('dreyblatt', scale), /built in/);
+    assert.throws(() => engine.applySettings({ mode: 'fm', scale: 'dreyblatt', customScale: scale }), /built in/);
+    assert.equal(engine.mode, 'drone');
+    assert.equal(Object.keys(engine.customScales).length, 0);
+    assert.equal(api.builtinScaleRatios('dreyblatt').join(), builtin);
+    
+    engine.applySettings({ scale: 'scl:Pentatonic', customScale: scale });
+    assert.equal(engine.scale, 'scl:Pentatonic');
+    assert.equal(engine.customScales['scl:Pentatonic'].ratios.join(), scale.ratios.join());
+    engine.stop();
+});
@@ -0,0 +1,110 @@
+// The look-ahead event scheduler on a virtual audio clock.
+//
+//   node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEngineScripts } = require('../headless.js');
+
+const { EventScheduler, VirtualTimers } = loadEngineScripts();
+
+// A scheduler on a clock that only moves with advance(seconds)
+function setup(options) {
+    const clock = { time: 0 };
+    const timers = new VirtualTimers(() => clock.time);
+    const scheduler = new EventScheduler(() => clock.time, timers, options);
+    const advance = (seconds) => {
+        clock.time += seconds;
+        timers.runDue(clock.time);
+    };
+    return { scheduler, timers, clock, advance };
+}
+
+test('events run in time order, equal times in the order they were scheduled', () => {
+    const { scheduler } = setup();
+    const ran = [];
+    scheduler.schedule(1.5, () => ran.push('c'));
+    scheduler.schedule(0.5, () => ran.push('a'));
+    scheduler.schedule(1.5, () => ran.push('d'));
+    scheduler.schedule(1, () => ran.push('b'));
+    
+    scheduler.start();
+    assert.equal(ran.join(''), 'abcd');
+    scheduler.stop();
+});
+
+test('events are handed out up to the look-ahead early, with their exact time', () => {
+    const { scheduler, advance } = setup({ lookahead: 1, interval: 100 });
+    const ran = [];
+    [0.5, 1.8, 2.05, 3.5].forEach(time => scheduler.schedule(time, at => ran.push(at)));
+    
+    scheduler.start();
+    assert.equal(ran.join(), '0.5');
+    advance(0.8);
+    assert.equal(ran.join(), '0.5,1.8');
+    advance(0.3);
+    assert.equal(ran.join(), '0.5,1.8,2.05');
+    assert.equal(scheduler.events.length, 1);
+    scheduler.stop();
+});
+
+test('after a stall, late events run once at the current time and chains follow on from there', () => {
+    const { scheduler, clock, timers } = setup({ lookahead: 0.5, interval: 25 });
+    const ran = [];
+    const pulse = (at) => {
+        ran.push(at);
+        if (ran.length < 20) scheduler.schedule(at + 1, pulse);
+    };
+    scheduler.schedule(0, pulse);
+    scheduler.start();
+    assert.equal(ran.join(), '0');
+    
+    // The timer is held back for ten seconds, as in a throttled tab
+    clock.time = 10;
+    timers.runDue(10);
+    assert.equal(ran.join(), '0,10');
+    assert.equal(scheduler.events[0].time, 11);
+    scheduler.stop();
+});
+
+test('stopping drops queued events and the timer', () => {
+    const { scheduler, timers, advance } = setup({ lookahead: 0.1 });
+    const ran = [];
+    scheduler.schedule(1, () => ran.push(1));
+    scheduler.start();
+    scheduler.start();
+    assert.equal(timers.timers.size, 1);
+    
+    scheduler.stop();
+    assert.equal(timers.timers.size, 0);
+    assert.equal(scheduler.events.length, 0);
+    advance(2);
+    assert.equal(ran.length, 0);
+});
+
+test('an event that stops the scheduler stops the rest of its batch', () => {
+    const { scheduler } = setup();
+    const ran = [];
+    scheduler.schedule(0, () => {
+        ran.push('a');
+        scheduler.stop();
+    });
+    scheduler.schedule(0.1, () => ran.push('b'));
+    
+    scheduler.start();
+    assert.equal(ran.join(), 'a');
+    assert.equal(scheduler.timer, null);
+});
+
+test('clear() drops queued events but keeps the scheduler running', () => {
+    const { scheduler, advance } = setup({ lookahead: 0.1 });
+    const ran = [];
+    scheduler.schedule(1, () => ran.push(1));
+    scheduler.start();
+    scheduler.clear();
+    scheduler.schedule(1.5, () => ran.push(1.5));
+    
+    advance(2);
+    assert.equal(ran.join(), '1.5');
+    assert.equal(scheduler.isRunning, true);
+    scheduler.stop();
+});
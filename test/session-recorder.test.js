@@ -0,0 +1,121 @@
+// Session recording and storage, and timed replay of sessions.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// localStorage with a quota of `quota` characters across all keys
+function createStorage(quota = Infinity) {
+    const items = new Map();
+    return {
+        items,
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem(key, value) {
+            const used = [...items].reduce((sum, [k, v]) => sum + (k === key ? 0 : v.length), 0);
+            if (used + String(value).length > quota) throw new Error('QuotaExceededError');
+            items.set(key, String(value));
+        },
+        removeItem: key => items.delete(key)
+    };
+}
+
+function loadSessions(localStorage) {
+    const context = vm.createContext({ localStorage, setTimeout, clearTimeout, Date, JSON });
+    const source = ['timed-player.js', 'session-recorder.js']
+        .map(file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8'))
+        .join('\n;\n');
+    vm.runInContext(`${source}
+        ;globalThis.__sessions = { SessionRecorder, SessionPlayer, TimedPlayer };`, context);
+    return context.__sessions;
+}
+
+function play(player) {
+    return new Promise(resolve => {
+        const received = [];
+        player.onData = (data, index, total) => received.push(`${data.speed}:${index}/${total}`);
+        player.onEnd = () => resolve(received);
+        player.start();
+    });
+}
+
+test('a recorded session is saved, listed, loaded and deleted', () => {
+    const storage = createStorage();
+    const { SessionRecorder } = loadSessions(storage);
+    const recorder = new SessionRecorder();
+    
+    recorder.start('Walk');
+    recorder.capture({ speed: 1 });
+    recorder.capture({ speed: 2 });
+    const session = recorder.stop();
+    assert.equal(recorder.isRecording, false);
+    assert.equal(session.events.length, 2);
+    
+    SessionRecorder.saveSession(session);
+    const [entry] = SessionRecorder.listSessions();
+    assert.equal(entry.name, 'Walk');
+    assert.equal(entry.eventCount, 2);
+    assert.equal(SessionRecorder.loadSession(session.id).events[1].data.speed, 2);
+    
+    SessionRecorder.deleteSession(session.id);
+    assert.equal(SessionRecorder.listSessions().length, 0);
+    assert.equal(SessionRecorder.loadSession(session.id), null);
+});
+
+test('captured data is copied, not referenced', () => {
+    const { SessionRecorder } = loadSessions(createStorage());
+    const recorder = new SessionRecorder();
+    const data = { speed: 1 };
+    
+    recorder.capture(data);
+    recorder.start();
+    recorder.capture(data);
+    data.speed = 5;
+    const session = recorder.stop();
+    assert.equal(session.events.length, 1);
+    assert.equal(session.events[0].data.speed, 1);
+});
+
+test('a session over the quota throws and leaves nothing half-written', () => {
+    const storage = createStorage(2000);
+    const { SessionRecorder } = loadSessions(storage);
+    SessionRecorder.saveSession({ id: 'small', name: 'Small', startedAt: 0, events: [{ t: 0, data: { speed: 1 } }] });
+    
+    const events = Array.from({ length: 100 }, (_, t) => ({ t, data: { speed: t } }));
+    assert.throws(() => SessionRecorder.saveSession({ id: 'big', name: 'Big', startedAt: 0, events }), /Quota/);
+    assert.deepEqual([...storage.items.keys()].sort(), ['envirosines.session.small', 'envirosines.sessions']);
+    assert.equal(SessionRecorder.listSessions().length, 1);
+});
+
+test('a failed index write removes the session it belongs to', () => {
+    const storage = createStorage();
+    const { SessionRecorder } = loadSessions(storage);
+    const setItem = storage.setItem;
+    storage.setItem = (key, value) => {
+        if (key === 'envirosines.sessions') throw new Error('QuotaExceededError');
+        setItem(key, value);
+    };
+    
+    assert.throws(() => SessionRecorder.saveSession({ id: 'a', name: 'A', startedAt: 0, events: [] }));
+    assert.equal(storage.items.size, 0);
+});
+
+test('replay runs the events in time order and then ends', async () => {
+    const { SessionPlayer } = loadSessions(createStorage());
+    const player = new SessionPlayer({ events: [{ t: 20, data: { speed: 2 } }, { t: 0, data: { speed: 1 } }, { t: 30, data: { speed: 3 } }] }, 4);
+    
+    assert.deepEqual(await play(player), ['1:0/3', '2:1/3', '3:2/3']);
+    assert.equal(player.isPlaying, false);
+});
+
+test('stopping replay cancels the pending event', async () => {
+    const { SessionPlayer } = loadSessions(createStorage());
+    const player = new SessionPlayer({ events: [{ t: 0, data: { speed: 1 } }, { t: 50, data: { speed: 2 } }] });
+    const received = [];
+    player.onData = data => received.push(data.speed);
+    player.start();
+    player.stop();
+    
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.deepEqual(received, [1]);
+});
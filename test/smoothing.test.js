@@ -0,0 +1,91 @@
+// Smoothing: pitch glides, slewed parameters, the pitch random walk and reported frequencies.
+//
+//   node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEngineScripts, createHeadlessEngine } = require('../headless.js');
+
+const api = loadEngineScripts();
+const ENVIRONMENT = { speed: 5, heading: 90, temperature: 20, humidity: 50, populationDensity: 0.5, timeOfDay: 0.5, timestamp: Date.UTC(2024, 5, 21, 12) };
+
+const lastEvent = (param) => param.events[param.events.length - 1];
+
+test('smoothing times are validated', async () => {
+    const { engine } = await createHeadlessEngine({ api });
+    assert.throws(() => engine.setSmoothing({ pitch: -1 }), /pitch must be 0-10/);
+    assert.throws(() => engine.setSmoothing({ transition: 11 }), /transition must be 0-10/);
+    assert.throws(() => engine.setSmoothing({ walk: 2 }), /walk/);
+    assert.throws(() => engine.applySettings({ smoothing: { filter: 'slow' } }), /filter/);
+    assert.equal(engine.smoothing.pitch, 2);
+    engine.stop();
+});
+
+test('pitch changes glide over the pitch smoothing time', async () => {
+    const { engine, context, advance } = await createHeadlessEngine({ api, settings: { smoothing: { pitch: 3 } } });
+    engine.applyEnvironmentalData(ENVIRONMENT);
+    advance(1);
+    engine.applyEnvironmentalData({ speed: 20 });
+    
+    const frequency = engine.oscillators[3].frequency;
+    const ramp = lastEvent(frequency);
+    assert.equal(ramp.type, 'exponentialRampToValueAtTime');
+    assert.equal(ramp.time, context.currentTime + 3);
+    assert.equal(ramp.value, engine.glides[3].target);
+    assert.equal(frequency.events[frequency.events.length - 2].type, 'setValueAtTime');
+    engine.stop();
+});
+
+test('with no smoothing, values are set at once', async () => {
+    const smoothing = { pitch: 0, filter: 0, mix: 0, pan: 0, walk: 0, transition: 0 };
+    const { engine } = await createHeadlessEngine({ api, settings: { smoothing } });
+    engine.applyEnvironmentalData(ENVIRONMENT);
+    
+    assert.equal(lastEvent(engine.oscillators[0].frequency).type, 'setValueAtTime');
+    assert.equal(lastEvent(engine.lowPassFilter.frequency).type, 'setValueAtTime');
+    assert.equal(lastEvent(engine.panners[0].pan).type, 'setValueAtTime');
+    engine.stop();
+});
+
+test('filters, levels and pans approach their targets at a third of the smoothing time', async () => {
+    const { engine } = await createHeadlessEngine({ api, settings: { smoothing: { filter: 1.5, mix: 0.6, pan: 0.3 } } });
+    engine.applyEnvironmentalData(ENVIRONMENT);
+    
+    const check = (param, seconds, label) => {
+        const event = lastEvent(param);
+        assert.equal(event.type, 'setTargetAtTime', label);
+        assert.ok(Math.abs(event.extra - seconds / 3) < 1e-12, label);
+    };
+    check(engine.lowPassFilter.frequency, 1.5, 'lowpass');
+    check(engine.wetGain.gain, 0.6, 'wet');
+    check(engine.panners[4].pan, 0.3, 'pan');
+    engine.stop();
+});
+
+test('with walk at 0 the same data gives the same pitch however often it arrives', async () => {
+    const { engine, advance } = await createHeadlessEngine({ api, settings: { seed: 1, smoothing: { walk: 0 } } });
+    engine.applyEnvironmentalData({ ...ENVIRONMENT, temperature: 30 });
+    const first = engine.glides.map(glide => glide.target).join();
+    
+    for (let i = 0; i < 5; i++) {
+        advance(2);
+        engine.applyEnvironmentalData({});
+    }
+    assert.equal(engine.glides.map(glide => glide.target).join(), first);
+    engine.stop();
+});
+
+test('reported frequencies are where the voices are gliding to, not where the glide has got', async () => {
+    const { engine } = await createHeadlessEngine({ api, settings: { smoothing: { pitch: 4 } } });
+    // A browser's frequency.value lags behind a glide; pin it to show it is not what gets reported
+    engine.oscillators.forEach(osc => Object.defineProperty(osc.frequency, 'value', { get: () => 1, set() {} }));
+    
+    const reports = [];
+    engine.onFrequencyUpdate = frequencies => reports.push(Array.from(frequencies));
+    engine.applyEnvironmentalData(ENVIRONMENT);
+    
+    const [reported] = reports;
+    assert.equal(reported.length, 9);
+    assert.equal(reported.join(), engine.glides.map(glide => glide.target).join());
+    reported.forEach(frequency => assert.ok(frequency >= 20 && frequency <= 20000, `${frequency}`));
+    engine.stop();
+});
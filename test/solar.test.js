@@ -0,0 +1,54 @@
+// Sun position and sunrise/sunset against NOAA Solar Calculator values.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEngineScripts } = require('../headless.js');
+
+const { solarPosition, sunTimes } = loadEngineScripts();
+
+// "HH:MM" in UTC, rounded to the nearest minute
+function utcClock(date) {
+    const minutes = Math.round(date.getTime() / 60000) % 1440;
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+test('declination reaches 23.44° at the June solstice', () => {
+    const { declination } = solarPosition(new Date(Date.UTC(2024, 5, 20, 20, 51)), 0, 0);
+    assert.ok(Math.abs(declination - 23.44) < 0.01, `declination ${declination}`);
+});
+
+test('declination is about zero at the March equinox', () => {
+    const { declination } = solarPosition(new Date(Date.UTC(2024, 2, 20, 3, 6)), 0, 0);
+    assert.ok(Math.abs(declination) < 0.01, `declination ${declination}`);
+});
+
+test('equation of time is -14.2 minutes on February 11', () => {
+    const { equationOfTime } = solarPosition(new Date(Date.UTC(2024, 1, 11, 12)), 0, 0);
+    assert.ok(Math.abs(equationOfTime - -14.2) < 0.1, `equation of time ${equationOfTime}`);
+});
+
+test('Greenwich sunrise and sunset on 2024-06-21', () => {
+    const times = sunTimes(new Date(Date.UTC(2024, 5, 21, 12)), 51.4769, 0);
+    assert.equal(times.polar, null);
+    assert.equal(utcClock(times.sunrise), '03:43');
+    assert.equal(utcClock(times.sunset), '20:21');
+    assert.equal(utcClock(times.solarNoon), '12:02');
+});
+
+test('the sun stands high over Greenwich at midsummer noon and is down at midnight', () => {
+    const noon = solarPosition(new Date(Date.UTC(2024, 5, 21, 12, 2)), 51.4769, 0);
+    assert.ok(Math.abs(noon.elevation - 61.96) < 0.05, `noon elevation ${noon.elevation}`);
+    assert.ok(Math.abs(noon.azimuth - 180) < 1, `noon azimuth ${noon.azimuth}`);
+    
+    const midnight = solarPosition(new Date(Date.UTC(2024, 5, 21, 0, 2)), 51.4769, 0);
+    assert.ok(midnight.elevation < 0, `midnight elevation ${midnight.elevation}`);
+});
+
+test('Svalbard has polar night at the December solstice and polar day at the June solstice', () => {
+    const winter = sunTimes(new Date(Date.UTC(2024, 11, 21, 12)), 78.22, 15.65);
+    assert.equal(winter.polar, 'night');
+    assert.equal(winter.sunrise, null);
+    assert.equal(winter.sunset, null);
+    
+    const summer = sunTimes(new Date(Date.UTC(2024, 5, 21, 12)), 78.22, 15.65);
+    assert.equal(summer.polar, 'day');
+});
@@ -0,0 +1,160 @@
+// GPX and GeoJSON track parsing, and the speed and heading derived from it.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Just enough of DOMParser for parseGPX: elements by local name, attributes, text, and a
+// <parsererror> document for mismatched tags
+class MiniDOMParser {
+    parseFromString(text) {
+        const root = { localName: '#document', attributes: {}, children: [], text: '' };
+        const stack = [root];
+        const pattern = /<\?[^>]*\?>|<(\/?)([\w:.-]+)([^>]*?)(\/?)>|([^<]+)/g;
+        let match;
+        
+        while ((match = pattern.exec(text))) {
+            const [, closing, name, attributeText, selfClosing, content] = match;
+            const parent = stack[stack.length - 1];
+            if (content !== undefined) {
+                parent.text += content;
+            } else if (closing) {
+                if (stack.pop().name !== name) return MiniDOMParser.error();
+            } else if (name) {
+                const element = { name, localName: name.split(':').pop(), attributes: {}, children: [], text: '' };
+                attributeText.replace(/([\w:.-]+)="([^"]*)"/g, (_, key, value) => {
+                    element.attributes[key] = value;
+                });
+                parent.children.push(element);
+                if (!selfClosing) stack.push(element);
+            }
+        }
+        
+        return stack.length === 1 ? MiniDOMParser.wrap(root) : MiniDOMParser.error();
+    }
+    
+    static error() {
+        return MiniDOMParser.wrap({ localName: '#document', attributes: {}, children: [{ localName: 'parsererror', attributes: {}, children: [], text: '' }], text: '' });
+    }
+    
+    static wrap(element) {
+        const descendants = (node) => node.children.flatMap(child => [child, ...descendants(child)]);
+        const textOf = (node) => node.text + node.children.map(textOf).join('');
+        return {
+            getElementsByTagName: name => descendants(element).filter(node => node.localName === name).map(MiniDOMParser.wrap),
+            getElementsByTagNameNS: (ns, name) => descendants(element).filter(node => node.localName === name).map(MiniDOMParser.wrap),
+            getAttribute: name => (name in element.attributes ? element.attributes[name] : null),
+            get textContent() { return textOf(element); }
+        };
+    }
+}
+
+function loadTrackImport() {
+    const context = vm.createContext({ DOMParser: MiniDOMParser, Date, Math, JSON, isNaN, parseFloat, setTimeout, clearTimeout });
+    const source = ['timed-player.js', 'track-import.js']
+        .map(file => fs.readFileSync(path.join(__dirname, '..', file), 'utf8'))
+        .join('\n;\n');
+    vm.runInContext(`${source}
+        ;globalThis.__track = { parseTrack, haversineDistance, bearing, TrackPlayer };`, context);
+    return context.__track;
+}
+
+const track = loadTrackImport();
+
+const GPX = `<?xml version="1.0"?>
+<gpx xmlns="http://www.topografix.com/GPX/1/1" version="1.1">
+  <trk><trkseg>
+    <trkpt lat="51.5000" lon="-0.1000"><ele>12</ele><time>2024-06-21T12:00:10Z</time></trkpt>
+    <trkpt lat="51.5010" lon="-0.1000"><ele>14</ele><time>2024-06-21T12:00:20Z</time></trkpt>
+    <trkpt lat="51.5000" lon="-0.1000"><time>2024-06-21T12:00:00Z</time><speed>3</speed><course>45</course></trkpt>
+  </trkseg></trk>
+</gpx>`;
+
+test('GPX track points are read, sorted by time and given speed and heading', () => {
+    const points = track.parseTrack(GPX);
+    
+    assert.equal(points.length, 3);
+    assert.equal(points.map(point => point.time).join(), [0, 10000, 20000].map(t => Date.UTC(2024, 5, 21, 12) + t).join());
+    assert.equal(points[0].speed, 3);
+    assert.equal(points[0].heading, 45);
+    assert.equal(points[0].altitude, null);
+    assert.equal(points[2].altitude, 14);
+    
+    // About 111 m due north in 10 s
+    assert.ok(Math.abs(points[2].speed - 11.12) < 0.05, `speed ${points[2].speed}`);
+    assert.ok(Math.abs(points[2].heading) < 0.01 || Math.abs(points[2].heading - 360) < 0.01);
+});
+
+test('GPX routes are read when there is no track', () => {
+    const gpx = GPX.replace(/trkpt/g, 'rtept').replace('<trk><trkseg>', '<rte>').replace('</trkseg></trk>', '</rte>');
+    assert.equal(track.parseTrack(gpx).length, 3);
+});
+
+test('malformed GPX is rejected', () => {
+    assert.throws(() => track.parseTrack('<gpx><trk></gpx>'), /Invalid GPX/);
+});
+
+test('GeoJSON takes timestamps from coordTimes', () => {
+    const geojson = {
+        type: 'Feature',
+        properties: { coordTimes: ['2024-06-21T12:00:00Z', '2024-06-21T12:00:10Z'] },
+        geometry: { type: 'LineString', coordinates: [[-0.1, 51.5, 5], [-0.1, 51.501, 6]] }
+    };
+    const points = track.parseTrack(JSON.stringify(geojson));
+    
+    assert.equal(points.length, 2);
+    assert.equal(points[0].latitude, 51.5);
+    assert.equal(points[0].longitude, -0.1);
+    assert.equal(points[1].altitude, 6);
+    assert.equal(points[1].time - points[0].time, 10000);
+});
+
+test('GeoJSON 4-element coordinates carry Unix seconds or milliseconds', () => {
+    const line = (coordinates) => JSON.stringify({ type: 'LineString', coordinates });
+    const seconds = track.parseTrack(line([[0, 0, 0, 1718971200], [0.001, 0, 0, 1718971210]]));
+    const millis = track.parseTrack(line([[0, 0, 0, 1718971200000], [0.001, 0, 0, 1718971210000]]));
+    
+    assert.equal(seconds[0].time, 1718971200000);
+    assert.equal(seconds.map(point => point.time).join(), millis.map(point => point.time).join());
+    assert.ok(Math.abs(seconds[1].heading - 90) < 0.01);
+});
+
+test('MultiLineStrings in a FeatureCollection are joined', () => {
+    const geojson = {
+        type: 'FeatureCollection',
+        features: [
+            { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [0, 0] } },
+            {
+                type: 'Feature',
+                properties: { times: [[1000, 2000], [3000]] },
+                geometry: { type: 'MultiLineString', coordinates: [[[0, 0], [0, 0.001]], [[0, 0.002]]] }
+            }
+        ]
+    };
+    assert.equal(track.parseTrack(JSON.stringify(geojson)).map(point => point.time).join(), '1000,2000,3000');
+});
+
+test('tracks without timestamps, too few points or a line are rejected', () => {
+    const line = (coordinates) => JSON.stringify({ type: 'LineString', coordinates });
+    assert.throws(() => track.parseTrack(line([[0, 0], [0, 1]])), /timestamps/);
+    assert.throws(() => track.parseTrack(line([[0, 0, 0, 1000]])), /at least two points/);
+    assert.throws(() => track.parseTrack(JSON.stringify({ type: 'Point', coordinates: [0, 0] })), /no LineString/);
+});
+
+test('track playback hands out positions shaped like GeolocationPosition', async () => {
+    const points = track.parseTrack(JSON.stringify({ type: 'LineString', coordinates: [[0, 0, 0, 1000], [0, 0.001, 0, 1010]] }));
+    const player = new track.TrackPlayer(points);
+    const positions = [];
+    
+    await new Promise(resolve => {
+        player.onPosition = position => positions.push(position);
+        player.onEnd = resolve;
+        player.start();
+    });
+    
+    assert.equal(positions.length, 2);
+    assert.equal(positions[1].coords.latitude, 0.001);
+    assert.equal(positions[1].timestamp, 1010000);
+    assert.equal(positions[1].coords.accuracy, 5);
+});
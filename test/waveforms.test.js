@@ -0,0 +1,113 @@
+// Custom waveforms: built-in and environment harmonics, validation and registration.
+//
+//   node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadEngineScripts, createHeadlessEngine } = require('../headless.js');
+
+const api = loadEngineScripts();
+const { WAVE_PARTIAL_COUNT, WAVEFORM_HARMONICS, builtinWaveHarmonics, environmentWaveHarmonics } = api;
+const SURROUNDINGS = { populationDensity: 0.5, temperature: 20, humidity: 50, rainfall: 0 };
+
+const close = (a, b) => Math.abs(a - b) < 1e-12;
+
+test('built-in harmonics are WAVE_PARTIAL_COUNT + 1 terms from DC up', () => {
+    assert.equal(WAVE_PARTIAL_COUNT, 16);
+    api.ENGINE_WAVEFORMS.forEach(waveform => {
+        const { real, imag } = builtinWaveHarmonics(waveform);
+        assert.equal(real.length, 17, waveform);
+        assert.equal(imag.length, 17, waveform);
+        assert.equal(real[0], 0, waveform);
+        assert.equal(imag[0], 0, waveform);
+    });
+    
+    const sine = builtinWaveHarmonics('sine');
+    assert.equal(sine.imag.join(), [0, 1, ...new Array(15).fill(0)].join());
+    assert.ok(sine.real.every(term => term === 0));
+});
+
+test('sawtooth uses the browser\'s alternating 2/(πn) terms, and tables come through as cosine terms', () => {
+    const { real, imag } = builtinWaveHarmonics('sawtooth');
+    assert.ok(real.every(term => term === 0));
+    assert.ok(close(imag[1], 2 / Math.PI));
+    assert.ok(close(imag[2], -1 / Math.PI));
+    assert.ok(close(imag[16], -2 / (16 * Math.PI)));
+    
+    const square = builtinWaveHarmonics('square');
+    assert.equal(square.real.slice(0, WAVEFORM_HARMONICS.square.length).join(), WAVEFORM_HARMONICS.square.join());
+    assert.ok(square.real.slice(WAVEFORM_HARMONICS.square.length).every(term => term === 0));
+    assert.ok(square.imag.every(term => term === 0));
+});
+
+test('the surroundings shape the environment wave', () => {
+    const level = (wave) => wave.real.slice(2).reduce((sum, term) => sum + Math.abs(term), 0);
+    const wave = environmentWaveHarmonics(SURROUNDINGS);
+    assert.equal(wave.real.length, 17);
+    assert.equal(wave.imag.length, 17);
+    assert.ok(close(wave.real[1], 1));
+    
+    // Busier places are brighter and damp places duller
+    assert.ok(level(environmentWaveHarmonics({ ...SURROUNDINGS, populationDensity: 1 })) > level(wave));
+    assert.ok(level(environmentWaveHarmonics({ ...SURROUNDINGS, humidity: 100 })) < level(wave));
+    
+    // Below freezing the even partials drop out
+    const frozen = environmentWaveHarmonics({ ...SURROUNDINGS, temperature: -5 });
+    assert.ok(frozen.real.every((term, n) => n % 2 === 1 || term === 0));
+    assert.ok(frozen.real[3] > 0);
+    
+    // Rain adds sine-phase partials peaking at the 10th
+    assert.ok(wave.imag.every(term => term === 0));
+    const rainy = environmentWaveHarmonics({ ...SURROUNDINGS, rainfall: 20 });
+    assert.equal(rainy.imag.indexOf(Math.max(...rainy.imag)), 10);
+    assert.ok(close(rainy.imag[10], 0.5));
+});
+
+test('custom waves are validated', async () => {
+    const { engine } = await createHeadlessEngine({ api });
+    const wave = { name: 'Soft', real: [0, 1, 0.5], imag: [0, 0, 0] };
+    
+    assert.throws(() => engine.registerWaveform('square', wave), /Waveform square is built in/);
+    assert.throws(() => engine.registerWaveform('wave:x', { ...wave, imag: [0, 0] }), /equal real and imag lists of 2-17 numbers/);
+    assert.throws(() => engine.registerWaveform('wave:x', { ...wave, real: new Array(18).fill(1), imag: new Array(18).fill(0) }), /2-17/);
+    assert.throws(() => engine.registerWaveform('wave:x', { ...wave, real: [0, NaN, 0] }), /2-17/);
+    assert.throws(() => engine.registerWaveform('wave:x', { ...wave, real: [1, 0, 0] }), /has no partials/);
+    assert.throws(() => engine.registerWaveform('wave:x'), /2-17/);
+    assert.equal(engine.listWaveforms().join(), api.ENGINE_WAVEFORMS.join());
+    engine.stop();
+});
+
+test('a registered wave is listed, copied, and heard at once when it is playing', async () => {
+    const { engine } = await createHeadlessEngine({ api });
+    const wave = { name: 'Soft', real: [0, 1, 0.5], imag: [0, 0, 0.25] };
+    engine.registerWaveform('wave:soft', wave);
+    wave.real[1] = 9;
+    
+    assert.equal(engine.listWaveforms().slice(-1)[0], 'wave:soft');
+    assert.equal(engine.getWaveformHarmonics('wave:soft').real.join(), '0,1,0.5');
+    assert.equal(engine.getWaveformHarmonics('organ').real.length, 17);
+    
+    engine.setWaveform('wave:soft');
+    engine.registerWaveform('wave:soft', { name: 'Soft', real: [0, 1, 0.2], imag: [0, 0, 0] });
+    engine.oscillators.forEach(osc => {
+        assert.equal(osc.type, 'custom');
+        assert.equal(Array.from(osc.periodicWave.real).join(), Array.from(new Float32Array([0, 1, 0.2])).join());
+    });
+    
+    engine.unregisterWaveform('wave:soft');
+    assert.ok(!engine.listWaveforms().includes('wave:soft'));
+    engine.stop();
+});
+
+test('settings carry their custom wave, but cannot replace a built-in one', async () => {
+    const { engine } = await createHeadlessEngine({ api });
+    const customWaveform = { name: 'Hollow', real: [0, 1, 0, 0.3], imag: [0, 0, 0, 0] };
+    
+    assert.throws(() => engine.applySettings({ mode: 'pulse', waveform: 'organ', customWaveform }), /Waveform organ is built in/);
+    assert.equal(engine.mode, 'drone');
+    assert.equal(engine.getWaveformHarmonics('organ').real.join(), builtinWaveHarmonics('organ').real.join());
+    
+    engine.applySettings({ waveform: 'wave:hollow', customWaveform });
+    assert.equal(engine.waveform, 'wave:hollow');
+    assert.equal(engine.getSettings().customWaveform.real.join(), '0,1,0,0.3');
+    engine.stop();
+});
@@ -0,0 +1,53 @@
+// Plays back timestamped items in real time, `speed` times faster.
+// Subclasses say where an item's time is (timeOf, in ms) and what playing it does (emit).
+class TimedPlayer {
+    constructor(items, speed = 1) {
+        this.items = items;
+        this.speed = Math.max(1, speed);
+        this.index = 0;
+        this.timer = null;
+        this.isPlaying = false;
+        this.onEnd = null;
+    }
+    
+    timeOf(item) {
+        return item.time;
+    }
+    
+    emit(item, index, total) {}
+    
+    start() {
+        if (this.isPlaying) return;
+        this.isPlaying = true;
+        this.playNext();
+    }
+    
+    stop() {
+        this.isPlaying = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+    
+    playNext() {
+        if (!this.isPlaying) return;
+        
+        if (this.index >= this.items.length) {
+            this.isPlaying = false;
+            if (this.onEnd) this.onEnd();
+            return;
+        }
+        
+        const item = this.items[this.index];
+        this.emit(item, this.index, this.items.length);
+        this.index++;
+        
+        if (this.index < this.items.length) {
+            const delay = (this.timeOf(this.items[this.index]) - this.timeOf(item)) / this.speed;
+            this.timer = setTimeout(() => this.playNext(), Math.max(0, delay));
+        } else {
+            this.playNext();
+        }
+    }
+}
@@ -0,0 +1,157 @@
+// Imports GPX / GeoJSON tracks and plays them back as virtual geolocation fixes
+const EARTH_RADIUS_M = 6371000;
+
+function parseTrack(text) {
+    const trimmed = text.trim();
+    const points = trimmed.startsWith('<') ? parseGPX(trimmed) : parseGeoJSON(JSON.parse(trimmed));
+    
+    if (points.length < 2) {
+        throw new Error('Track needs at least two points');
+    }
+    
+    if (points.some(point => isNaN(point.time))) {
+        throw new Error('Track points need timestamps');
+    }
+    
+    points.sort((a, b) => a.time - b.time);
+    return deriveMotion(points);
+}
+
+function parseGPX(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Invalid GPX file');
+    }
+    
+    let nodes = doc.getElementsByTagNameNS('*', 'trkpt');
+    if (nodes.length === 0) {
+        nodes = doc.getElementsByTagNameNS('*', 'rtept');
+    }
+    
+    const childValue = (node, name) => {
+        const child = node.getElementsByTagNameNS('*', name)[0];
+        return child ? child.textContent.trim() : null;
+    };
+    
+    return Array.from(nodes).map(node => {
+        const speed = childValue(node, 'speed');
+        const course = childValue(node, 'course');
+        const ele = childValue(node, 'ele');
+        
+        return {
+            latitude: parseFloat(node.getAttribute('lat')),
+            longitude: parseFloat(node.getAttribute('lon')),
+            altitude: ele !== null ? parseFloat(ele) : null,
+            time: Date.parse(childValue(node, 'time')),
+            speed: speed !== null ? parseFloat(speed) : null,
+            heading: course !== null ? parseFloat(course) : null
+        };
+    });
+}
+
+function parseGeoJSON(geojson) {
+    const features = geojson.type === 'FeatureCollection' ? geojson.features
+        : geojson.type === 'Feature' ? [geojson]
+        : [{ type: 'Feature', properties: {}, geometry: geojson }];
+    
+    const feature = features.find(f => f.geometry &&
+        (f.geometry.type === 'LineString' || f.geometry.type === 'MultiLineString'));
+    
+    if (!feature) {
+        throw new Error('GeoJSON has no LineString');
+    }
+    
+    const coordinates = feature.geometry.type === 'MultiLineString'
+        ? [].concat(...feature.geometry.coordinates)
+        : feature.geometry.coordinates;
+    
+    // Timestamps come from coordTimes/times properties or a 4th coordinate value
+    const properties = feature.properties || {};
+    let times = properties.coordTimes || properties.times;
+    if (Array.isArray(times) && Array.isArray(times[0])) {
+        times = [].concat(...times);
+    }
+    
+    return coordinates.map((coord, i) => {
+        let time = NaN;
+        if (times && times[i] !== undefined) {
+            time = typeof times[i] === 'number' ? times[i] : Date.parse(times[i]);
+        } else if (coord.length >= 4) {
+            // Unix seconds or milliseconds
+            time = coord[3] < 1e11 ? coord[3] * 1000 : coord[3];
+        }
+        
+        return {
+            latitude: coord[1],
+            longitude: coord[0],
+            altitude: coord.length >= 3 ? coord[2] : null,
+            time,
+            speed: null,
+            heading: null
+        };
+    });
+}
+
+// Fill in speed (m/s) and heading (degrees) from consecutive points where missing
+function deriveMotion(points) {
+    return points.map((point, i) => {
+        const from = i > 0 ? points[i - 1] : point;
+        const to = i > 0 ? point : points[i + 1];
+        const dt = (to.time - from.time) / 1000;
+        
+        const speed = point.speed !== null && !isNaN(point.speed)
+            ? point.speed
+            : (dt > 0 ? haversineDistance(from, to) / dt : 0);
+        
+        const heading = point.heading !== null && !isNaN(point.heading)
+            ? point.heading
+            : bearing(from, to);
+        
+        return { ...point, speed, heading };
+    });
+}
+
+function haversineDistance(a, b) {
+    const toRad = Math.PI / 180;
+    const dLat = (b.latitude - a.latitude) * toRad;
+    const dLon = (b.longitude - a.longitude) * toRad;
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(a.latitude * toRad) * Math.cos(b.latitude * toRad) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+function bearing(a, b) {
+    const toRad = Math.PI / 180;
+    const lat1 = a.latitude * toRad;
+    const lat2 = b.latitude * toRad;
+    const dLon = (b.longitude - a.longitude) * toRad;
+    const y = Math.sin(dLon) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+class TrackPlayer extends TimedPlayer {
+    constructor(points, speed = 1) {
+        super(points, speed);
+        this.onPosition = null;
+    }
+    
+    // Same shape as a GeolocationPosition
+    emit(point) {
+        if (!this.onPosition) return;
+        
+        this.onPosition({
+            coords: {
+                latitude: point.latitude,
+                longitude: point.longitude,
+                altitude: point.altitude,
+                accuracy: 5,
+                altitudeAccuracy: null,
+                speed: point.speed,
+                heading: point.heading
+            },
+            timestamp: point.time
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,208 @@
+// Canvas visualizer fed by the engine's AnalyserNode: a log-frequency spectrum or an
+// oscilloscope, with a marker per voice at its current frequency and a lane of recent gain.
+const VISUALIZER_VIEWS = ['spectrum', 'scope'];
+const VISUALIZER_MIN_FREQ = 20;
+const VISUALIZER_MAX_FREQ = 20000;
+const VISUALIZER_HISTORY = 120; // frames of gain history per voice
+const VISUALIZER_FULL_GAIN = 0.15; // gain drawn at full height (sporadic voices peak around 0.1)
+
+class Visualizer {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.engine = null;
+        this.view = 'spectrum';
+        this.frame = null;
+        this.frequencyData = null;
+        this.timeData = null;
+        this.gainHistory = [];
+    }
+    
+    start(engine) {
+        this.engine = engine;
+        this.gainHistory = [];
+        
+        if (!this.frame) {
+            this.frame = requestAnimationFrame(() => this.draw());
+        }
+    }
+    
+    stop() {
+        if (this.frame) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        this.engine = null;
+        this.resize();
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+    
+    setView(view) {
+        if (!VISUALIZER_VIEWS.includes(view)) {
+            throw new Error(`Unknown visualizer view: ${view}`);
+        }
+        this.view = view;
+    }
+    
+    // Match the backing store to the displayed size so lines stay sharp
+    resize() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(this.canvas.clientWidth * ratio);
+        const height = Math.round(this.canvas.clientHeight * ratio);
+        
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+    }
+    
+    frequencyToX(frequency, width) {
+        const min = Math.log(VISUALIZER_MIN_FREQ);
+        const max = Math.log(VISUALIZER_MAX_FREQ);
+        const clamped = Math.max(VISUALIZER_MIN_FREQ, Math.min(VISUALIZER_MAX_FREQ, frequency));
+        return (Math.log(clamped) - min) / (max - min) * width;
+    }
+    
+    voiceColor(index, alpha = 1) {
+        return `hsla(${index * 40}, 90%, 60%, ${alpha})`;
+    }
+    
+    draw() {
+        this.frame = null;
+        const analyser = this.engine && this.engine.analyser;
+        if (!analyser) return;
+        
+        this.resize();
+        const { width, height } = this.canvas;
+        const laneHeight = Math.round(height * 0.25);
+        const plotHeight = height - laneHeight;
+        
+        this.ctx.fillStyle = '#000';
+        this.ctx.fillRect(0, 0, width, height);
+        
+        const voices = this.engine.getVoiceStates();
+        this.recordGains(voices);
+        
+        if (this.view === 'scope') {
+            this.drawScope(analyser, width, plotHeight);
+        } else {
+            this.drawSpectrum(analyser, width, plotHeight);
+        }
+        
+        this.drawVoiceMarkers(voices, width, plotHeight);
+        this.drawGainLanes(voices.length, width, plotHeight, laneHeight);
+        
+        this.frame = requestAnimationFrame(() => this.draw());
+    }
+    
+    drawSpectrum(analyser, width, height) {
+        if (!this.frequencyData || this.frequencyData.length !== analyser.frequencyBinCount) {
+            this.frequencyData = new Uint8Array(analyser.frequencyBinCount);
+        }
+        analyser.getByteFrequencyData(this.frequencyData);
+        
+        const binWidth = analyser.context.sampleRate / analyser.fftSize;
+        const ctx = this.ctx;
+        
+        ctx.beginPath();
+        ctx.moveTo(0, height);
+        for (let i = 1; i < this.frequencyData.length; i++) {
+            const x = this.frequencyToX(i * binWidth, width);
+            const y = height - (this.frequencyData[i] / 255) * height;
+            ctx.lineTo(x, y);
+        }
+        ctx.lineTo(width, height);
+        ctx.closePath();
+        
+        ctx.fillStyle = 'rgba(0, 170, 0, 0.35)';
+        ctx.fill();
+        ctx.strokeStyle = '#0a0';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+    }
+    
+    drawScope(analyser, width, height) {
+        if (!this.timeData || this.timeData.length !== analyser.fftSize) {
+            this.timeData = new Uint8Array(analyser.fftSize);
+        }
+        analyser.getByteTimeDomainData(this.timeData);
+        
+        const ctx = this.ctx;
+        ctx.beginPath();
+        for (let i = 0; i < this.timeData.length; i++) {
+            const x = i / (this.timeData.length - 1) * width;
+            const y = (this.timeData[i] / 255) * height;
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        }
+        
+        ctx.strokeStyle = '#0a0';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+    
+    // One line per voice at its frequency; brighter and taller while the voice is sounding
+    drawVoiceMarkers(voices, width, height) {
+        const ctx = this.ctx;
+        const ratio = window.devicePixelRatio || 1;
+        ctx.font = `${10 * ratio}px 'Courier New', monospace`;
+        ctx.textAlign = 'center';
+        
+        voices.forEach((voice, i) => {
+            const level = Math.min(1, voice.gain / VISUALIZER_FULL_GAIN);
+            const x = this.frequencyToX(voice.frequency, width);
+            const top = height - Math.max(0.1, level) * height;
+            
+            ctx.strokeStyle = this.voiceColor(i, 0.25 + level * 0.75);
+            ctx.lineWidth = ratio;
+            ctx.beginPath();
+            ctx.moveTo(x, height);
+            ctx.lineTo(x, top);
+            ctx.stroke();
+            
+            ctx.fillStyle = this.voiceColor(i, 0.4 + level * 0.6);
+            ctx.fillText(String(i), x, Math.max(10 * ratio, top - 2 * ratio));
+        });
+    }
+    
+    recordGains(voices) {
+        voices.forEach((voice, i) => {
+            if (!this.gainHistory[i]) this.gainHistory[i] = [];
+            const history = this.gainHistory[i];
+            history.push(voice.gain);
+            if (history.length > VISUALIZER_HISTORY) history.shift();
+        });
+    }
+    
+    // Recent gain envelope of each voice, newest on the right
+    drawGainLanes(count, width, top, height) {
+        const ctx = this.ctx;
+        const lane = height / Math.max(1, count);
+        
+        ctx.fillStyle = '#111';
+        ctx.fillRect(0, top, width, height);
+        
+        for (let i = 0; i < count; i++) {
+            const history = this.gainHistory[i] || [];
+            const base = top + (i + 1) * lane;
+            
+            ctx.beginPath();
+            history.forEach((gain, j) => {
+                const x = width - (history.length - 1 - j) / (VISUALIZER_HISTORY - 1) * width;
+                const y = base - Math.min(1, gain / VISUALIZER_FULL_GAIN) * (lane - 1);
+                if (j === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            
+            ctx.strokeStyle = this.voiceColor(i);
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,68 @@
+// Encodes an AudioBuffer as a PCM WAV file (16 or 24 bit)
+function encodeWAV(audioBuffer, bitDepth = 16) {
+    if (bitDepth !== 16 && bitDepth !== 24) {
+        throw new Error(`Unsupported bit depth: ${bitDepth}`);
+    }
+    
+    const numChannels = audioBuffer.numberOfChannels;
+    const sampleRate = audioBuffer.sampleRate;
+    const numFrames = audioBuffer.length;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = numChannels * bytesPerSample;
+    const dataSize = numFrames * blockAlign;
+    
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+    
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    };
+    
+    // RIFF header
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    
+    // fmt chunk
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+    
+    // data chunk
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+    
+    const channels = [];
+    for (let channel = 0; channel < numChannels; channel++) {
+        channels.push(audioBuffer.getChannelData(channel));
+    }
+    
+    const maxValue = Math.pow(2, bitDepth - 1) - 1;
+    let offset = 44;
+    
+    for (let i = 0; i < numFrames; i++) {
+        for (let channel = 0; channel < numChannels; channel++) {
+            const sample = Math.max(-1, Math.min(1, channels[channel][i]));
+            const value = Math.round(sample * maxValue);
+            
+            if (bitDepth === 16) {
+                view.setInt16(offset, value, true);
+            } else {
+                view.setUint8(offset, value & 0xff);
+                view.setUint8(offset + 1, (value >> 8) & 0xff);
+                view.setUint8(offset + 2, (value >> 16) & 0xff);
+            }
+            
+            offset += bytesPerSample;
+        }
+    }
+    
+    return new Blob([buffer], { type: 'audio/wav' });
+}
\ No newline at end of file